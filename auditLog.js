@@ -0,0 +1,128 @@
+const { checkTeacher } = require('./pollState');
+const { parseTime } = require('./pollHistory');
+const { appError } = require('./errors');
+
+// Append-only audit trail per session, built from the poll service's events and kept in a store
+// list, so it survives restarts and serverless instances. It outlives resets (the reset itself is
+// an entry) and is copied into the session's archives. Entries:
+//   { atMs (server time), type (the event type, e.g. vote:cast), actor: { role, id, ip },
+//     participantId (the student or teacher affected, if any), questionId, details }
+// Every entry is kept unless AUDIT_MAX_ENTRIES is set; past it the oldest entries are dropped and
+// the log says it is truncated. An entry is written before the change it records is answered, so
+// serverless hosts can't lose it once the response has gone out
+const MAX_ENTRIES = Number(process.env.AUDIT_MAX_ENTRIES) || null;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+function auditKey(sessionCode) {
+  return `audit:${sessionCode}`;
+}
+
+// The parts of an event worth keeping; whole questions, history entries and archives are cut
+// down to what identifies them
+function describeEvent({ type, question, entry, archive, ...fields }) {
+  if (type === 'question:asked') {
+    return { text: question.text, questionType: question.type || 'single', timeLimitSec: question.timeLimitSec };
+  }
+  if (type === 'question:ended') {
+    return { reason: fields.reason, totalVotes: entry.totalVotes, participantCount: entry.participantCount };
+  }
+  if (type === 'session:closed') return { archiveId: archive.archiveId };
+  return fields;
+}
+
+function toEntry(event) {
+  const { type, sessionCode, actor, occurredAtMs, questionId, studentId, teacherId, ...rest } = event;
+  return {
+    atMs: occurredAtMs,
+    type,
+    actor,
+    participantId: studentId || teacherId || null,
+    questionId: questionId || rest.question?.id || null,
+    details: describeEvent({ type, ...rest })
+  };
+}
+
+function createAuditLog(store, { loadState }) {
+  // sessionCode -> the session's last write; each write waits for the one before, so entries keep
+  // the order of the events
+  const writes = new Map();
+
+  // One entry past the cap is stored, so a full log can tell whether anything was dropped
+  function append(sessionCode, entry) {
+    const previous = writes.get(sessionCode) || Promise.resolve();
+    const write = previous
+      .then(() => store.append(auditKey(sessionCode), [entry], { maxLength: MAX_ENTRIES && MAX_ENTRIES + 1 }))
+      .catch((error) => console.error('Audit log write error:', error));
+    writes.set(sessionCode, write);
+    write.then(() => {
+      if (writes.get(sessionCode) === write) writes.delete(sessionCode);
+    });
+    return write;
+  }
+
+  // Resolves once the session's entries logged so far are written
+  async function flush(sessionCode) {
+    await writes.get(sessionCode);
+  }
+
+  // { entries (oldest first), truncated (older entries were dropped) }
+  async function getLog(sessionCode) {
+    await flush(sessionCode);
+    const stored = await store.range(auditKey(sessionCode));
+    const truncated = !!MAX_ENTRIES && stored.length > MAX_ENTRIES;
+    return { entries: truncated ? stored.slice(-MAX_ENTRIES) : stored, truncated };
+  }
+
+  // Any teacher of the session. Filters, all optional:
+  //   type          event types, comma-separated; 'student' matches every student:* type
+  //   actor         role of whoever acted: teacher, student or system
+  //   participantId entries by or about this student or teacher
+  //   questionId    entries about this question
+  //   from/to       range on the entry time (epoch ms or a date)
+  // Most recent first, paginated like the history; truncated says older entries were dropped
+  async function query(sessionCode, teacherId, { type, actor, participantId, questionId, from, to, page, pageSize } = {}) {
+    const state = await loadState(sessionCode);
+    if (!state) throw appError(404, 'Session not found', { code: 'session_not_found' });
+    checkTeacher(state, teacherId);
+
+    const types = type ? String(type).split(',').map((item) => item.trim()).filter(Boolean) : [];
+    const fromMs = parseTime(from);
+    const toMs = parseTime(to);
+    const size = Math.min(Math.max(Number(pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(Math.floor(Number(page)) || 1, 1);
+
+    const { entries, truncated } = await getLog(sessionCode);
+    const matches = entries.filter((entry) => {
+      if (types.length && !types.some((item) => entry.type === item || entry.type.startsWith(`${item}:`))) return false;
+      if (actor && entry.actor.role !== actor) return false;
+      if (participantId && entry.participantId !== participantId && entry.actor.id !== participantId) return false;
+      if (questionId && entry.questionId !== questionId) return false;
+      if (fromMs !== null && entry.atMs < fromMs) return false;
+      if (toMs !== null && entry.atMs > toMs) return false;
+      return true;
+    }).reverse();
+
+    return {
+      items: matches.slice((pageNumber - 1) * size, pageNumber * size),
+      page: pageNumber,
+      pageSize: size,
+      total: matches.length,
+      totalPages: Math.ceil(matches.length / size),
+      truncated
+    };
+  }
+
+  // Records every poll service event except the deletion of the session, whose log goes with it.
+  // The service waits for the write before the change it announces is answered
+  function listen(pollService) {
+    pollService.on('*', (event) => {
+      if (event.type !== 'session:deleted') return append(event.sessionCode, toEntry(event));
+      return null;
+    });
+  }
+
+  return { getLog, flush, query, listen };
+}
+
+module.exports = { createAuditLog, auditKey };
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { appError, sendError } = require('./errors');
+
+// Tokens are HS256 JWTs signed with AUTH_SECRET; without it a per-process secret is used,
+// which means tokens don't survive restarts or work across serverless instances
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+  console.warn('AUTH_SECRET is not set; using a random secret for this process');
+}
+
+const TEACHER_TOKEN_TTL_SEC = Number(process.env.TEACHER_TOKEN_TTL_SEC) || 8 * 60 * 60;
+const STUDENT_TOKEN_TTL_SEC = Number(process.env.STUDENT_TOKEN_TTL_SEC) || 4 * 60 * 60;
+
+function hmac(data) {
+  return crypto.createHmac('sha256', AUTH_SECRET).update(data).digest('base64url');
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function signToken(claims, ttlSec) {
+  const nowSec = Math.floor(Date.now() / 1000);
+  const header = encodeSegment({ alg: 'HS256', typ: 'JWT' });
+  const payload = encodeSegment({ ...claims, iat: nowSec, exp: nowSec + ttlSec });
+  return `${header}.${payload}.${hmac(`${header}.${payload}`)}`;
+}
+
+// Returns the token's claims, or null if it is malformed, tampered with or expired
+function verifyToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(hmac(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+function issueTeacherToken(sessionCode, teacherId) {
+  return signToken({ sub: teacherId, role: 'teacher', sessionCode }, TEACHER_TOKEN_TTL_SEC);
+}
+
+function issueStudentToken(sessionCode, studentId) {
+  return signToken({ sub: studentId, role: 'student', sessionCode }, STUDENT_TOKEN_TTL_SEC);
+}
+
+function isTeacherLoginConfigured() {
+  return !!process.env.TEACHER_PASSCODE;
+}
+
+// Constant-time comparison against TEACHER_PASSCODE
+function checkTeacherPasscode(passcode) {
+  if (!isTeacherLoginConfigured() || typeof passcode !== 'string') return false;
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(passcode), digest(process.env.TEACHER_PASSCODE));
+}
+
+function createParticipantId() {
+  return crypto.randomUUID();
+}
+
+// The raw token of `Authorization: Bearer <token>`, or null
+function getBearerToken(req) {
+  const [scheme, token] = String(req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// A student's token doubles as their resume token: rejoining with it keeps the same identity
+function verifyResumeToken(token) {
+  const claims = verifyToken(token);
+  return claims?.role === 'student' ? claims : null;
+}
+
+// Express middleware: requires `Authorization: Bearer <token>` for one of the given roles and
+// exposes the claims as req.auth
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const claims = verifyToken(getBearerToken(req));
+    if (!claims) {
+      return sendError(res, appError(401, 'Missing or invalid token'));
+    }
+    if (!roles.includes(claims.role)) {
+      return sendError(res, appError(403, `Only a ${roles.join(' or ')} can do this`));
+    }
+    req.auth = claims;
+    next();
+  };
+}
+
+// Socket.IO middleware: a token in the handshake (`auth: { token }`) is optional, since
+// clients can still log in with teacher:join / student:join, but an invalid one is rejected
+function authenticateSocket(socket, next) {
+  const token = socket.handshake.auth?.token;
+  if (!token) {
+    socket.data.auth = null;
+    return next();
+  }
+  const claims = verifyToken(token);
+  if (!claims) return next(new Error('Invalid or expired token'));
+  socket.data.auth = claims;
+  next();
+}
+
+module.exports = {
+  verifyToken,
+  verifyResumeToken,
+  getBearerToken,
+  issueTeacherToken,
+  issueStudentToken,
+  isTeacherLoginConfigured,
+  checkTeacherPasscode,
+  createParticipantId,
+  requireTeacher: requireRole('teacher'),
+  requireStudent: requireRole('student'),
+  requireParticipant: requireRole('teacher', 'student'),
+  authenticateSocket
+};
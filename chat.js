@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { sessionRoom, participantRoom } = require('./sessionCodes');
+const { isSessionTeacher, checkTeacher, isSessionClosed } = require('./pollState');
+const { appError } = require('./errors');
+const { createDocumentStore } = require('./stateStore');
+
+// Session chat. Messages live under their own key so chat traffic doesn't contend with votes
+// for the poll state. Senders are identified from their token and the session's registration,
+// never from anything the client claims
+const MAX_HISTORY = 200;
+const MAX_MESSAGE_LENGTH = 500;
+
+function chatKey(sessionCode) {
+  return `chat:${sessionCode}`;
+}
+
+function createEmptyChat() {
+  return {
+    // messages: oldest first; to is null for the whole session or the recipient's participant id
+    messages: [],
+    // Students who may not post
+    muted: [],
+    settings: {
+      enabled: true,
+      // Students can't post while a question is live
+      disableDuringQuestion: false
+    }
+  };
+}
+
+// Teachers see everything; a student sees public messages and their own private ones
+function isVisibleTo(message, viewerId, isTeacher) {
+  return isTeacher || !message.to || message.to === viewerId || message.fromId === viewerId;
+}
+
+// io is null when real-time is off; messages are then only available through history
+function createChatService(store, { io = null, loadState }) {
+  const { load, update } = createDocumentStore(store, { key: chatKey, empty: createEmptyChat });
+
+  async function loadSession(sessionCode) {
+    const state = await loadState(sessionCode);
+    if (!state) throw appError(404, 'Session not found', { code: 'session_not_found' });
+    return state;
+  }
+
+  // Moderation needs a teacher of the session with the moderate permission
+  async function requireModerator(sessionCode, teacherId) {
+    const state = await loadSession(sessionCode);
+    checkTeacher(state, teacherId, 'moderate');
+    return state;
+  }
+
+  function emit(sessionCode, event, payload, recipients = null) {
+    if (!io) return;
+    if (!recipients) return io.to(sessionRoom(sessionCode)).emit(event, payload);
+    io.to(recipients.filter(Boolean).map(participantRoom)).emit(event, payload);
+  }
+
+  // Messages the participant may see, plus the settings that apply to them
+  async function getHistory(sessionCode, { id, role }) {
+    const state = await loadSession(sessionCode);
+    const chat = await load(sessionCode);
+    const isTeacher = role === 'teacher' && isSessionTeacher(state, id);
+    return {
+      messages: chat.messages.filter((message) => isVisibleTo(message, id, isTeacher)),
+      settings: chat.settings,
+      muted: isTeacher ? chat.muted : chat.muted.includes(id)
+    };
+  }
+
+  // sender: { id, role } from the verified token. to: a student id, for teacher private messages
+  async function postMessage(sessionCode, { id, role }, { text, to = null } = {}) {
+    const safeText = String(text || '').trim().slice(0, MAX_MESSAGE_LENGTH);
+    if (!safeText) throw appError(400, 'Message is empty', { code: 'validation_failed', field: 'message' });
+    const state = await loadSession(sessionCode);
+    const isTeacher = role === 'teacher' && isSessionTeacher(state, id);
+    if (!isTeacher && !state.students[id]) throw appError(403, 'Not a member of this session');
+    if (to && !isTeacher) throw appError(403, 'Only teachers can send private messages');
+    if (isSessionClosed(state)) throw appError(409, 'This session is closed', { code: 'session_closed' });
+    if (to && !state.students[to]) throw appError(404, 'Student not found', { field: 'to' });
+
+    const message = await update(sessionCode, (chat) => {
+      if (!isTeacher) {
+        if (chat.muted.includes(id)) throw appError(403, 'You are muted');
+        if (!chat.settings.enabled) throw appError(403, 'Chat is disabled');
+        if (chat.settings.disableDuringQuestion && state.currentQuestion) {
+          throw appError(403, 'Chat is disabled while a question is live');
+        }
+      }
+      const entry = {
+        id: crypto.randomUUID(),
+        from: isTeacher ? state.teachers[id].name : state.students[id].name,
+        fromId: id,
+        fromRole: isTeacher ? 'teacher' : 'student',
+        to: to || null,
+        message: safeText,
+        timestamp: Date.now()
+      };
+      chat.messages.push(entry);
+      if (chat.messages.length > MAX_HISTORY) chat.messages.splice(0, chat.messages.length - MAX_HISTORY);
+      return entry;
+    });
+
+    // Private messages reach the student and every teacher
+    emit(sessionCode, 'chat:new', message, message.to ? [message.to, ...Object.keys(state.teachers)] : null);
+    console.log(`Chat: ${message.from}${message.to ? ' (private)' : ''}: ${message.message}`);
+    return message;
+  }
+
+  async function deleteMessage(sessionCode, teacherId, messageId) {
+    const state = await requireModerator(sessionCode, teacherId);
+    const message = await update(sessionCode, (chat) => {
+      const index = chat.messages.findIndex((entry) => entry.id === messageId);
+      if (index === -1) throw appError(404, 'Message not found');
+      return chat.messages.splice(index, 1)[0];
+    });
+    emit(sessionCode, 'chat:deleted', { id: messageId }, message.to ? [message.to, ...Object.keys(state.teachers)] : null);
+  }
+
+  async function setMuted(sessionCode, teacherId, studentId, muted) {
+    const state = await requireModerator(sessionCode, teacherId);
+    if (!state.students[studentId]) throw appError(404, 'Student not found');
+    const list = await update(sessionCode, (chat) => {
+      chat.muted = chat.muted.filter((mutedId) => mutedId !== studentId);
+      if (muted) chat.muted.push(studentId);
+      return chat.muted;
+    });
+    emit(sessionCode, 'chat:muted', { muted: !!muted }, [studentId]);
+    return list;
+  }
+
+  // { enabled, disableDuringQuestion }; omitted fields keep their value
+  async function updateSettings(sessionCode, teacherId, { enabled, disableDuringQuestion } = {}) {
+    await requireModerator(sessionCode, teacherId);
+    const settings = await update(sessionCode, (chat) => {
+      if (enabled !== undefined) chat.settings.enabled = !!enabled;
+      if (disableDuringQuestion !== undefined) chat.settings.disableDuringQuestion = !!disableDuringQuestion;
+      return chat.settings;
+    });
+    emit(sessionCode, 'chat:settings', settings);
+    return settings;
+  }
+
+  return { getHistory, postMessage, deleteMessage, setMuted, updateSettings };
+}
+
+module.exports = { createChatService, chatKey, MAX_MESSAGE_LENGTH };
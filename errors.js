@@ -0,0 +1,95 @@
+// Errors sent to clients are { code, message, field }. REST responds with the HTTP status and
+// { error: { code, message, field } }; socket events pass { ok: false, error } to the client's
+// acknowledgement callback (or emit the error object as error:message when it sent none).
+// field names the input at fault, e.g. "options[2]" or "questions[0].text", and is null otherwise.
+//
+// Error codes (HTTP status):
+//   validation_failed   400  A body, query or payload field is missing, of the wrong type or out of range
+//   invalid_json        400  The request body is not valid JSON
+//   bad_request         400  Well-formed input that can't be applied as things stand
+//   no_active_question  400  The action needs a live question and there is none
+//   already_answered    400  The student has already answered the live question
+//   time_up             400  The live question's time ran out before the answer arrived
+//   name_taken          400  Another student in the session uses that name
+//   unauthorized        401  Missing, invalid or expired token, or not one of the session's teachers
+//   forbidden           403  The caller's role, standing or co-teacher permissions don't allow this
+//   banned              403  The student is banned from the session
+//   removed             403  The student was removed from the session (kicked)
+//   session_full        403  The session has reached MAX_STUDENTS_PER_SESSION
+//   not_found           404  Unknown question, quiz, student, message or route
+//   session_not_found   404  No session has that code
+//   conflict            409  The change clashes with the current state
+//   session_closed      409  The session was closed and is read-only
+//   payload_too_large   413  The request body is over the size limit
+//   rate_limited        429  Too many requests; retry after the Retry-After header
+//   internal_error      500  Anything unexpected; details are only logged
+//   not_configured      503  Teacher login is not configured on this server
+//   store_busy          503  Too many writes at once for the state store; retry after the Retry-After header
+const ERROR_CODES = {
+  validation_failed: 400,
+  invalid_json: 400,
+  bad_request: 400,
+  no_active_question: 400,
+  already_answered: 400,
+  time_up: 400,
+  name_taken: 400,
+  unauthorized: 401,
+  forbidden: 403,
+  banned: 403,
+  removed: 403,
+  session_full: 403,
+  not_found: 404,
+  session_not_found: 404,
+  conflict: 409,
+  session_closed: 409,
+  payload_too_large: 413,
+  rate_limited: 429,
+  internal_error: 500,
+  not_configured: 503,
+  store_busy: 503
+};
+
+// Code of errors created without one
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  429: 'rate_limited',
+  500: 'internal_error',
+  503: 'not_configured'
+};
+
+// An error that is safe to show the client. Thrown anywhere in a request or socket event.
+// retryAfterSec marks it as worth retrying and is sent as the Retry-After header
+function appError(status, message, { code, field, retryAfterSec } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code || STATUS_CODES[status] || 'bad_request';
+  error.field = field || null;
+  if (retryAfterSec) error.retryAfterSec = retryAfterSec;
+  return error;
+}
+
+function validationError(field, message) {
+  return appError(400, message, { code: 'validation_failed', field });
+}
+
+// What the client sees of any thrown error. Errors without a status are bugs or
+// infrastructure failures, so their message stays in the logs
+function errorBody(error) {
+  if (!error?.status) return { code: 'internal_error', message: 'Internal server error', field: null };
+  return {
+    code: error.code || STATUS_CODES[error.status] || 'bad_request',
+    message: error.message,
+    field: error.field || null
+  };
+}
+
+function sendError(res, error) {
+  if (error?.retryAfterSec) res.set('Retry-After', String(error.retryAfterSec));
+  res.status(error?.status || 500).json({ error: errorBody(error) });
+}
+
+module.exports = { ERROR_CODES, appError, validationError, errorBody, sendError };
@@ -1,325 +1,1004 @@
 require('dotenv').config();
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
-const { kv } = require('@vercel/kv');
+const { Server } = require('socket.io');
+const { normalizeSessionCode } = require('./sessionCodes');
+const { createStateStore } = require('./stateStore');
+const {
+  issueTeacherToken,
+  issueStudentToken,
+  isTeacherLoginConfigured,
+  checkTeacherPasscode,
+  createParticipantId,
+  verifyToken,
+  verifyResumeToken,
+  getBearerToken,
+  requireTeacher,
+  requireStudent,
+  requireParticipant,
+  authenticateSocket
+} = require('./auth');
+const { createPollService } = require('./pollService');
+const { createPollManager } = require('./pollManager');
+const registerSocketHandlers = require('./sockets');
+const { createPollStream, stateTag } = require('./pollStream');
+const { queryHistory, getHistoryEntry, loadHistoryIndex, loadHistory } = require('./pollHistory');
+const { buildExport, toCsv } = require('./pollExport');
+const { buildLeaderboard } = require('./scoring');
+const { createQuestionBank } = require('./questionBank');
+const { rateLimit, byParticipant } = require('./rateLimit');
+const { createChatService } = require('./chat');
+const { createSessionArchive } = require('./sessionArchive');
+const { createWebhookService } = require('./webhooks');
+const { createAuditLog } = require('./auditLog');
+const { requestContext } = require('./requestContext');
+const { appError, errorBody, sendError } = require('./errors');
+const { schemas, validateBody, validateQuery, handleBodyErrors } = require('./validation');
+const { isSessionTeacher, getPublicState, getTeacherState } = require('./pollState');
 
 const app = express();
 const corsOrigin = process.env.CORS_ORIGIN || 'https://live-polling-system-frontend-pearl.vercel.app';
 
 app.use(cors({ origin: corsOrigin }));
 app.use(express.json());
+// Malformed JSON bodies get the usual { error: { code, message, field } } response
+app.use(handleBodyErrors);
+// The client IP of each request, for the audit log (see requestContext.js)
+app.use(requestContext);
+// Behind a proxy (e.g. Vercel) rate limits need the client IP from X-Forwarded-For;
+// TRUST_PROXY takes Express's 'trust proxy' values (true, a hop count, or addresses)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
 
-// Helper functions for state persistence
-const STATE_KEY = 'pollState';
-
-async function loadState() {
-  try {
-    const storedState = await kv.get(STATE_KEY);
-    if (!storedState) {
-      return {
-        teacherSocketId: null,
-        students: {},
-        studentNames: new Set(), // In-memory Set
-        currentQuestion: null,
-        answers: {},
-        submissions: {},
-        history: []
-      };
-    }
-    // Reconstruct Set from stored array
-    return {
-      ...storedState,
-      studentNames: new Set(storedState.studentNames || [])
-    };
+// Teacher routes are rate limited per teacher, after the token check
+const teacherOnly = [requireTeacher, rateLimit('teacher', byParticipant)];
+
+// State persistence goes through the configured store (memory, file or Vercel KV)
+const store = createStateStore();
+
+// Saved questions and quizzes, kept in the same store
+const questionBank = createQuestionBank(store);
+
+// Server-Sent Events for clients that can't use WebSockets
+const pollStream = createPollStream(async (sessionCode, viewer) => {
+  const state = await loadState(sessionCode);
+  return state ? getPublicState(state, viewer) : null;
+});
+
+// Real-time mode attaches Socket.IO to the same HTTP server; REALTIME=off leaves clients
+// on SSE (/api/poll/stream) or polling /api/poll/state (e.g. serverless hosts without WebSockets)
+const realtimeEnabled = process.env.REALTIME !== 'off';
+const server = http.createServer(app);
+const io = realtimeEnabled ? new Server(server, { cors: { origin: corsOrigin } }) : null;
+// Chat is stored for both transports and pushed over Socket.IO when it is on
+const chatService = createChatService(store, { io, loadState: (sessionCode) => pollService.loadState(sessionCode) });
+// Closed, reset and expired sessions; also runs the cleanup of old sessions, whose reads,
+// deletions and student drops go through the poll service below
+const sessionArchive = createSessionArchive(store, {
+  loadState: (sessionCode) => pollService.loadState(sessionCode),
+  loadAudit: (sessionCode) => auditLog.getLog(sessionCode),
+  onSessionDeleted: (sessionCode) => pollService.releaseSession(sessionCode),
+  dropStudent: (sessionCode, studentId, now) => pollService.dropStudent(sessionCode, studentId, now)
+});
+// Every poll change, from REST or sockets, goes through the poll service; the SSE streams, the
+// Socket.IO broadcaster, the webhooks and the audit log listen to its events
+const pollService = createPollService(store, { questionBank, sessionArchive });
+pollService.on('*', ({ type, sessionCode }) => {
+  if (type !== 'session:deleted') pollStream.notify(sessionCode);
+});
+const webhooks = createWebhookService(store, { loadState: pollService.loadState });
+webhooks.listen(pollService);
+const auditLog = createAuditLog(store, { loadState: pollService.loadState });
+auditLog.listen(pollService);
+if (io) {
+  io.use(authenticateSocket);
+  const pollManager = createPollManager(io, pollService);
+  io.on('connection', (socket) => registerSocketHandlers(io, socket, pollService, pollManager, chatService));
+}
+
+async function loadState(sessionCode) {
+  try {
+    return await pollService.loadState(sessionCode);
   } catch (error) {
     console.error('Error loading state:', error);
-    // Fallback to default on error
-    return {
-      teacherSocketId: null,
-      students: {},
-      studentNames: new Set(),
-      currentQuestion: null,
-      answers: {},
-      submissions: {},
-      history: []
-    };
+    throw error;
+  }
+}
+
+// Authenticated requests are bound to the session in their token; otherwise the code
+// comes from the body (POST) or query string (GET)
+function getSessionCode(req) {
+  if (req.auth) return req.auth.sessionCode;
+  return normalizeSessionCode(req.body?.sessionCode ?? req.query.sessionCode);
+}
+
+// The session code of the request, or null after responding with 400
+function requireSessionCode(req, res) {
+  const sessionCode = getSessionCode(req);
+  if (!sessionCode) {
+    sendError(res, appError(400, 'Valid sessionCode is required', { code: 'validation_failed', field: 'sessionCode' }));
+  }
+  return sessionCode;
+}
+
+// Loads the session named in the request, or responds with 400/404 and resolves to null
+async function loadSessionState(req, res) {
+  const sessionCode = requireSessionCode(req, res);
+  if (!sessionCode) return null;
+  const state = await loadState(sessionCode);
+  if (!state) {
+    sendError(res, appError(404, 'Session not found', { code: 'session_not_found' }));
+    return null;
+  }
+  return state;
+}
+
+// Who is reading the public state, for result visibility: the participant of a token for this
+// session (bearer header, or ?token= for EventSource, which can't set headers), else null
+function getViewer(req, sessionCode) {
+  const claims = verifyToken(getBearerToken(req) || req.query.token);
+  if (!claims || claims.sessionCode !== sessionCode) return null;
+  return { role: claims.role, id: claims.sub };
+}
+
+// Read-only counterpart of the teacher check in the mutations: loads the session of a
+// teacher token, or responds with 401 if the token isn't one of its teachers
+async function loadTeacherState(req, res) {
+  const state = await loadSessionState(req, res);
+  if (!state) return null;
+  if (!isSessionTeacher(state, req.auth.sub)) {
+    sendError(res, appError(401, 'Unauthorized'));
+    return null;
   }
+  return state;
+}
+
+// The question bank is shared by everyone with the teacher passcode. A token reaches it only
+// while its teacher is still one of their session's teachers, so removing a co-teacher cuts
+// them off here too
+async function requireSessionTeacher(req, res, next) {
+  try {
+    if (await loadTeacherState(req, res)) next();
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+const bankTeacherOnly = [...teacherOnly, requireSessionTeacher];
+
+// Sends the results export of a session or archived session as a download
+function sendExport(res, source, { format = 'csv', report = 'all' } = {}) {
+  const exportData = buildExport(source);
+  const filename = `poll-${source.sessionCode}-${exportData.exportedAt.slice(0, 10)}`;
+  if (format === 'json') {
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    return res.json(exportData);
+  }
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  // BOM so Excel opens non-ASCII text correctly
+  res.send(`\uFEFF${toCsv(exportData, report)}`);
+}
+
+// Archive reads take the session's archive key as X-Archive-Key, which keeps working once the
+// session is deleted, or the token of one of the session's current teachers, which stands for
+// their session's key. Either way req.archiveReader is set (see sessionArchive.js)
+function requireArchiveReader(req, res, next) {
+  const key = req.get('X-Archive-Key');
+  if (key) {
+    req.archiveReader = { archiveKey: key };
+    return next();
+  }
+  requireTeacher(req, res, async () => {
+    try {
+      const state = await loadTeacherState(req, res);
+      if (!state) return;
+      req.archiveReader = { archiveKey: state.archiveKey };
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
 }
+const archiveReaderOnly = [requireArchiveReader, rateLimit('teacher', byParticipant)];
 
-async function saveState(state) {
+// Runs a poll service, question bank, chat or archive call; errors with a status are sent as-is and null is returned
+async function callService(res, action) {
   try {
-    // Convert Set to Array for JSON storage
-    const serializableState = {
-      ...state,
-      studentNames: Array.from(state.studentNames)
-    };
-    await kv.set(STATE_KEY, serializableState);
+    return { result: await action() };
   } catch (error) {
-    console.error('Error saving state:', error);
-    // Don't throw—let the request continue, but log for debugging
+    if (!error.status) throw error;
+    sendError(res, error);
+    return null;
   }
 }
 
 // Health check endpoint
 app.get('/health', async (_req, res) => {
   try {
-    await loadState(); // Test KV connection
-    res.json({ ok: true, usesKV: true });
+    await store.get('health'); // Test store connection
+    res.json({ ok: true, store: store.type, usesKV: store.type === 'kv' });
   } catch (error) {
     console.error('Health check failed:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error);
   }
 });
 
 // Root endpoint
 app.get('/', async (_req, res) => {
   try {
-    const state = await loadState();
     res.json({ 
       message: 'Live Polling System Backend',
       status: 'running',
       corsOrigin: corsOrigin,
-      usesKV: true,
-      note: 'State persisted via Vercel KV (serverless-friendly). For real-time, consider polling /api/poll/state.'
+      store: store.type,
+      usesKV: store.type === 'kv',
+      realtime: realtimeEnabled,
+      note: realtimeEnabled
+        ? `State persisted via the ${store.type} store. Real-time updates via Socket.IO (poll:state events).`
+        : `State persisted via the ${store.type} store. Real-time is off (REALTIME=off); poll /api/poll/state?sessionCode=<code>.`
     });
   } catch (error) {
     console.error('Root endpoint error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error);
   }
 });
 
 // Teacher endpoints
-app.post('/api/teacher/join', async (req, res) => {
+// Logs in with TEACHER_PASSCODE and returns a teacher token for a new session (as its owner) or
+// an existing one (as a co-teacher, unless it has no owner yet)
+app.post('/api/teacher/join', rateLimit('join'), validateBody(schemas.teacherJoin), async (req, res) => {
   try {
-    let pollState = await loadState();
-    const { teacherId } = req.body;
-    if (!teacherId) {
-      return res.status(400).json({ error: 'teacherId is required' });
+    const { passcode, sessionCode, name } = req.body;
+    if (!isTeacherLoginConfigured()) {
+      return sendError(res, appError(503, 'Teacher login is not configured'));
+    }
+    if (!checkTeacherPasscode(passcode)) {
+      return sendError(res, appError(401, 'Invalid passcode', { field: 'passcode' }));
     }
-    pollState.teacherSocketId = String(teacherId).trim();
-    await saveState(pollState);
-    res.json({ success: true, message: 'Teacher joined' });
+    const teacherId = createParticipantId();
+    // Join an existing session when a code is given, otherwise open a new one
+    const joinedCode = sessionCode === undefined ? await pollService.createSession() : requireSessionCode(req, res);
+    if (!joinedCode) return;
+    const joined = await callService(res, () => pollService.joinTeacher(joinedCode, teacherId, { name }));
+    if (!joined) return;
+    const teacher = joined.result;
+    res.json({
+      success: true,
+      message: 'Teacher joined',
+      sessionCode: joinedCode,
+      teacherId,
+      role: teacher.role,
+      permissions: teacher.permissions,
+      token: issueTeacherToken(joinedCode, teacherId)
+    });
   } catch (error) {
     console.error('Teacher join error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error);
   }
 });
 
-app.post('/api/teacher/ask', async (req, res) => {
+app.post('/api/teacher/ask', teacherOnly, validateBody(schemas.ask), async (req, res) => {
   try {
-    let pollState = await loadState();
-    const { teacherId, text, options, timeLimitSec } = req.body;
-    
-    if (pollState.teacherSocketId !== teacherId) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-    
-    if (!text || !options || !Array.isArray(options) || options.length < 2) {
-      return res.status(400).json({ error: 'Invalid question data' });
-    }
-    
-    const id = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    pollState.currentQuestion = {
-      id,
-      text: String(text).trim().slice(0, 200),
-      options: options.map(opt => String(opt).trim()).filter(opt => opt.length > 0),
-      timeLimitSec: Math.min(Math.max(Number(timeLimitSec) || 60, 5), 300),
-      startedAtMs: Date.now()
-    };
-    
-    if (pollState.currentQuestion.options.length < 2) {
-      return res.status(400).json({ error: 'At least 2 options required' });
-    }
-    
-    const qid = pollState.currentQuestion.id;
-    pollState.answers[qid] = {};
-    pollState.submissions[qid] = {};
-    
-    // Reset student flags
-    Object.keys(pollState.students).forEach(sid => {
-      if (pollState.students[sid]) {
-        pollState.students[sid].hasAnswered = false;
-      }
-    });
-    
-    await saveState(pollState);
-    res.json({ success: true, questionId: id });
+    // Validates the type-specific fields (options, rating scale, numeric range, text length)
+    const asked = await callService(res, () => pollService.askQuestion(req.auth.sessionCode, req.auth.sub, req.body));
+    if (!asked) return;
+    res.json({ success: true, questionId: asked.result.id });
   } catch (error) {
     console.error('Teacher ask error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error);
+  }
+});
+
+app.post('/api/teacher/end', teacherOnly, async (req, res) => {
+  try {
+    const ended = await callService(res, () => pollService.endCurrentQuestion(req.auth.sessionCode, req.auth.sub));
+    if (!ended) return;
+    res.json({ success: true, questionId: ended.result });
+  } catch (error) {
+    console.error('Teacher end error:', error);
+    sendError(res, error);
+  }
+});
+
+// Extend, pause, resume or restart the live question's countdown
+app.post('/api/teacher/timer', teacherOnly, validateBody(schemas.timer), async (req, res) => {
+  try {
+    const { action, seconds } = req.body;
+    const timing = await callService(res, () => pollService.controlTimer(req.auth.sessionCode, req.auth.sub, { action, seconds }));
+    if (!timing) return;
+    res.json({ success: true, ...timing.result });
+  } catch (error) {
+    console.error('Teacher timer error:', error);
+    sendError(res, error);
   }
 });
 
-app.post('/api/teacher/end', async (req, res) => {
+// Removes a student; open sockets of theirs are disconnected and their token can't resume. They
+// may join again as a new student, though not under the same name while their answer to the live
+// question still counts
+// Body: { studentId, discardVotes } - discardVotes takes their answer out of the live results
+app.post('/api/teacher/remove', teacherOnly, validateBody(schemas.remove), async (req, res) => {
+  try {
+    const { studentId, discardVotes } = req.body;
+    const removed = await callService(res, () => (
+      pollService.removeStudent(req.auth.sessionCode, req.auth.sub, { studentId }, { discardVotes: !!discardVotes })
+    ));
+    if (!removed) return;
+    res.json({ success: true, studentId, votesDiscarded: removed.result.votesDiscarded });
+  } catch (error) {
+    console.error('Teacher remove error:', error);
+    sendError(res, error);
+  }
+});
+
+// Removes a student and bans their participant id and name from rejoining or answering
+// Body: { studentId } or { name } (bans the name even if nobody uses it yet), discardVotes
+app.post('/api/teacher/ban', teacherOnly, validateBody(schemas.ban), async (req, res) => {
+  try {
+    const { studentId, name, discardVotes } = req.body;
+    if (!studentId && !(name && String(name).trim())) {
+      return sendError(res, appError(400, 'studentId or name is required', { code: 'validation_failed', field: 'studentId' }));
+    }
+    const removed = await callService(res, () => (
+      pollService.removeStudent(req.auth.sessionCode, req.auth.sub, { studentId, name }, { ban: true, discardVotes: !!discardVotes })
+    ));
+    if (!removed) return;
+    res.json({ success: true, ban: removed.result.ban, votesDiscarded: removed.result.votesDiscarded });
+  } catch (error) {
+    console.error('Teacher ban error:', error);
+    sendError(res, error);
+  }
+});
+
+// Body: { studentId } or { name }; lifts every matching ban
+app.post('/api/teacher/unban', teacherOnly, validateBody(schemas.unban), async (req, res) => {
+  try {
+    const { studentId, name } = req.body;
+    const bans = await callService(res, () => pollService.unbanStudent(req.auth.sessionCode, req.auth.sub, { studentId, name }));
+    if (!bans) return;
+    res.json({ success: true, bans: bans.result });
+  } catch (error) {
+    console.error('Teacher unban error:', error);
+    sendError(res, error);
+  }
+});
+
+// Session defaults. Body: { anonymous, resultsVisibility } - questions asked without their own
+// value use these (resultsVisibility: live, answered, ended or never)
+app.post('/api/teacher/settings', teacherOnly, validateBody(schemas.settings), async (req, res) => {
+  try {
+    const { anonymous, resultsVisibility } = req.body;
+    const settings = await callService(res, () => (
+      pollService.updateSettings(req.auth.sessionCode, req.auth.sub, { anonymous, resultsVisibility })
+    ));
+    if (!settings) return;
+    res.json({ success: true, settings: settings.result });
+  } catch (error) {
+    console.error('Teacher settings error:', error);
+    sendError(res, error);
+  }
+});
+
+// Shows a question's results to every student. Body: { questionId } - omitted for the live question
+app.post('/api/teacher/reveal', teacherOnly, validateBody(schemas.reveal), async (req, res) => {
+  try {
+    const revealed = await callService(res, () => pollService.revealResults(req.auth.sessionCode, req.auth.sub, req.body.questionId));
+    if (!revealed) return;
+    res.json({ success: true, questionId: revealed.result });
+  } catch (error) {
+    console.error('Teacher reveal error:', error);
+    sendError(res, error);
+  }
+});
+
+// Co-teachers (owner only). Body: { teacherId, permissions } - permissions lists what the
+// co-teacher may do: ask (questions, timer, quizzes, reveal, settings), moderate (students, chat), reset
+app.post('/api/teacher/coteacher', teacherOnly, validateBody(schemas.coTeacher), async (req, res) => {
+  try {
+    const { teacherId, permissions } = req.body;
+    const teacher = await callService(res, () => (
+      pollService.setCoTeacherPermissions(req.auth.sessionCode, req.auth.sub, teacherId, permissions)
+    ));
+    if (!teacher) return;
+    res.json({ success: true, teacherId, permissions: teacher.result.permissions });
+  } catch (error) {
+    console.error('Co-teacher update error:', error);
+    sendError(res, error);
+  }
+});
+
+// Body: { teacherId }; the co-teacher's token stops working and their sockets are disconnected
+app.post('/api/teacher/coteacher/remove', teacherOnly, validateBody(schemas.teacherTarget), async (req, res) => {
+  try {
+    const { teacherId } = req.body;
+    const removed = await callService(res, () => pollService.removeCoTeacher(req.auth.sessionCode, req.auth.sub, teacherId));
+    if (!removed) return;
+    res.json({ success: true, teacherId });
+  } catch (error) {
+    console.error('Co-teacher remove error:', error);
+    sendError(res, error);
+  }
+});
+
+// Makes a co-teacher the owner. Body: { teacherId }; the caller stays on as a co-teacher
+app.post('/api/teacher/transfer', teacherOnly, validateBody(schemas.teacherTarget), async (req, res) => {
   try {
-    let pollState = await loadState();
     const { teacherId } = req.body;
-    
-    if (pollState.teacherSocketId !== teacherId) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    const transferred = await callService(res, () => pollService.transferOwnership(req.auth.sessionCode, req.auth.sub, teacherId));
+    if (!transferred) return;
+    res.json({ success: true, ownerId: teacherId });
+  } catch (error) {
+    console.error('Ownership transfer error:', error);
+    sendError(res, error);
+  }
+});
+
+// Quiz runs: start a saved quiz, then step through it with next/previous
+// Body: { quizId, autoAdvance, advanceDelaySec } - autoAdvance launches the next question
+// advanceDelaySec (default 5) after the previous one ends
+app.post('/api/teacher/quiz/start', teacherOnly, validateBody(schemas.quizStart), async (req, res) => {
+  try {
+    const { quizId, autoAdvance, advanceDelaySec } = req.body;
+    const started = await callService(res, () => (
+      pollService.controlQuiz(req.auth.sessionCode, req.auth.sub, { action: 'start', quizId, autoAdvance, advanceDelaySec })
+    ));
+    if (!started) return;
+    res.json({ success: true, questionId: started.result });
+  } catch (error) {
+    console.error('Quiz start error:', error);
+    sendError(res, error);
+  }
+});
+
+// Ends the live question (if any) and launches the next or previous quiz question
+app.post('/api/teacher/quiz/:direction(next|previous)', teacherOnly, async (req, res) => {
+  try {
+    const stepped = await callService(res, () => (
+      pollService.controlQuiz(req.auth.sessionCode, req.auth.sub, { action: req.params.direction })
+    ));
+    if (!stepped) return;
+    res.json({ success: true, questionId: stepped.result });
+  } catch (error) {
+    console.error('Quiz step error:', error);
+    sendError(res, error);
+  }
+});
+
+// Leaves quiz mode; a live question keeps running
+app.post('/api/teacher/quiz/stop', teacherOnly, async (req, res) => {
+  try {
+    const stopped = await callService(res, () => pollService.controlQuiz(req.auth.sessionCode, req.auth.sub, { action: 'stop' }));
+    if (!stopped) return;
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Quiz stop error:', error);
+    sendError(res, error);
+  }
+});
+
+// Question bank (teacher only): saved questions take the same fields as /api/teacher/ask
+app.get('/api/bank/questions', bankTeacherOnly, async (_req, res) => {
+  try {
+    res.json({ questions: await questionBank.listQuestions() });
+  } catch (error) {
+    console.error('Bank list error:', error);
+    sendError(res, error);
+  }
+});
+
+app.post('/api/bank/questions', bankTeacherOnly, validateBody(schemas.bankQuestion), async (req, res) => {
+  try {
+    const created = await callService(res, () => questionBank.createQuestion(req.body));
+    if (!created) return;
+    res.status(201).json(created.result);
+  } catch (error) {
+    console.error('Bank create error:', error);
+    sendError(res, error);
+  }
+});
+
+app.get('/api/bank/questions/:id', bankTeacherOnly, async (req, res) => {
+  try {
+    const found = await callService(res, () => questionBank.getQuestion(req.params.id));
+    if (!found) return;
+    res.json(found.result);
+  } catch (error) {
+    console.error('Bank get error:', error);
+    sendError(res, error);
+  }
+});
+
+app.put('/api/bank/questions/:id', bankTeacherOnly, validateBody(schemas.bankQuestion), async (req, res) => {
+  try {
+    const updated = await callService(res, () => questionBank.updateQuestion(req.params.id, req.body));
+    if (!updated) return;
+    res.json(updated.result);
+  } catch (error) {
+    console.error('Bank update error:', error);
+    sendError(res, error);
+  }
+});
+
+// Refused with 409 while a quiz still uses the question
+app.delete('/api/bank/questions/:id', bankTeacherOnly, async (req, res) => {
+  try {
+    const deleted = await callService(res, () => questionBank.deleteQuestion(req.params.id));
+    if (!deleted) return;
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Bank delete error:', error);
+    sendError(res, error);
+  }
+});
+
+// Quizzes: { title, items: [questionId | { questionId, timeLimitSec }] }
+app.get('/api/bank/quizzes', bankTeacherOnly, async (_req, res) => {
+  try {
+    res.json({ quizzes: await questionBank.listQuizzes() });
+  } catch (error) {
+    console.error('Quiz list error:', error);
+    sendError(res, error);
+  }
+});
+
+app.post('/api/bank/quizzes', bankTeacherOnly, validateBody(schemas.quiz), async (req, res) => {
+  try {
+    const created = await callService(res, () => questionBank.createQuiz(req.body));
+    if (!created) return;
+    res.status(201).json(created.result);
+  } catch (error) {
+    console.error('Quiz create error:', error);
+    sendError(res, error);
+  }
+});
+
+// Creates a quiz (and its questions) from a file made by the export endpoint
+app.post('/api/bank/quizzes/import', bankTeacherOnly, validateBody(schemas.quizImport), async (req, res) => {
+  try {
+    const imported = await callService(res, () => questionBank.importQuiz(req.body));
+    if (!imported) return;
+    res.status(201).json(imported.result);
+  } catch (error) {
+    console.error('Quiz import error:', error);
+    sendError(res, error);
+  }
+});
+
+app.get('/api/bank/quizzes/:id', bankTeacherOnly, async (req, res) => {
+  try {
+    const found = await callService(res, () => questionBank.getQuiz(req.params.id));
+    if (!found) return;
+    res.json(found.result);
+  } catch (error) {
+    console.error('Quiz get error:', error);
+    sendError(res, error);
+  }
+});
+
+// The quiz with its questions inlined, as a JSON download
+app.get('/api/bank/quizzes/:id/export', bankTeacherOnly, async (req, res) => {
+  try {
+    const exported = await callService(res, () => questionBank.exportQuiz(req.params.id));
+    if (!exported) return;
+    res.set('Content-Disposition', `attachment; filename="quiz-${req.params.id}.json"`);
+    res.json(exported.result);
+  } catch (error) {
+    console.error('Quiz export error:', error);
+    sendError(res, error);
+  }
+});
+
+app.put('/api/bank/quizzes/:id', bankTeacherOnly, validateBody(schemas.quizUpdate), async (req, res) => {
+  try {
+    const updated = await callService(res, () => questionBank.updateQuiz(req.params.id, req.body));
+    if (!updated) return;
+    res.json(updated.result);
+  } catch (error) {
+    console.error('Quiz update error:', error);
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/bank/quizzes/:id', bankTeacherOnly, async (req, res) => {
+  try {
+    const deleted = await callService(res, () => questionBank.deleteQuiz(req.params.id));
+    if (!deleted) return;
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Quiz delete error:', error);
+    sendError(res, error);
+  }
+});
+
+// Student endpoints
+// Registers a student and returns the token that identifies them on later requests
+app.post('/api/student/join', rateLimit('join'), validateBody(schemas.studentJoin), async (req, res) => {
+  try {
+    const { name, resumeToken } = req.body;
+
+    // Rejoining with the token from an earlier join (body or Authorization header) keeps the
+    // same student id, record and answers instead of registering a new student
+    const resume = resumeToken ? verifyResumeToken(resumeToken) : verifyResumeToken(getBearerToken(req));
+    const requestedCode = req.body.sessionCode ?? req.query.sessionCode;
+    if (resume && (requestedCode === undefined || normalizeSessionCode(requestedCode) === resume.sessionCode)) {
+      req.auth = resume;
     }
-    
-    if (!pollState.currentQuestion) {
-      return res.status(400).json({ error: 'No active question' });
+    const resumed = !!req.auth;
+
+    if (!resumed && (!name || !String(name).trim())) {
+      return sendError(res, appError(400, 'name is required', { code: 'validation_failed', field: 'name' }));
     }
-    
-    // Move to history
-    const q = pollState.currentQuestion;
-    const qid = q.id;
-    const counts = q.options.map((_, idx) => (pollState.answers[qid]?.[idx] || 0));
-    
-    pollState.history.unshift({
-      id: qid,
-      text: q.text,
-      options: q.options,
-      results: counts,
-      startedAtMs: q.startedAtMs,
-      timeLimitSec: q.timeLimitSec
+
+    const safeName = String(name || '').trim().slice(0, 40);
+    const sessionCode = requireSessionCode(req, res);
+    if (!sessionCode) return;
+    const studentId = resumed ? req.auth.sub : createParticipantId();
+    const joined = await callService(res, async () => (resumed
+      ? pollService.resumeStudent(sessionCode, studentId, safeName)
+      : (await pollService.joinStudent(sessionCode, studentId, safeName)).student));
+    if (!joined) return;
+    res.json({
+      success: true,
+      studentName: joined.result.name,
+      sessionCode,
+      studentId,
+      resumed,
+      hasAnswered: joined.result.hasAnswered,
+      token: issueStudentToken(sessionCode, studentId)
     });
-    
-    if (pollState.history.length > 10) pollState.history.pop();
-    
-    pollState.currentQuestion = null;
-    // Clean up answers/submissions for this question to save space
-    delete pollState.answers[qid];
-    delete pollState.submissions[qid];
-    
-    await saveState(pollState);
+  } catch (error) {
+    console.error('Student join error:', error);
+    sendError(res, error);
+  }
+});
+
+// The question ends as soon as every student has answered
+app.post('/api/student/answer', requireStudent, rateLimit('answer', byParticipant), validateBody(schemas.answer), async (req, res) => {
+  try {
+    // `answer` carries any question type; `optionIndex` is still accepted for single choice
+    const { answer = req.body.optionIndex } = req.body;
+    const submitted = await callService(res, () => pollService.submitAnswer(req.auth.sessionCode, req.auth.sub, answer));
+    if (!submitted) return;
     res.json({ success: true });
   } catch (error) {
-    console.error('Teacher end error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Student answer error:', error);
+    sendError(res, error);
   }
 });
 
-// Student endpoints
-app.post('/api/student/join', async (req, res) => {
+// Chat (teacher or student token). Senders are identified by their token, never the body
+// Messages visible to the caller, oldest first, with the chat settings
+app.get('/api/chat', requireParticipant, rateLimit('state', byParticipant), async (req, res) => {
   try {
-    let pollState = await loadState();
-    const { studentId, name } = req.body;
-    
-    if (!studentId || !name || !String(name).trim()) {
-      return res.status(400).json({ error: 'studentId and name are required' });
+    const history = await callService(res, () => chatService.getHistory(req.auth.sessionCode, { id: req.auth.sub, role: req.auth.role }));
+    if (!history) return;
+    res.json(history.result);
+  } catch (error) {
+    console.error('Chat history error:', error);
+    sendError(res, error);
+  }
+});
+
+// Body: { message, to } - `to` (teacher only) sends a private message to one student
+app.post('/api/chat', requireParticipant, rateLimit('chat', byParticipant), validateBody(schemas.chatMessage), async (req, res) => {
+  try {
+    const { message, to } = req.body;
+    const sent = await callService(res, () => chatService.postMessage(
+      req.auth.sessionCode,
+      { id: req.auth.sub, role: req.auth.role },
+      { text: message, to }
+    ));
+    if (!sent) return;
+    res.json({ success: true, message: sent.result });
+  } catch (error) {
+    console.error('Chat message error:', error);
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/chat/:messageId', teacherOnly, async (req, res) => {
+  try {
+    const deleted = await callService(res, () => chatService.deleteMessage(req.auth.sessionCode, req.auth.sub, req.params.messageId));
+    if (!deleted) return;
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Chat delete error:', error);
+    sendError(res, error);
+  }
+});
+
+// Body: { studentId, muted } (muted defaults to true)
+app.post('/api/chat/mute', teacherOnly, validateBody(schemas.chatMute), async (req, res) => {
+  try {
+    const { studentId, muted = true } = req.body;
+    const updated = await callService(res, () => chatService.setMuted(req.auth.sessionCode, req.auth.sub, studentId, muted));
+    if (!updated) return;
+    res.json({ success: true, muted: updated.result });
+  } catch (error) {
+    console.error('Chat mute error:', error);
+    sendError(res, error);
+  }
+});
+
+// Body: { enabled, disableDuringQuestion }
+app.post('/api/chat/settings', teacherOnly, validateBody(schemas.chatSettings), async (req, res) => {
+  try {
+    const { enabled, disableDuringQuestion } = req.body;
+    const updated = await callService(res, () => chatService.updateSettings(
+      req.auth.sessionCode,
+      req.auth.sub,
+      { enabled, disableDuringQuestion }
+    ));
+    if (!updated) return;
+    res.json({ success: true, settings: updated.result });
+  } catch (error) {
+    console.error('Chat settings error:', error);
+    sendError(res, error);
+  }
+});
+
+// Get poll state; results follow the question's visibility for the caller's token (if any)
+// Sends an ETag so clients polling with If-None-Match get a 304 when nothing changed
+app.get('/api/poll/state', rateLimit('state', byParticipant), async (req, res) => {
+  try {
+    const pollState = await loadSessionState(req, res);
+    if (!pollState) return;
+    const payload = getPublicState(pollState, getViewer(req, pollState.sessionCode));
+    const etag = `"${stateTag(payload)}"`;
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'no-cache');
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end();
     }
-    
-    const safeName = String(name).trim().slice(0, 40);
-    
-    if (pollState.studentNames.has(safeName)) {
-      return res.status(400).json({ error: 'Name already taken' });
+    res.json(payload);
+  } catch (error) {
+    console.error('Poll state error:', error);
+    sendError(res, error);
+  }
+});
+
+// Teacher dashboard: the poll state plus the roster, answer status and per-option breakdown.
+// Same ETag handling as /api/poll/state
+app.get('/api/teacher/state', teacherOnly, async (req, res) => {
+  try {
+    const pollState = await loadTeacherState(req, res);
+    if (!pollState) return;
+    const payload = getTeacherState(pollState);
+    const etag = `"${stateTag(payload)}"`;
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'no-cache');
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end();
     }
-    
-    pollState.studentNames.add(safeName);
-    pollState.students[String(studentId).trim()] = { name: safeName, hasAnswered: false };
-    
-    await saveState(pollState);
-    res.json({ success: true, studentName: safeName });
+    res.json(payload);
   } catch (error) {
-    console.error('Student join error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Teacher state error:', error);
+    sendError(res, error);
   }
 });
 
-app.post('/api/student/answer', async (req, res) => {
+// Stream poll state as Server-Sent Events (supports Last-Event-ID resume)
+app.get('/api/poll/stream', rateLimit('stream', byParticipant), async (req, res) => {
   try {
-    let pollState = await loadState();
-    const { studentId, optionIndex } = req.body;
-    
-    if (!pollState.currentQuestion) {
-      return res.status(400).json({ error: 'No active question' });
+    const sessionCode = getSessionCode(req);
+    if (!sessionCode) {
+      return sendError(res, appError(400, 'Valid sessionCode is required', { code: 'validation_failed', field: 'sessionCode' }));
     }
-    
-    const qid = pollState.currentQuestion.id;
-    
-    if (pollState.submissions[qid][String(studentId)] !== undefined) {
-      return res.status(400).json({ error: 'Already answered' });
+    await pollStream.handle(req, res, sessionCode, getViewer(req, sessionCode));
+  } catch (error) {
+    console.error('Poll stream error:', error);
+    if (!res.headersSent) sendError(res, error);
+  }
+});
+
+// Full quiz leaderboard; scores only include questions that have ended
+app.get('/api/leaderboard', rateLimit('state', byParticipant), async (req, res) => {
+  try {
+    const pollState = await loadSessionState(req, res);
+    if (!pollState) return;
+    res.json({ sessionCode: pollState.sessionCode, leaderboard: buildLeaderboard(pollState.students) });
+  } catch (error) {
+    console.error('Leaderboard error:', error);
+    sendError(res, error);
+  }
+});
+
+// History of ended questions (teacher only)
+// Query: page, pageSize, search (question/option text), from/to (end time, ms or ISO date)
+app.get('/api/history', teacherOnly, validateQuery(schemas.historyQuery), async (req, res) => {
+  try {
+    const pollState = await loadTeacherState(req, res);
+    if (!pollState) return;
+    res.json(queryHistory(await loadHistoryIndex(store, pollState.sessionCode), req.query));
+  } catch (error) {
+    console.error('History error:', error);
+    sendError(res, error);
+  }
+});
+
+// Full breakdown of one ended question, including each student's answer
+app.get('/api/history/:questionId', teacherOnly, async (req, res) => {
+  try {
+    const pollState = await loadTeacherState(req, res);
+    if (!pollState) return;
+    const entry = await getHistoryEntry(store, pollState.sessionCode, req.params.questionId);
+    if (!entry) {
+      return sendError(res, appError(404, 'Question not found in history'));
     }
-    
-    const idx = Number(optionIndex);
-    if (Number.isNaN(idx) || idx < 0 || idx >= pollState.currentQuestion.options.length) {
-      return res.status(400).json({ error: 'Invalid option' });
+    res.json(entry);
+  } catch (error) {
+    console.error('History entry error:', error);
+    sendError(res, error);
+  }
+});
+
+// Export session results and the audit log (teacher only)
+// Query: format=csv|json (default csv), report=all|summary|responses|audit (CSV only)
+app.get('/api/export', teacherOnly, validateQuery(schemas.exportQuery), async (req, res) => {
+  try {
+    const pollState = await loadTeacherState(req, res);
+    if (!pollState) return;
+    const { sessionCode } = pollState;
+    const { entries, truncated } = await auditLog.getLog(sessionCode);
+    sendExport(res, {
+      ...pollState,
+      history: await loadHistory(store, sessionCode),
+      audit: entries,
+      auditTruncated: truncated
+    }, req.query);
+  } catch (error) {
+    console.error('Export error:', error);
+    sendError(res, error);
+  }
+});
+
+// Closes the session: the live question ends, students can no longer join, answer or chat, and
+// the roster and history are archived. Teachers can still read the session until it is cleaned up
+app.post('/api/teacher/close', teacherOnly, async (req, res) => {
+  try {
+    const archived = await callService(res, () => pollService.closeSession(req.auth.sessionCode, req.auth.sub));
+    if (!archived) return;
+    res.json({ success: true, archive: archived.result });
+  } catch (error) {
+    console.error('Session close error:', error);
+    sendError(res, error);
+  }
+});
+
+// Archived sessions of the archive key's session, most recent first
+app.get('/api/archive', archiveReaderOnly, async (req, res) => {
+  try {
+    res.json({ archives: await sessionArchive.listArchives(req.archiveReader) });
+  } catch (error) {
+    console.error('Archive list error:', error);
+    sendError(res, error);
+  }
+});
+
+// The archived roster, leaderboard and full history, read-only
+app.get('/api/archive/:archiveId', archiveReaderOnly, async (req, res) => {
+  try {
+    const found = await callService(res, () => sessionArchive.getArchive(req.params.archiveId, req.archiveReader));
+    if (!found) return;
+    res.json(found.result);
+  } catch (error) {
+    console.error('Archive get error:', error);
+    sendError(res, error);
+  }
+});
+
+// Same formats as /api/export
+app.get('/api/archive/:archiveId/export', archiveReaderOnly, validateQuery(schemas.exportQuery), async (req, res) => {
+  try {
+    const found = await callService(res, () => sessionArchive.getArchive(req.params.archiveId, req.archiveReader));
+    if (!found) return;
+    sendExport(res, found.result, req.query);
+  } catch (error) {
+    console.error('Archive export error:', error);
+    sendError(res, error);
+  }
+});
+
+// Runs the cleanup of old sessions, students and archives on hosts without a long-running
+// process (e.g. a Vercel cron job), authorized with Authorization: Bearer <CRON_SECRET>
+app.get('/api/cron/cleanup', async (req, res) => {
+  try {
+    if (!process.env.CRON_SECRET) {
+      return sendError(res, appError(503, 'Cleanup endpoint is not configured'));
     }
-    
-    pollState.submissions[qid][String(studentId)] = idx;
-    pollState.answers[qid][idx] = (pollState.answers[qid][idx] || 0) + 1;
-    
-    if (pollState.students[String(studentId)]) {
-      pollState.students[String(studentId)].hasAnswered = true;
+    if (getBearerToken(req) !== process.env.CRON_SECRET) {
+      return sendError(res, appError(401, 'Unauthorized'));
     }
-    
-    await saveState(pollState);
+    res.json({ success: true, ...(await sessionArchive.cleanup()) });
+  } catch (error) {
+    console.error('Cleanup error:', error);
+    sendError(res, error);
+  }
+});
+
+// Outbound webhooks of the teacher's session. Any teacher may list them and their deliveries; only
+// the owner may add or remove them. See webhooks.js for the events, payload and signature
+app.get('/api/webhooks', teacherOnly, async (req, res) => {
+  try {
+    const hooks = await callService(res, () => webhooks.listHooks(req.auth.sessionCode, req.auth.sub));
+    if (!hooks) return;
+    res.json({ webhooks: hooks.result });
+  } catch (error) {
+    console.error('Webhook list error:', error);
+    sendError(res, error);
+  }
+});
+
+// Body: { url, events, secret } - events defaults to all of them and secret to a generated one.
+// The response is the only place the secret is shown
+app.post('/api/webhooks', teacherOnly, validateBody(schemas.webhook), async (req, res) => {
+  try {
+    const created = await callService(res, () => webhooks.registerHook(req.auth.sessionCode, req.auth.sub, req.body));
+    if (!created) return;
+    res.status(201).json(created.result);
+  } catch (error) {
+    console.error('Webhook create error:', error);
+    sendError(res, error);
+  }
+});
+
+// The last deliveries, most recent first. Query: hookId - only that webhook's
+app.get('/api/webhooks/deliveries', teacherOnly, validateQuery(schemas.webhookDeliveryQuery), async (req, res) => {
+  try {
+    const deliveries = await callService(res, () => webhooks.listDeliveries(req.auth.sessionCode, req.auth.sub, req.query));
+    if (!deliveries) return;
+    res.json({ deliveries: deliveries.result });
+  } catch (error) {
+    console.error('Webhook deliveries error:', error);
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/webhooks/:hookId', teacherOnly, async (req, res) => {
+  try {
+    const removed = await callService(res, () => webhooks.removeHook(req.auth.sessionCode, req.auth.sub, req.params.hookId));
+    if (!removed) return;
     res.json({ success: true });
   } catch (error) {
-    console.error('Student answer error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Webhook delete error:', error);
+    sendError(res, error);
   }
 });
 
-// Get poll state
-app.get('/api/poll/state', async (req, res) => {
+// The session's audit log (any teacher), most recent first. See auditLog.js for the entries
+// Query: type (comma-separated event types, or prefixes like student), actor=teacher|student|system,
+// participantId, questionId, from/to (ms or ISO date), page, pageSize
+app.get('/api/audit', teacherOnly, validateQuery(schemas.auditQuery), async (req, res) => {
   try {
-    const pollState = await loadState();
-    let results = null;
-    const hasQuestion = !!pollState.currentQuestion;
-    
-    if (hasQuestion) {
-      const qid = pollState.currentQuestion.id;
-      const counts = pollState.answers[qid] || {};
-      const totals = pollState.currentQuestion.options.map((_, idx) => counts[idx] || 0);
-      const totalVotes = totals.reduce((a, b) => a + b, 0);
-      results = { totals, totalVotes };
-    }
-    
-    res.json({
-      hasQuestion,
-      currentQuestion: hasQuestion ? {
-        id: pollState.currentQuestion.id,
-        text: pollState.currentQuestion.text,
-        options: pollState.currentQuestion.options,
-        timeLimitSec: pollState.currentQuestion.timeLimitSec,
-        startedAtMs: pollState.currentQuestion.startedAtMs
-      } : null,
-      results,
-      studentCount: Object.keys(pollState.students).length,
-      history: pollState.history.slice(0, 10)
-    });
+    const entries = await callService(res, () => auditLog.query(req.auth.sessionCode, req.auth.sub, req.query));
+    if (!entries) return;
+    res.json(entries.result);
   } catch (error) {
-    console.error('Poll state error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Audit log error:', error);
+    sendError(res, error);
   }
 });
 
 // Reset poll
-app.post('/api/poll/reset', async (req, res) => {
+app.post('/api/poll/reset', teacherOnly, async (req, res) => {
   try {
-    let pollState = await loadState();
-    const { teacherId } = req.body;
-    
-    if (pollState.teacherSocketId !== teacherId) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-    
-    pollState = {
-      teacherSocketId: null,
-      students: {},
-      studentNames: new Set(),
-      currentQuestion: null,
-      answers: {},
-      submissions: {},
-      history: []
-    };
-    
-    await saveState(pollState);
-    res.json({ success: true });
+    // Only this session is wiped, after archiving it; the code and teachers stay in place
+    const archived = await callService(res, () => pollService.resetAll(req.auth.sessionCode, req.auth.sub));
+    if (!archived) return;
+    res.json({ success: true, archiveId: archived.result ? archived.result.archiveId : null });
   } catch (error) {
     console.error('Poll reset error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error);
   }
 });
 
 // Catch-all route
 app.get('*', (_req, res) => {
   res.status(404).json({ 
-    error: 'Not Found',
+    error: errorBody(appError(404, 'Not Found')),
     message: 'This is a REST API server for the Live Polling System',
     availableEndpoints: [
       '/', 
@@ -327,16 +1006,60 @@ app.get('*', (_req, res) => {
       '/api/teacher/join', 
       '/api/teacher/ask', 
       '/api/teacher/end', 
+      '/api/teacher/timer', 
+      '/api/teacher/remove', 
+      '/api/teacher/ban', 
+      '/api/teacher/unban', 
+      '/api/teacher/settings', 
+      '/api/teacher/state', 
+      '/api/teacher/reveal', 
+      '/api/teacher/coteacher', 
+      '/api/teacher/coteacher/remove', 
+      '/api/teacher/transfer', 
+      '/api/teacher/quiz/start', 
+      '/api/teacher/quiz/next', 
+      '/api/teacher/quiz/previous', 
+      '/api/teacher/quiz/stop', 
+      '/api/bank/questions', 
+      '/api/bank/questions/:id', 
+      '/api/bank/quizzes', 
+      '/api/bank/quizzes/import', 
+      '/api/bank/quizzes/:id', 
+      '/api/bank/quizzes/:id/export', 
       '/api/student/join', 
       '/api/student/answer', 
       '/api/poll/state', 
-      '/api/poll/reset'
+      '/api/poll/stream', 
+      '/api/poll/reset', 
+      '/api/teacher/close', 
+      '/api/archive', 
+      '/api/archive/:archiveId', 
+      '/api/archive/:archiveId/export', 
+      '/api/cron/cleanup', 
+      '/api/webhooks', 
+      '/api/webhooks/:hookId', 
+      '/api/webhooks/deliveries', 
+      '/api/audit', 
+      '/api/chat', 
+      '/api/chat/:messageId', 
+      '/api/chat/mute', 
+      '/api/chat/settings', 
+      '/api/leaderboard', 
+      '/api/history', 
+      '/api/history/:questionId', 
+      '/api/export'
     ]
   });
 });
 
 module.exports = app;
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-}); 
+// Tests (NODE_ENV=test, set by Jest) use the app without listening, or start the server themselves
+module.exports.server = server;
+if (process.env.NODE_ENV !== 'test') {
+  sessionArchive.startCleanup();
+  const PORT = process.env.PORT || 3000;
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT} (realtime: ${realtimeEnabled ? 'on' : 'off'})`);
+  });
+}
+ 
@@ -0,0 +1,165 @@
+// Session results export built from the history the caller passes as state.history (full entries,
+// see pollHistory; archives carry their own), oldest question first, plus the session's audit log
+// when the caller passes it as state.audit (and state.auditTruncated if older entries were dropped)
+const { questionType, submissionAnswer, formatAnswer } = require('./questionTypes');
+
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : '';
+}
+
+function buildExport(state) {
+  const questions = [...state.history].reverse();
+
+  const summary = questions.map((entry, index) => ({
+    number: index + 1,
+    questionId: entry.id,
+    text: entry.text,
+    type: questionType(entry),
+    totalVotes: entry.totalVotes,
+    participantCount: entry.participantCount,
+    participationRate: entry.participationRate,
+    startedAt: toIso(entry.startedAtMs),
+    endedAt: toIso(entry.endedAtMs),
+    isQuiz: !!entry.isQuiz,
+    anonymous: !!entry.anonymous,
+    options: entry.options.map((option, idx) => ({
+      option,
+      // null for plain polls, which have no right answer
+      isCorrect: entry.isQuiz ? entry.correctOptions.includes(idx) : null,
+      votes: entry.results[idx] || 0,
+      percent: entry.totalVotes ? ((entry.results[idx] || 0) / entry.totalVotes) * 100 : 0
+    })),
+    // Rating average, numeric statistics or word frequencies; null for single choice
+    stats: entry.stats || null
+  }));
+
+  // Everyone who answered anything, plus the current roster
+  const students = new Map();
+  Object.entries(state.students).forEach(([studentId, student]) => students.set(studentId, student.name));
+  questions.forEach((entry) => entry.submissions.forEach(({ studentId, name }) => {
+    if (!students.has(studentId) || !students.get(studentId)) students.set(studentId, name);
+  }));
+
+  const responses = {
+    questions: questions.map((entry, index) => ({
+      number: index + 1,
+      questionId: entry.id,
+      text: entry.text,
+      isQuiz: !!entry.isQuiz,
+      // Anonymous questions only have aggregate results; every student's answer is null
+      anonymous: !!entry.anonymous
+    })),
+    students: [...students].map(([studentId, name]) => {
+      const answers = questions.map((entry) => {
+        const submission = entry.submissions.find((item) => item.studentId === studentId);
+        if (!submission) return null;
+        return { option: formatAnswer(entry, submissionAnswer(submission)), correct: submission.correct ?? null, points: submission.points || 0 };
+      });
+      // Summed from the archive so students who left still get their total
+      const score = answers.reduce((total, answer) => total + (answer?.points || 0), 0);
+      return { studentId, name, score, answers };
+    })
+  };
+
+  const audit = (state.audit || []).map((entry) => ({ ...entry, at: toIso(entry.atMs) }));
+
+  return {
+    sessionCode: state.sessionCode,
+    exportedAt: new Date().toISOString(),
+    summary,
+    responses,
+    audit,
+    auditTruncated: !!state.auditTruncated
+  };
+}
+
+// RFC 4180 quoting; text cells that a spreadsheet would run as a formula get a leading '.
+// Plain numbers (e.g. a numeric answer of -5, which arrives as text) are left as they are
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  const isFormula = /^[=+\-@\t\r]/.test(text) && !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text);
+  if (typeof value === 'string' && isFormula) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function yesNo(value) {
+  if (value === null || value === undefined) return '';
+  return value ? 'yes' : 'no';
+}
+
+function csvRows(rows) {
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n');
+}
+
+function summaryCsv({ summary }) {
+  const header = ['Question #', 'Question ID', 'Question', 'Anonymous', 'Option', 'Correct', 'Votes', 'Percent', 'Total votes', 'Participants', 'Participation rate', 'Started at', 'Ended at'];
+  const rows = [];
+  summary.forEach((question) => {
+    const questionRow = (option) => [
+      question.number,
+      question.questionId,
+      question.text,
+      yesNo(question.anonymous),
+      option?.option,
+      option ? yesNo(option.isCorrect) : '',
+      option?.votes,
+      option?.percent.toFixed(1),
+      question.totalVotes,
+      question.participantCount,
+      (question.participationRate * 100).toFixed(1),
+      question.startedAt,
+      question.endedAt
+    ];
+    // Numeric and free-text questions have no options; they get one row without option columns
+    if (!question.options.length) rows.push(questionRow(null));
+    question.options.forEach((option) => rows.push(questionRow(option)));
+  });
+  return csvRows([header, ...rows]);
+}
+
+// Quiz questions get an extra "correct" column next to the chosen option
+function responsesCsv({ responses }) {
+  const header = ['Student', 'Student ID', 'Score'];
+  responses.questions.forEach((q) => {
+    header.push(`Q${q.number}: ${q.text}${q.anonymous ? ' (anonymous)' : ''}`);
+    if (q.isQuiz) header.push(`Q${q.number} correct`);
+  });
+  const rows = responses.students.map((student) => {
+    const row = [student.name, student.studentId, student.score];
+    responses.questions.forEach((q, idx) => {
+      const answer = student.answers[idx];
+      row.push(answer?.option);
+      if (q.isQuiz) row.push(answer ? yesNo(answer.correct) : '');
+    });
+    return row;
+  });
+  return csvRows([header, ...rows]);
+}
+
+// Oldest first; details holds the event's own fields as JSON
+function auditCsv({ audit }) {
+  const header = ['#', 'Time', 'Event', 'Actor role', 'Actor ID', 'IP', 'Participant ID', 'Question ID', 'Details'];
+  const rows = audit.map((entry, index) => [
+    index + 1,
+    entry.at,
+    entry.type,
+    entry.actor.role,
+    entry.actor.id,
+    entry.actor.ip,
+    entry.participantId,
+    entry.questionId,
+    Object.keys(entry.details).length ? JSON.stringify(entry.details) : ''
+  ]);
+  return csvRows([header, ...rows]);
+}
+
+// report: 'summary', 'responses', 'audit' or 'all' (all three tables, separated by a blank line)
+function toCsv(exportData, report = 'all') {
+  if (report === 'summary') return summaryCsv(exportData);
+  if (report === 'responses') return responsesCsv(exportData);
+  if (report === 'audit') return auditCsv(exportData);
+  return [summaryCsv(exportData), responsesCsv(exportData), auditCsv(exportData)].join('\r\n\r\n');
+}
+
+module.exports = { buildExport, toCsv };
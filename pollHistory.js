@@ -0,0 +1,132 @@
+const { submissionAnswer, formatAnswer } = require('./questionTypes');
+
+// Ended questions live outside the session state, which is rewritten on every vote:
+//   history:<code>:<questionId>  the full entry, with who answered what (see archiveCurrentQuestion)
+//   history:<code>               summaries of every entry, most recent first
+// The session state keeps the last few summaries for the public state (recentHistory)
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function historyKey(sessionCode) {
+  return `history:${sessionCode}`;
+}
+
+function historyEntryKey(sessionCode, questionId) {
+  return `history:${sessionCode}:${questionId}`;
+}
+
+// History entry without the per-student submissions (public payloads and listings)
+function summarizeHistoryEntry(entry) {
+  const { submissions, ...summary } = entry;
+  return summary;
+}
+
+// entries: ended questions, oldest first
+async function saveHistoryEntries(store, sessionCode, entries) {
+  for (const entry of entries) await store.set(historyEntryKey(sessionCode, entry.id), entry);
+  const ids = new Set(entries.map((entry) => entry.id));
+  await store.update(historyKey(sessionCode), (index) => [
+    ...entries.map(summarizeHistoryEntry).reverse(),
+    ...(index || []).filter((summary) => !ids.has(summary.id))
+  ]);
+}
+
+// Summaries, most recent first
+async function loadHistoryIndex(store, sessionCode) {
+  return (await store.get(historyKey(sessionCode))) || [];
+}
+
+async function loadHistoryEntry(store, sessionCode, questionId) {
+  return store.get(historyEntryKey(sessionCode, questionId));
+}
+
+// Full entries, most recent first
+async function loadHistory(store, sessionCode) {
+  const index = await loadHistoryIndex(store, sessionCode);
+  const entries = await Promise.all(index.map((summary) => loadHistoryEntry(store, sessionCode, summary.id)));
+  return entries.filter(Boolean);
+}
+
+// Applies changes (fields of the entry, e.g. resultsRevealed) to a stored entry and its summary
+async function updateHistoryEntry(store, sessionCode, questionId, changes) {
+  await store.update(historyEntryKey(sessionCode, questionId), (entry) => entry && { ...entry, ...changes });
+  await store.update(historyKey(sessionCode), (index) => (index || []).map((summary) => (
+    summary.id === questionId ? { ...summary, ...changes } : summary
+  )));
+}
+
+// Deletes the entries with questionIds, or the whole history when questionIds is omitted
+async function clearHistory(store, sessionCode, questionIds = null) {
+  const ids = questionIds || (await loadHistoryIndex(store, sessionCode)).map((summary) => summary.id);
+  for (const questionId of ids) await store.del(historyEntryKey(sessionCode, questionId));
+  if (!questionIds) {
+    await store.del(historyKey(sessionCode));
+    return;
+  }
+  await store.update(historyKey(sessionCode), (index) => (index || []).filter((summary) => !ids.includes(summary.id)));
+}
+
+// Accepts epoch milliseconds or anything Date can parse; null when absent or invalid
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const asNumber = Number(value);
+  const ms = Number.isNaN(asNumber) ? Date.parse(value) : asNumber;
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// Filters and paginates a session's history summaries (most recent first). Filters:
+//   search  - case-insensitive match on question or option text
+//   from/to - range on the question's end time
+function queryHistory(history, { page, pageSize, search, from, to } = {}) {
+  const size = Math.min(Math.max(Number(pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(Math.floor(Number(page)) || 1, 1);
+  const needle = String(search || '').trim().toLowerCase();
+  const fromMs = parseTime(from);
+  const toMs = parseTime(to);
+
+  const matches = history.filter((entry) => {
+    if (fromMs !== null && entry.endedAtMs < fromMs) return false;
+    if (toMs !== null && entry.endedAtMs > toMs) return false;
+    if (needle) {
+      const haystack = [entry.text, ...entry.options].join('\n').toLowerCase();
+      if (!haystack.includes(needle)) return false;
+    }
+    return true;
+  });
+
+  return {
+    items: matches.slice((pageNumber - 1) * size, pageNumber * size).map(summarizeHistoryEntry),
+    page: pageNumber,
+    pageSize: size,
+    total: matches.length,
+    totalPages: Math.ceil(matches.length / size)
+  };
+}
+
+// Full record of one ended question, including who answered what; null if there is none
+async function getHistoryEntry(store, sessionCode, questionId) {
+  const entry = await loadHistoryEntry(store, sessionCode, questionId);
+  if (!entry) return null;
+  return {
+    ...entry,
+    submissions: entry.submissions.map((submission) => ({
+      ...submission,
+      answer: submissionAnswer(submission),
+      option: formatAnswer(entry, submissionAnswer(submission)),
+      responseTimeMs: submission.answeredAtMs - entry.startedAtMs
+    }))
+  };
+}
+
+module.exports = {
+  summarizeHistoryEntry,
+  saveHistoryEntries,
+  loadHistoryIndex,
+  loadHistoryEntry,
+  loadHistory,
+  updateHistoryEntry,
+  clearHistory,
+  queryHistory,
+  getHistoryEntry,
+  parseTime
+};
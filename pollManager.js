@@ -1,250 +1,157 @@
-function createEmptyState() {
-  return {
-    teacherSocketId: null,
-    // students: socketId -> { name, hasAnswered }
-    students: {},
-    // Track unique names globally
-    studentNames: new Set(),
-    // currentQuestion: { id, text, options: string[], timeLimitSec, startedAtMs }
-    currentQuestion: null,
-    // answers: questionId -> { optionIndex -> count }
-    answers: {},
-    // submissions: questionId -> { socketId -> optionIndex }
-    submissions: {},
-    // history for bonus (limited to last 10)
-    history: []
-  };
-}
-
-function createPollManager(io) {
-  let state = createEmptyState();
-  let questionTimer = null;
-
-  function broadcastState() {
-    const payload = getPublicState();
-    io.emit('poll:state', payload);
+const { sessionRoom, participantRoom } = require('./sessionCodes');
+const {
+  STUDENT_GRACE_MS,
+  getPublicState: buildPublicState,
+  getTeacherState: buildTeacherState,
+  resultsDependOnAnswer
+} = require('./pollState');
+const { appError, errorBody } = require('./errors');
+
+// The Socket.IO side of the poll service: every change the service announces, from whichever
+// transport, is broadcast to the session's sockets, and its timer ticks are forwarded. It also
+// tracks which teachers and students have sockets open, so their presence (and a student's
+// grace period after their last socket closes) follows the connections
+function createPollManager(io, pollService) {
+  // Open sockets per teacher and student, and pending student drops, keyed by participantKey()
+  const teacherSockets = new Map();
+  const studentSockets = new Map();
+  const dropTimers = new Map();
+
+  // Everyone in the session gets the public state as far as they may see results; the teachers
+  // get the full one plus the roster view
+  async function broadcastState(sessionCode) {
+    const state = await pollService.loadState(sessionCode);
+    if (!state) return;
+    const skipped = [];
+    const teacherIds = Object.keys(state.teachers);
+    if (teacherIds.length) {
+      const teacherRooms = teacherIds.map(participantRoom);
+      io.to(teacherRooms).emit('poll:state', buildPublicState(state, { role: 'teacher', id: teacherIds[0] }));
+      io.to(teacherRooms).emit('teacher:state', buildTeacherState(state));
+      skipped.push(...teacherRooms);
+    }
+    if (resultsDependOnAnswer(state)) {
+      const answeredIds = Object.keys(state.submissions[state.currentQuestion.id]);
+      if (answeredIds.length) {
+        const answeredRooms = answeredIds.map(participantRoom);
+        io.to(answeredRooms).emit('poll:state', buildPublicState(state, { role: 'student', id: answeredIds[0] }));
+        skipped.push(...answeredRooms);
+      }
+    }
+    io.to(sessionRoom(sessionCode)).except(skipped).emit('poll:state', buildPublicState(state));
   }
 
-  function getPublicState() {
-    let results = null;
-    const hasQuestion = !!state.currentQuestion;
-    if (hasQuestion) {
-      const qid = state.currentQuestion.id;
-      const counts = state.answers[qid] || {};
-      const totals = state.currentQuestion.options.map((_, idx) => counts[idx] || 0);
-      const totalVotes = totals.reduce((a, b) => a + b, 0);
-      results = { totals, totalVotes };
-    }
-    return {
-      hasQuestion,
-      currentQuestion: hasQuestion ? {
-        id: state.currentQuestion.id,
-        text: state.currentQuestion.text,
-        options: state.currentQuestion.options,
-        timeLimitSec: state.currentQuestion.timeLimitSec,
-        startedAtMs: state.currentQuestion.startedAtMs
-      } : null,
-      results,
-      studentCount: Object.keys(state.students).length,
-      history: state.history.slice(0, 10) // Limit to last 10 for memory
-    };
+  function participantKey(sessionCode, participantId) {
+    return `${sessionCode}:${participantId}`;
   }
 
-  function registerTeacher(socketId) {
-    // If there's already a teacher with a different socket ID, unregister the old one
-    if (state.teacherSocketId && state.teacherSocketId !== socketId) {
-      console.log('Replacing previous teacher:', state.teacherSocketId, 'with new teacher:', socketId);
-      // Clear the old teacher's state
-      state.teacherSocketId = null;
-    }
-    state.teacherSocketId = socketId;
-    console.log('Teacher registered:', socketId);
+  // Tells the participant's sockets why and closes them, so a removed student or co-teacher can't
+  // keep listening (or acting) on a connection opened before the removal
+  function disconnectParticipant(sessionCode, participantId, { banned = false } = {}) {
+    const room = participantRoom(participantId);
+    io.to(room).emit('error:message', errorBody(banned
+      ? appError(403, 'You were banned from this session', { code: 'banned' })
+      : appError(403, 'You were removed from the poll')));
+    io.to(room).emit('session:removed', { sessionCode, banned });
+    io.in(room).disconnectSockets(true);
+    const key = participantKey(sessionCode, participantId);
+    clearTimeout(dropTimers.get(key));
+    dropTimers.delete(key);
   }
 
-  function unregisterTeacher(socketId) {
-    if (state.teacherSocketId === socketId) {
-      state.teacherSocketId = null;
-      console.log('Teacher unregistered');
-    }
+  // For sessions deleted by the cleanup
+  function releaseSession(sessionCode) {
+    io.to(sessionRoom(sessionCode)).emit('session:removed', { sessionCode, banned: false });
+    io.in(sessionRoom(sessionCode)).disconnectSockets(true);
   }
 
-  function registerStudent(socketId, name) {
-    // Enforce unique names
-    if (state.studentNames.has(name)) {
-      throw new Error('Name already taken by another student');
-    }
-    state.studentNames.add(name);
-    state.students[socketId] = { name, hasAnswered: false };
-    broadcastState();
-    console.log(`Student joined: ${name} (socket: ${socketId}). Total: ${Object.keys(state.students).length}`);
+  pollService.on('*', async (event) => {
+    if (event.type === 'session:deleted') return releaseSession(event.sessionCode);
+    await broadcastState(event.sessionCode);
+  });
+  pollService.on('timer:tick', ({ sessionCode, questionId, timeLeft, isPaused }) => {
+    io.to(sessionRoom(sessionCode)).emit('timer:tick', { questionId, timeLeft, isPaused });
+  });
+  pollService.on('student:removed', ({ sessionCode, studentId, banned }) => {
+    if (studentId) disconnectParticipant(sessionCode, studentId, { banned });
+  });
+  pollService.on('teacher:removed', ({ sessionCode, teacherId }) => disconnectParticipant(sessionCode, teacherId));
+
+  // Binds a teacher's socket and resolves to their record. A new login (isNew) joins the session,
+  // as owner if it has none and as a co-teacher otherwise; a returning token must still belong to
+  // one of the session's teachers
+  async function registerTeacher(sessionCode, teacherId, { name, isNew = false } = {}) {
+    const teacher = isNew
+      ? await pollService.joinTeacher(sessionCode, teacherId, { name, connected: true })
+      : await pollService.setTeacherPresence(sessionCode, teacherId, true);
+    const key = participantKey(sessionCode, teacherId);
+    teacherSockets.set(key, (teacherSockets.get(key) || 0) + 1);
+    console.log(`Teacher registered: ${teacherId} as ${teacher.role} (session: ${sessionCode})`);
+    return teacher;
   }
 
-  function unregisterStudent(socketId) {
-    const student = state.students[socketId];
-    if (student) {
-      state.studentNames.delete(student.name); // Remove unique name
-      delete state.students[socketId];
-      console.log(`Student left: ${student.name} (socket: ${socketId})`);
+  // Called when one of the teacher's sockets closes. Teachers stay part of the session (REST
+  // calls and reconnecting keep working); once no socket is left they are only shown as offline
+  async function unregisterTeacher(sessionCode, teacherId) {
+    const key = participantKey(sessionCode, teacherId);
+    const remaining = (teacherSockets.get(key) || 1) - 1;
+    if (remaining > 0) {
+      teacherSockets.set(key, remaining);
+      return;
     }
-    broadcastState();
+    teacherSockets.delete(key);
+    const teacher = await pollService.setTeacherPresence(sessionCode, teacherId, false);
+    if (teacher) console.log(`Teacher disconnected: ${teacherId} (session: ${sessionCode})`);
   }
 
-  function canAskNewQuestion() {
-    if (!state.currentQuestion) return true;
-    // Only allow if all current students have answered
-    const qid = state.currentQuestion.id;
-    const subs = state.submissions[qid] || {};
-    const totalStudents = Object.keys(state.students).length;
-    const totalAnswers = Object.keys(subs).length;
-    return totalStudents === 0 || totalAnswers >= totalStudents; // Allow if no students
+  // Counts a socket for the student and cancels a pending drop
+  function attachStudentSocket(sessionCode, studentId) {
+    const key = participantKey(sessionCode, studentId);
+    studentSockets.set(key, (studentSockets.get(key) || 0) + 1);
+    clearTimeout(dropTimers.get(key));
+    dropTimers.delete(key);
   }
 
-  function clearTimer() {
-    if (questionTimer) {
-      clearTimeout(questionTimer);
-      questionTimer = null;
-    }
+  async function registerStudent(sessionCode, studentId, name) {
+    const { student } = await pollService.joinStudent(sessionCode, studentId, name);
+    attachStudentSocket(sessionCode, studentId);
+    return student;
   }
 
-  function endCurrentQuestion(teacherSocketId = null) {
-    // Protect with teacher check if provided
-    if (teacherSocketId && state.teacherSocketId !== teacherSocketId) {
-      throw new Error('Unauthorized: Only teacher can end question');
-    }
-    clearTimer();
-    if (!state.currentQuestion) return;
-    // Push to history (unshift for recent-first, limit to 10)
-    const q = state.currentQuestion;
-    const qid = q.id;
-    const counts = q.options.map((_, idx) => (state.answers[qid]?.[idx] || 0));
-    state.history.unshift({
-      id: qid,
-      text: q.text,
-      options: q.options,
-      results: counts,
-      startedAtMs: q.startedAtMs,
-      timeLimitSec: q.timeLimitSec
-    });
-    if (state.history.length > 10) state.history.pop(); // Limit size
-    state.currentQuestion = null;
-    broadcastState();
-    console.log('Question ended:', qid);
+  // Returning student with a resume token; resolves to their record
+  async function resumeStudent(sessionCode, studentId, name) {
+    const student = await pollService.resumeStudent(sessionCode, studentId, name);
+    attachStudentSocket(sessionCode, studentId);
+    return student;
   }
 
-  function askQuestion(teacherSocketId, { text, options, timeLimitSec }) {
-    // Protect teacher-only action
-    if (state.teacherSocketId !== teacherSocketId) {
-      throw new Error('Unauthorized: Only teacher can ask questions');
-    }
-    if (!canAskNewQuestion()) {
-      throw new Error('Cannot ask a new question yet (wait for all to answer or timeout)');
-    }
-    // Sanitize inputs
-    const sanitizedText = String(text || '').trim().slice(0, 200);
-    if (!sanitizedText) throw new Error('Question text is required');
-    const sanitizedOptions = (options || []).map(opt => String(opt).trim()).filter(opt => opt.length > 0);
-    if (sanitizedOptions.length < 2) {
-      throw new Error('Need at least 2 non-empty options');
-    }
-    const id = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`; // Unique ID
-    const clampedTime = Math.min(Math.max(timeLimitSec || 60, 5), 300); // 5-300s
-    state.currentQuestion = {
-      id,
-      text: sanitizedText,
-      options: sanitizedOptions,
-      timeLimitSec: clampedTime,
-      startedAtMs: Date.now()
-    };
-    state.answers[id] = {};
-    state.submissions[id] = {};
-    // Reset student flags
-    Object.keys(state.students).forEach((sid) => {
-      state.students[sid].hasAnswered = false;
-    });
-
-    clearTimer();
-    questionTimer = setTimeout(() => {
-      endCurrentQuestion();
-    }, clampedTime * 1000);
-
-    broadcastState();
-    console.log(`Question asked by teacher: ${id} (${sanitizedText})`);
-    // Optional: Periodic timer broadcast (uncomment if frontend needs server ticks)
-    // const timerInterval = setInterval(() => {
-    //   if (state.currentQuestion) io.emit('timer:tick', { timeLeft: Math.max(0, clampedTime - (Date.now() - state.currentQuestion.startedAtMs) / 1000) });
-    // }, 1000);
-    // clearInterval(timerInterval); // Clear on end (implement in endCurrentQuestion)
-  }
-
-  function submitAnswer(socketId, optionIndex) {
-    if (!state.currentQuestion) {
-      console.log('Submit ignored: No active question');
-      return;
-    }
-    const qid = state.currentQuestion.id;
-    if (state.submissions[qid][socketId] !== undefined) {
-      console.log('Submit ignored: Already answered');
-      return; // Ignore duplicates
-    }
-    const idx = Number(optionIndex);
-    if (Number.isNaN(idx) || idx < 0 || idx >= state.currentQuestion.options.length) {
-      console.log('Submit ignored: Invalid option index');
+  // Called when one of the student's sockets closes. Once none are left the student is marked
+  // disconnected and dropped after STUDENT_GRACE_MS unless they resume in the meantime
+  async function disconnectStudent(sessionCode, studentId) {
+    const key = participantKey(sessionCode, studentId);
+    const remaining = (studentSockets.get(key) || 1) - 1;
+    if (remaining > 0) {
+      studentSockets.set(key, remaining);
       return;
     }
-
-    state.submissions[qid][socketId] = idx;
-    state.answers[qid][idx] = (state.answers[qid][idx] || 0) + 1;
-    if (state.students[socketId]) {
-      state.students[socketId].hasAnswered = true;
-    }
-    console.log(`Answer submitted: socket ${socketId} chose option ${idx}`);
-
-    // If all answered, end immediately
-    if (canAskNewQuestion()) {
-      endCurrentQuestion();
-    } else {
-      broadcastState();
-    }
-  }
-
-  // Good-to-Have - Teacher removes a student
-  function removeStudent(teacherSocketId, targetSocketId) {
-    if (state.teacherSocketId !== teacherSocketId) {
-      throw new Error('Unauthorized: Only teacher can remove students');
-    }
-    if (!state.students[targetSocketId]) {
-      throw new Error('Student not found');
-    }
-    unregisterStudent(targetSocketId);
-    // Optionally disconnect the socket: io.to(targetSocketId).disconnect(true);
-    console.log(`Student removed by teacher: ${targetSocketId}`);
-  }
-
-  function resetAll(teacherSocketId) {
-    // Protect teacher-only
-    if (state.teacherSocketId !== teacherSocketId) {
-      throw new Error('Unauthorized: Only teacher can reset');
-    }
-    clearTimer();
-    state.studentNames.clear(); // Clear unique names
-    state = createEmptyState();
-    broadcastState();
-    console.log('Full poll reset by teacher');
+    studentSockets.delete(key);
+    const student = await pollService.markStudentDisconnected(sessionCode, studentId);
+    if (!student) return;
+    clearTimeout(dropTimers.get(key));
+    dropTimers.set(key, setTimeout(() => {
+      dropTimers.delete(key);
+      pollService.dropStudent(sessionCode, studentId).catch((e) => console.error('Student drop error:', e.message));
+    }, STUDENT_GRACE_MS).unref());
   }
 
   return {
+    broadcastState,
     registerTeacher,
     unregisterTeacher,
     registerStudent,
-    unregisterStudent,
-    askQuestion, // Now takes teacherSocketId as first param
-    submitAnswer,
-    canAskNewQuestion,
-    getPublicState,
-    endCurrentQuestion, // Now takes optional teacherSocketId
-    resetAll, // Now takes teacherSocketId
-    removeStudent // Good-to-Have
+    resumeStudent,
+    disconnectStudent
   };
 }
 
-module.exports = { createPollManager };
\ No newline at end of file
+module.exports = { createPollManager };
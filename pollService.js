@@ -0,0 +1,660 @@
+const { generateSessionCode } = require('./sessionCodes');
+const { createMemoryStore } = require('./stateStore');
+const {
+  STUDENT_GRACE_MS,
+  stateKey,
+  deserializeState,
+  hasPendingTimeChange,
+  createSessionState,
+  resetSession,
+  closeSession: closeSessionState,
+  addStudent,
+  resumeStudent: resumeStudentRecord,
+  markStudentDisconnected: markStudentRecordDisconnected,
+  dropLapsedStudent,
+  addTeacher,
+  checkTeacher,
+  setTeacherPermissions,
+  removeTeacher,
+  transferOwnership: transferSessionOwnership,
+  setTeacherConnected,
+  isBanned,
+  joinedAfterRemoval,
+  removeStudentFromSession,
+  unbanStudent: unbanStudentRecord,
+  haveAllStudentsAnswered,
+  launchQuestion,
+  hasSubmitted,
+  recordSubmission,
+  updateSessionSettings,
+  revealResults: revealQuestionResults,
+  updateState,
+  getPublicState: buildPublicState,
+  getTeacherState: buildTeacherState,
+  archiveCurrentQuestion,
+  isTimerPaused,
+  getTimeLeftMs,
+  applyTimerAction,
+  startQuizRun,
+  stepQuizRun,
+  stopQuizRun
+} = require('./pollState');
+const { parseAnswer } = require('./questionTypes');
+const { loadHistory, loadHistoryIndex, loadHistoryEntry, updateHistoryEntry, clearHistory } = require('./pollHistory');
+const { createQuestionBank } = require('./questionBank');
+const { createSessionArchive, buildSnapshot, hasArchivableData } = require('./sessionArchive');
+const { appError } = require('./errors');
+const { getRequestContext } = require('./requestContext');
+
+// The poll domain: every change to a session goes through here, whichever transport asked for
+// it, and is announced as a typed event once it is saved. The REST routes, the Socket.IO
+// broadcaster (pollManager.js), the SSE streams, the webhooks and the audit log (auditLog.js) all
+// listen to the same events.
+//
+// Events are { type, sessionCode, actor, occurredAtMs, ...fields }, actor being
+// { role: 'teacher' | 'student' | 'system', id } plus the client's ip for actions that came from a
+// request or socket event (see requestContext.js):
+//   session:created                     session:reset { archiveId }
+//   session:closed { archive }          session:deleted (by the cleanup)
+//   teacher:joined { teacherId, name, role }        teacher:presence { teacherId, connected }
+//   teacher:permissions { teacherId, permissions }  teacher:removed { teacherId }
+//   teacher:owner { ownerId, previousOwnerId }
+//   student:joined { studentId, name, studentCount }  student:resumed { studentId, name }
+//   student:disconnected { studentId, name }          student:left { studentId, name } (grace ran out)
+//   student:removed { studentId, name, banned, votesDiscarded }  student:unbanned { studentId, name }
+//   question:asked { question }
+//   vote:cast { questionId, studentId, answer (null when anonymous), answeredAtMs }
+//   vote:rejected { questionId, studentId, code } - code is the error code, e.g. time_up
+//   question:ended { questionId, reason, entry } - reason: ended, answered (everyone did), timeout,
+//                                                   quiz (a quiz step) or closed; entry is the history entry
+//   timer:changed { questionId, action, seconds }   quiz:changed { action, quizId }
+//   settings:changed { settings }                   results:revealed { questionId }
+//
+// on(type, listener) subscribes to one type and on('*', listener) to all of them. Listeners are
+// awaited in order after the change is saved; their errors are logged and never reach the caller.
+// The service also runs the question timers, so every transport gets the auto-end and quiz
+// auto-advance. While a question runs, 'timer:tick' { sessionCode, questionId, timeLeft, isPaused }
+// goes out every second, to its own listeners only (not to '*')
+const SYSTEM = { role: 'system', id: null };
+
+function teacherActor(teacherId) {
+  return { role: 'teacher', id: teacherId };
+}
+
+function studentActor(studentId) {
+  return { role: 'student', id: studentId };
+}
+
+// sessionArchive defaults to one using this service's loadState, dropStudent and releaseSession
+function createPollService(store = createMemoryStore(), {
+  questionBank = createQuestionBank(store),
+  sessionArchive = null
+} = {}) {
+  const archive = sessionArchive || createSessionArchive(store, {
+    loadState: (sessionCode) => loadState(sessionCode),
+    dropStudent: (sessionCode, studentId, now) => dropStudent(sessionCode, studentId, now),
+    onSessionDeleted: (sessionCode) => releaseSession(sessionCode)
+  });
+  // type -> listeners
+  const listeners = new Map();
+  // questionTimers: sessionCode -> { signature, endTimeout, tickInterval }
+  const questionTimers = new Map();
+
+  function on(type, listener) {
+    if (!listeners.has(type)) listeners.set(type, []);
+    listeners.get(type).push(listener);
+  }
+
+  function off(type, listener) {
+    const list = listeners.get(type) || [];
+    listeners.set(type, list.filter((item) => item !== listener));
+  }
+
+  async function callListeners(type, event) {
+    for (const listener of listeners.get(type) || []) {
+      try {
+        await listener(event);
+      } catch (error) {
+        console.error(`${event.type} listener error:`, error);
+      }
+    }
+  }
+
+  async function publish(sessionCode, { type, actor = SYSTEM, ...fields }) {
+    const context = getRequestContext();
+    if (context && actor.role !== 'system') actor = { ...actor, ip: context.ip };
+    const event = { type, sessionCode, actor, occurredAtMs: Date.now(), ...fields };
+    await callListeners(type, event);
+    await callListeners('*', event);
+  }
+
+  // entry: the question's history entry (null if there is none)
+  function questionEnded(entry, reason, actor) {
+    return entry ? { type: 'question:ended', actor, questionId: entry.id, reason, entry } : null;
+  }
+
+  // A question that ended in the update under way
+  function endedEntry(state, questionId) {
+    return state.endedQuestions.find((entry) => entry.id === questionId) || null;
+  }
+
+  function questionAsked(state, actor) {
+    return { type: 'question:asked', actor, question: { ...state.currentQuestion } };
+  }
+
+  // Atomically applies mutator(state, context) to the session, then reschedules its timers and
+  // publishes what happened. context holds the expiredQuestionId and advancedQuestionId of the
+  // lazy time changes done first, record(type, fields) for the action's own events, and
+  // endReason for a question the mutator ends (default 'ended'). Questions that ended or started
+  // are found by comparing the live question before and after, so actions don't announce them.
+  // Resolves to the mutator's return value
+  async function update(sessionCode, actor, mutator) {
+    let events;
+    let timing;
+    const result = await updateState(store, sessionCode, (state, { expiredQuestionId, advancedQuestionId }) => {
+      // The KV store runs the mutator again when another instance wrote first, so start over each time
+      events = [];
+      if (expiredQuestionId) events.push(questionEnded(endedEntry(state, expiredQuestionId), 'timeout', SYSTEM));
+      if (advancedQuestionId) events.push(questionAsked(state, SYSTEM));
+      const liveBefore = state.currentQuestion?.id || null;
+      const context = {
+        expiredQuestionId,
+        advancedQuestionId,
+        endReason: 'ended',
+        record: (type, fields) => events.push({ type, actor, ...fields })
+      };
+      const value = mutator(state, context);
+      const liveAfter = state.currentQuestion?.id || null;
+      if (liveBefore && liveBefore !== liveAfter) {
+        events.push(questionEnded(endedEntry(state, liveBefore), context.endReason, actor));
+      }
+      if (liveAfter && liveAfter !== liveBefore) events.push(questionAsked(state, actor));
+      timing = { question: state.currentQuestion, nextAtMs: state.quizRun?.nextAtMs || null };
+      return value;
+    });
+    syncTimer(sessionCode, timing);
+    for (const event of events.filter(Boolean)) await publish(sessionCode, event);
+    return result;
+  }
+
+  // Resolves to null when there is no such session. A question whose time ran out (or a due
+  // quiz step) is applied and announced here, like any other change; ended questions an
+  // interrupted update left in the state are moved to the history
+  async function loadState(sessionCode) {
+    const stored = await store.get(stateKey(sessionCode));
+    if (!stored) return null;
+    const state = deserializeState(stored);
+    if (!hasPendingTimeChange(state) && !state.endedQuestions.length) return state;
+    return update(sessionCode, SYSTEM, (fresh) => fresh);
+  }
+
+  async function getState(sessionCode) {
+    const state = await loadState(sessionCode);
+    if (!state) throw appError(404, 'Session not found', { code: 'session_not_found' });
+    return state;
+  }
+
+  async function hasSession(sessionCode) {
+    return !!(await store.get(stateKey(sessionCode)));
+  }
+
+  // viewer: { role, id } of the participant the payload is for (decides result visibility)
+  async function getPublicState(sessionCode, viewer = null) {
+    return buildPublicState(await getState(sessionCode), viewer);
+  }
+
+  async function getTeacherState(sessionCode) {
+    return buildTeacherState(await getState(sessionCode));
+  }
+
+  function clearTimer(sessionCode) {
+    const timers = questionTimers.get(sessionCode);
+    if (timers) {
+      clearTimeout(timers.endTimeout);
+      clearInterval(timers.tickInterval);
+      questionTimers.delete(sessionCode);
+    }
+  }
+
+  function emitTick(sessionCode, question) {
+    callListeners('timer:tick', {
+      type: 'timer:tick',
+      sessionCode,
+      questionId: question.id,
+      timeLeft: Math.ceil(getTimeLeftMs(question) / 1000),
+      isPaused: isTimerPaused(question)
+    });
+  }
+
+  // (Re)schedules the auto-end and the once-a-second tick of the live question, or the launch
+  // of the next question of an auto-advancing quiz. Left alone when the timing didn't change.
+  // The timers don't keep the process alive on their own (a server is kept alive by listening)
+  function syncTimer(sessionCode, { question, nextAtMs }) {
+    const signature = question
+      ? `${question.id}:${question.endsAtMs}:${question.pausedTimeLeftMs}`
+      : (nextAtMs ? `next:${nextAtMs}` : '');
+    if (questionTimers.get(sessionCode)?.signature === signature) return;
+    clearTimer(sessionCode);
+    if (!signature) return;
+    if (!question) {
+      questionTimers.set(sessionCode, {
+        signature,
+        endTimeout: setTimeout(() => {
+          onTimerDue(sessionCode, null).catch((e) => console.error('Quiz advance error:', e.message));
+        }, Math.max(0, nextAtMs - Date.now())).unref()
+      });
+      return;
+    }
+    emitTick(sessionCode, question);
+    if (isTimerPaused(question)) {
+      questionTimers.set(sessionCode, { signature });
+      return;
+    }
+    questionTimers.set(sessionCode, {
+      signature,
+      endTimeout: setTimeout(() => {
+        onTimerDue(sessionCode, question.id).catch((e) => console.error('Auto-end error:', e.message));
+      }, getTimeLeftMs(question)).unref(),
+      tickInterval: setInterval(() => emitTick(sessionCode, question), 1000).unref()
+    });
+  }
+
+  // Timer callback: the update archives the question if its deadline really passed (and launches
+  // a due quiz question); if it was extended in the meantime (e.g. by another instance) the timer
+  // is rescheduled instead. A question some other read of the store already archived is still
+  // announced, since nobody has heard of it yet
+  async function onTimerDue(sessionCode, questionId) {
+    clearTimer(sessionCode);
+    if (!(await hasSession(sessionCode))) return;
+    let announced = false;
+    const state = await update(sessionCode, SYSTEM, (fresh, { expiredQuestionId, advancedQuestionId }) => {
+      announced = !questionId || expiredQuestionId === questionId;
+      if (expiredQuestionId) console.log(`Question timed out: ${expiredQuestionId} (session: ${sessionCode})`);
+      if (advancedQuestionId) console.log(`Quiz advanced to question ${advancedQuestionId} (session: ${sessionCode})`);
+      return fresh;
+    });
+    if (announced || state.currentQuestion?.id === questionId) return;
+    const event = questionEnded(await loadHistoryEntry(store, sessionCode, questionId), 'timeout', SYSTEM);
+    if (event) await publish(sessionCode, event);
+  }
+
+  async function createSession() {
+    // Retry on the (unlikely) event of a code collision
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const sessionCode = generateSessionCode();
+      if (await createSessionState(store, sessionCode)) {
+        console.log('Session created:', sessionCode);
+        await publish(sessionCode, { type: 'session:created' });
+        return sessionCode;
+      }
+    }
+    throw new Error('Could not allocate a session code');
+  }
+
+  // A teacher logging in: the session's owner if it has none yet, otherwise a co-teacher.
+  // connected marks them online straight away (socket logins). Resolves to their record
+  async function joinTeacher(sessionCode, teacherId, { name, connected = false } = {}) {
+    const teacher = await update(sessionCode, teacherActor(teacherId), (state, { record }) => {
+      const added = addTeacher(state, teacherId, name);
+      if (connected) setTeacherConnected(state, teacherId, true);
+      record('teacher:joined', { teacherId, name: added.name, role: added.role });
+      return { ...added };
+    });
+    console.log(`Teacher joined as ${teacher.role}: ${teacherId} (session: ${sessionCode})`);
+    return teacher;
+  }
+
+  // Shows a teacher on- or offline; coming online requires them to still be a teacher of the
+  // session. Resolves to their record, or null for a teacher who is gone
+  async function setTeacherPresence(sessionCode, teacherId, connected) {
+    return update(sessionCode, teacherActor(teacherId), (state, { record }) => {
+      if (connected) checkTeacher(state, teacherId);
+      const teacher = setTeacherConnected(state, teacherId, connected);
+      if (!teacher) return null;
+      record('teacher:presence', { teacherId, connected });
+      return { ...teacher };
+    });
+  }
+
+  // Resolves to { student, studentCount }; names are unique within a session
+  async function joinStudent(sessionCode, studentId, name) {
+    const joined = await update(sessionCode, studentActor(studentId), (state, { record }) => {
+      const student = addStudent(state, studentId, name);
+      const studentCount = Object.keys(state.students).length;
+      record('student:joined', { studentId, name: student.name, studentCount });
+      return { student: { ...student }, studentCount };
+    });
+    console.log(`Student joined: ${name} (student: ${studentId}, session: ${sessionCode}). Total: ${joined.studentCount}`);
+    return joined;
+  }
+
+  // Returning student with a resume token; resolves to their record. A student whose record was
+  // dropped gets their score back from the history, which is only read in that case (a second pass)
+  async function resumeStudent(sessionCode, studentId, name) {
+    let history = null;
+    for (;;) {
+      const student = await update(sessionCode, studentActor(studentId), (state, { record }) => {
+        if (!state.students[studentId] && !history) return null;
+        const resumed = resumeStudentRecord(state, studentId, name, history || []);
+        record('student:resumed', { studentId, name: resumed.name });
+        return { ...resumed };
+      });
+      if (student) {
+        console.log(`Student resumed: ${student.name} (student: ${studentId}, session: ${sessionCode})`);
+        return student;
+      }
+      history = await loadHistory(store, sessionCode);
+    }
+  }
+
+  // The student's connection is gone; they keep their seat for the grace period
+  async function markStudentDisconnected(sessionCode, studentId) {
+    const student = await update(sessionCode, studentActor(studentId), (state, { record }) => {
+      const found = markStudentRecordDisconnected(state, studentId);
+      if (found) record('student:disconnected', { studentId, name: found.name });
+      return found && { ...found };
+    });
+    if (student) console.log(`Student disconnected: ${student.name} (student: ${studentId}, session: ${sessionCode})`);
+    return student;
+  }
+
+  // Drops the student if they are still disconnected after the grace period; the store decides,
+  // so a resume handled by another instance still wins. Resolves to the removed record or null
+  async function dropStudent(sessionCode, studentId, now = Date.now()) {
+    if (!(await hasSession(sessionCode))) return null;
+    const student = await update(sessionCode, SYSTEM, (state, { record }) => {
+      const dropped = dropLapsedStudent(state, studentId, STUDENT_GRACE_MS, now);
+      if (dropped) record('student:left', { studentId, name: dropped.name });
+      return dropped;
+    });
+    if (student) console.log(`Student left: ${student.name} (student: ${studentId}, session: ${sessionCode})`);
+    return student;
+  }
+
+  // Only allowed once everyone has answered the live question (or it has ended); a question still
+  // open then (e.g. with nobody in the room) is ended first. Resolves to the new question
+  async function askQuestion(sessionCode, teacherId, input) {
+    const question = await update(sessionCode, teacherActor(teacherId), (state) => {
+      checkTeacher(state, teacherId, 'ask');
+      if (!haveAllStudentsAnswered(state)) {
+        throw appError(409, 'Cannot ask a new question yet (wait for all to answer or timeout)');
+      }
+      if (state.currentQuestion) archiveCurrentQuestion(state);
+      // Validates the type-specific fields (options, rating scale, numeric range, text length)
+      return { ...launchQuestion(state, input) };
+    });
+    console.log(`Question asked by teacher: ${question.id} (${question.text}, session: ${sessionCode})`);
+    return question;
+  }
+
+  // answer: option index, array of indices, rating, number or text depending on the question type.
+  // The question ends as soon as every student has answered
+  async function submitAnswer(sessionCode, studentId, answer) {
+    // `rejected` carries the error when the submission is refused. It is returned rather than
+    // thrown so a lazy expiry done by this update still gets saved, along with the vote:rejected
+    // event that lets the audit log answer "my vote didn't count"
+    const result = await update(sessionCode, studentActor(studentId), (state, context) => {
+      const reject = (error, questionId = state.currentQuestion?.id) => {
+        context.record('vote:rejected', { questionId: questionId || null, studentId, code: error.code || null });
+        return { rejected: error };
+      };
+      if (context.expiredQuestionId) {
+        return reject(appError(400, 'Time is up', { code: 'time_up' }), context.expiredQuestionId);
+      }
+      const question = state.currentQuestion;
+      if (!question) return reject(appError(400, 'No active question', { code: 'no_active_question' }));
+      if (isBanned(state, studentId)) {
+        return reject(appError(403, 'You are banned from this session', { code: 'banned' }));
+      }
+      // Students removed from the session keep a valid token but can no longer vote
+      if (!state.students[studentId]) return reject(appError(403, 'Not a student of this session'));
+      if (joinedAfterRemoval(state, studentId)) {
+        return reject(appError(403, 'This question was locked before you joined; you can answer the next one'));
+      }
+      if (hasSubmitted(state, studentId)) {
+        return reject(appError(400, 'Already answered', { code: 'already_answered' }));
+      }
+      let parsed;
+      try {
+        // Throws a 400 describing what the question type expects
+        parsed = parseAnswer(question, answer);
+      } catch (e) {
+        return reject(e);
+      }
+
+      recordSubmission(state, studentId, parsed);
+      // Anonymous answers aren't logged either
+      const logged = question.anonymous ? null : parsed.answer;
+      context.record('vote:cast', {
+        questionId: question.id,
+        studentId,
+        answer: logged,
+        answeredAtMs: state.submissions[question.id][studentId].answeredAtMs
+      });
+      if (haveAllStudentsAnswered(state)) {
+        context.endReason = 'answered';
+        archiveCurrentQuestion(state);
+      }
+      return { answer: logged };
+    });
+    if (result.rejected) {
+      console.log(`Submit rejected: ${result.rejected.message}`);
+      throw result.rejected;
+    }
+    console.log(result.answer === null
+      ? `Answer submitted: student ${studentId} answered anonymously`
+      : `Answer submitted: student ${studentId} answered ${JSON.stringify(result.answer)}`);
+  }
+
+  // Resolves to the id of the question that ended
+  async function endCurrentQuestion(sessionCode, teacherId) {
+    const questionId = await update(sessionCode, teacherActor(teacherId), (state) => {
+      checkTeacher(state, teacherId, 'ask');
+      if (!state.currentQuestion) throw appError(400, 'No active question', { code: 'no_active_question' });
+      // Moves it to history; an auto-advancing quiz schedules its next question
+      return archiveCurrentQuestion(state);
+    });
+    console.log(`Question ended: ${questionId} (session: ${sessionCode})`);
+    return questionId;
+  }
+
+  // { action: 'extend' | 'pause' | 'resume' | 'restart', seconds }; resolves to the new
+  // { endsAtMs, pausedTimeLeftMs }
+  async function controlTimer(sessionCode, teacherId, { action, seconds } = {}) {
+    const timing = await update(sessionCode, teacherActor(teacherId), (state, { record }) => {
+      checkTeacher(state, teacherId, 'ask');
+      const question = state.currentQuestion;
+      if (!question) throw appError(400, 'No active question', { code: 'no_active_question' });
+      const { endsAtMs, pausedTimeLeftMs } = applyTimerAction(question, { action, seconds });
+      record('timer:changed', { questionId: question.id, action, seconds: seconds ?? null });
+      return { endsAtMs, pausedTimeLeftMs };
+    });
+    console.log(`Timer ${action} by teacher (session: ${sessionCode})`);
+    return timing;
+  }
+
+  // Quiz runs: { action: 'start', quizId, autoAdvance, advanceDelaySec } | { action: 'next' | 'previous' | 'stop' }.
+  // Resolves to the id of the live question afterwards (null if none)
+  async function controlQuiz(sessionCode, teacherId, { action, quizId, autoAdvance, advanceDelaySec } = {}) {
+    // Resolve the quiz from the bank outside the state update
+    const quiz = action === 'start' ? await questionBank.exportQuiz(quizId) : null;
+    const questionId = await update(sessionCode, teacherActor(teacherId), (state, context) => {
+      checkTeacher(state, teacherId, 'ask');
+      context.endReason = 'quiz';
+      const runId = quiz ? quiz.id : state.quizRun?.quizId;
+      if (action === 'start') startQuizRun(state, quiz, { autoAdvance, advanceDelaySec });
+      else if (action === 'stop') stopQuizRun(state);
+      else stepQuizRun(state, action);
+      context.record('quiz:changed', { action, quizId: runId || null });
+      return state.currentQuestion?.id || null;
+    });
+    console.log(`Quiz ${action} by teacher (session: ${sessionCode})`);
+    return questionId;
+  }
+
+  // Teacher removes (kicks) or bans a student. target: { studentId } or { name } (bans only);
+  // discardVotes takes their answer out of the live results. Resolves to
+  // { studentId (null if nobody was removed), name, votesDiscarded, ban }
+  async function removeStudent(sessionCode, teacherId, { studentId, name } = {}, { ban = false, discardVotes = false } = {}) {
+    const removed = await update(sessionCode, teacherActor(teacherId), (state, { record }) => {
+      checkTeacher(state, teacherId, 'moderate');
+      const result = removeStudentFromSession(state, { studentId, name }, { ban, discardVotes });
+      record('student:removed', {
+        studentId: result.studentId,
+        name: result.name,
+        banned: ban,
+        votesDiscarded: result.votesDiscarded
+      });
+      return result;
+    });
+    console.log(`Student ${ban ? 'banned' : 'removed'} by teacher: ${removed.studentId || removed.name} (session: ${sessionCode})`);
+    return removed;
+  }
+
+  // Lifts every ban matching the participant id or name; resolves to the remaining bans
+  async function unbanStudent(sessionCode, teacherId, { studentId, name } = {}) {
+    const bans = await update(sessionCode, teacherActor(teacherId), (state, { record }) => {
+      checkTeacher(state, teacherId, 'moderate');
+      if (!unbanStudentRecord(state, { studentId, name })) throw appError(404, 'No matching ban');
+      record('student:unbanned', { studentId: studentId || null, name: name || null });
+      return state.bans;
+    });
+    console.log(`Ban lifted by teacher: ${studentId || name} (session: ${sessionCode})`);
+    return bans;
+  }
+
+  async function updateSettings(sessionCode, teacherId, input) {
+    const settings = await update(sessionCode, teacherActor(teacherId), (state, { record }) => {
+      checkTeacher(state, teacherId, 'ask');
+      const updated = updateSessionSettings(state, input);
+      record('settings:changed', { settings: updated });
+      return updated;
+    });
+    console.log(`Session settings changed: ${JSON.stringify(settings)} (session: ${sessionCode})`);
+    return settings;
+  }
+
+  // Shows the results of the live question (or of questionId) to every student
+  async function revealResults(sessionCode, teacherId, questionId) {
+    // Ended questions older than the state's recent history are only in the stored one
+    const history = questionId ? await loadHistoryIndex(store, sessionCode) : [];
+    const revealed = await update(sessionCode, teacherActor(teacherId), (state, { record }) => {
+      checkTeacher(state, teacherId, 'ask');
+      const id = revealQuestionResults(state, questionId, history);
+      record('results:revealed', { questionId: id });
+      return { id, ended: state.currentQuestion?.id !== id };
+    });
+    if (revealed.ended) await updateHistoryEntry(store, sessionCode, revealed.id, { resultsRevealed: true });
+    console.log(`Results revealed: ${revealed.id} (session: ${sessionCode})`);
+    return revealed.id;
+  }
+
+  // Co-teachers (owner only). permissions: list of TEACHER_PERMISSIONS
+  async function setCoTeacherPermissions(sessionCode, ownerId, teacherId, permissions) {
+    const teacher = await update(sessionCode, teacherActor(ownerId), (state, { record }) => {
+      checkTeacher(state, ownerId, 'owner');
+      const updated = setTeacherPermissions(state, teacherId, permissions);
+      record('teacher:permissions', { teacherId, permissions: updated.permissions });
+      return { ...updated };
+    });
+    console.log(`Co-teacher ${teacherId} permissions set to ${teacher.permissions.join(', ') || 'none'} (session: ${sessionCode})`);
+    return teacher;
+  }
+
+  // The co-teacher's token stops working for this session
+  async function removeCoTeacher(sessionCode, ownerId, teacherId) {
+    await update(sessionCode, teacherActor(ownerId), (state, { record }) => {
+      checkTeacher(state, ownerId, 'owner');
+      removeTeacher(state, teacherId);
+      record('teacher:removed', { teacherId });
+    });
+    console.log(`Co-teacher removed: ${teacherId} (session: ${sessionCode})`);
+  }
+
+  // Makes a co-teacher the owner; the previous owner stays on as a co-teacher
+  async function transferOwnership(sessionCode, ownerId, teacherId) {
+    await update(sessionCode, teacherActor(ownerId), (state, { record }) => {
+      checkTeacher(state, ownerId, 'owner');
+      transferSessionOwnership(state, teacherId);
+      record('teacher:owner', { ownerId: teacherId, previousOwnerId: ownerId });
+    });
+    console.log(`Ownership transferred from ${ownerId} to ${teacherId} (session: ${sessionCode})`);
+  }
+
+  // The poll data is archived before it is wiped, so a reset can't lose results; the code and
+  // teachers stay in place. Resolves to the archive's summary, or null if there was nothing to keep
+  async function resetAll(sessionCode, teacherId) {
+    const previous = await update(sessionCode, teacherActor(teacherId), (state) => {
+      checkTeacher(state, teacherId, 'reset');
+      // resetSession replaces the fields rather than emptying them, so this copy keeps the old ones
+      const kept = hasArchivableData(state) ? { ...state } : null;
+      resetSession(state);
+      return kept;
+    });
+    let archived = null;
+    if (previous) {
+      const history = await loadHistory(store, sessionCode);
+      archived = await archive.saveSnapshot(buildSnapshot(previous, history, 'reset'));
+      // Only what was archived, in case a new question already ended since
+      await clearHistory(store, sessionCode, history.map((entry) => entry.id));
+    }
+    console.log(`Full poll reset by teacher (session: ${sessionCode})`);
+    await publish(sessionCode, { type: 'session:reset', actor: teacherActor(teacherId), archiveId: archived?.archiveId || null });
+    return archived;
+  }
+
+  // Ends the live question and makes the session read-only, archiving its roster and history.
+  // Resolves to the archive's summary
+  async function closeSession(sessionCode, teacherId) {
+    const closed = await update(sessionCode, teacherActor(teacherId), (state, context) => {
+      checkTeacher(state, teacherId, 'reset');
+      context.endReason = 'closed';
+      return closeSessionState(state);
+    });
+    const history = await loadHistory(store, sessionCode);
+    const archived = await archive.saveSnapshot(buildSnapshot(closed, history, 'closed'));
+    console.log(`Session closed by teacher (session: ${sessionCode})`);
+    await publish(sessionCode, { type: 'session:closed', actor: teacherActor(teacherId), archive: archived });
+    return archived;
+  }
+
+  // For sessions deleted by the cleanup: stops their timers and tells the listeners
+  async function releaseSession(sessionCode) {
+    clearTimer(sessionCode);
+    await publish(sessionCode, { type: 'session:deleted' });
+  }
+
+  return {
+    on,
+    off,
+    hasSession,
+    loadState,
+    getState,
+    getPublicState,
+    getTeacherState,
+    createSession, // All actions take the sessionCode as first param and return promises
+    joinTeacher,
+    setTeacherPresence,
+    joinStudent,
+    resumeStudent,
+    markStudentDisconnected,
+    dropStudent,
+    askQuestion,
+    submitAnswer,
+    endCurrentQuestion,
+    controlTimer,
+    controlQuiz,
+    removeStudent,
+    unbanStudent,
+    updateSettings,
+    revealResults,
+    setCoTeacherPermissions,
+    removeCoTeacher,
+    transferOwnership,
+    resetAll,
+    closeSession,
+    releaseSession
+  };
+}
+
+module.exports = { createPollService };
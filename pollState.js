@@ -0,0 +1,974 @@
+// Poll state model; every change to a session is applied through it by the poll service (pollService.js)
+const crypto = require('crypto');
+const { appError } = require('./errors');
+const { parseScoring, isQuizQuestion, scoreSubmission, buildLeaderboard } = require('./scoring');
+const {
+  questionType,
+  submissionAnswer,
+  parseQuestion,
+  parseAnswer,
+  addToTally,
+  removeFromTally,
+  aggregateResults,
+  formatAnswer
+} = require('./questionTypes');
+const { summarizeHistoryEntry, saveHistoryEntries } = require('./pollHistory');
+
+const DEFAULT_ADVANCE_DELAY_SEC = 5;
+// Summaries of the latest ended questions kept in the session state (the rest is in pollHistory)
+const RECENT_HISTORY_LENGTH = 10;
+// Stops a script from filling a session with fake students
+const MAX_STUDENTS_PER_SESSION = Number(process.env.MAX_STUDENTS_PER_SESSION) || 200;
+// How long a student whose connection dropped keeps their seat (name, answers) before being removed
+const STUDENT_GRACE_MS = (Number(process.env.STUDENT_GRACE_SEC) || 60) * 1000;
+
+// Who may see a question's results besides the teacher: live (everyone, while voting), answered
+// (students who have answered), ended (everyone once the question ends) or never. Revealing a
+// question's results shows them to everyone regardless
+const RESULTS_VISIBILITY = ['live', 'answered', 'ended', 'never'];
+
+// What a co-teacher may be allowed: ask (ask, end and time questions, run quizzes, reveal results,
+// change session settings), moderate (remove and ban students, moderate chat) and reset (reset or
+// close the session). The owner may do everything, and alone manages co-teachers and hands the
+// session over
+const TEACHER_PERMISSIONS = ['ask', 'moderate', 'reset'];
+const DEFAULT_COTEACHER_PERMISSIONS = ['ask', 'moderate'];
+
+// A session is a draft until its first question, live after that and closed (read-only) once a
+// teacher closes it. Closing stores an archived copy (see sessionArchive), which outlives the session
+const SESSION_STATUSES = ['draft', 'live', 'closed'];
+
+// Each session lives under its own key so several classes can poll at once
+function stateKey(sessionCode) {
+  return `pollState:${sessionCode}`;
+}
+
+// Codes of every session with their creation time, so old ones can be found and cleaned up
+const SESSION_INDEX_KEY = 'sessionIndex';
+
+function createEmptyState(sessionCode, now = Date.now()) {
+  return {
+    sessionCode,
+    status: 'draft',
+    createdAtMs: now,
+    closedAtMs: null,
+    // Last change of any kind; sessions idle for too long are cleaned up
+    updatedAtMs: now,
+    // Participant id of the teacher who owns the session
+    ownerId: null,
+    // Secret the session's teachers get with the teacher state; it reads the session's archives,
+    // also once the session itself is deleted (see sessionArchive)
+    archiveKey: crypto.randomBytes(24).toString('base64url'),
+    // teachers: participantId -> { name, role: 'owner' | 'coteacher', permissions, joinedAtMs, connected }
+    teachers: {},
+    // students: participantId -> { name, hasAnswered, score, correctCount, connected, disconnectedAtMs }
+    students: {},
+    // Track unique names within the session
+    studentNames: new Set(),
+    // currentQuestion: { id, type, text, options: string[], scale?, range?, maxLength?, timeLimitSec,
+    //                   startedAtMs, endsAtMs, pausedTimeLeftMs, correctOptions: number[], points, speedBonus }
+    currentQuestion: null,
+    // answers: questionId -> { bucket -> count } (see questionTypes)
+    answers: {},
+    // submissions: questionId -> { participantId -> { answer, answeredAtMs, name } }; for anonymous
+    //              questions only an empty marker, so nobody can vote twice but choices aren't kept
+    submissions: {},
+    // recentHistory: summaries of the last RECENT_HISTORY_LENGTH ended questions, most recent first.
+    // The full entries are stored by pollHistory
+    recentHistory: [],
+    // endedQuestions: full entries of questions that just ended, oldest first, until updateState has
+    // moved them to the history
+    endedQuestions: [],
+    // quizRun: { quizId, title, questions: askQuestion inputs, position, autoAdvance, advanceDelaySec, nextAtMs }
+    quizRun: null,
+    // bans: [{ studentId, name, bannedAtMs }]; either field may be null. Checked at join and answer time
+    bans: [],
+    // removed: [{ studentId, name, removedAtMs, questionId }] - students a teacher removed. Their token
+    // no longer resumes; questionId is the live question their answer still counts on. Until it
+    // ends their name can't join again, and nobody who joins after the removal can answer it
+    removed: [],
+    // Session-wide defaults for questions asked without their own `anonymous` / `resultsVisibility`
+    settings: { anonymous: false, resultsVisibility: 'live' }
+  };
+}
+
+// Convert Set to Array for JSON storage
+function serializeState(state) {
+  return {
+    ...state,
+    studentNames: Array.from(state.studentNames)
+  };
+}
+
+// Reconstruct Set from stored array
+function deserializeState(storedState) {
+  const empty = createEmptyState(storedState.sessionCode);
+  const { teacherId, ...stored } = storedState;
+  const state = {
+    ...empty,
+    ...stored,
+    settings: { ...empty.settings, ...stored.settings },
+    studentNames: new Set(stored.studentNames || [])
+  };
+  // Sessions saved with their whole history in the state; updateState moves it out
+  if (stored.history) {
+    delete state.history;
+    state.endedQuestions = [...stored.history].reverse().concat(state.endedQuestions);
+    state.recentHistory = stored.history.slice(0, RECENT_HISTORY_LENGTH).map(summarizeHistoryEntry);
+  }
+  // Sessions saved before lifecycle states were tracked
+  if (!stored.status && (state.recentHistory.length || state.currentQuestion)) state.status = 'live';
+  // Sessions saved before co-teachers had a single teacherId
+  if (teacherId && !stored.teachers) {
+    state.ownerId = teacherId;
+    state.teachers = { [teacherId]: createTeacherRecord('Teacher', 'owner') };
+  }
+  return state;
+}
+
+// Stores the entries of questions that ended in an update under their own keys, then drops them
+// from the state. Until then they stay in the state, so none are lost if this is interrupted
+async function moveToHistory(store, sessionCode, entries) {
+  await saveHistoryEntries(store, sessionCode, entries);
+  const ids = new Set(entries.map((entry) => entry.id));
+  await store.update(stateKey(sessionCode), (storedState) => storedState && {
+    ...storedState,
+    endedQuestions: (storedState.endedQuestions || []).filter((entry) => !ids.has(entry.id))
+  });
+}
+
+// A question past its deadline, or a quiz due to auto-advance
+function hasPendingTimeChange(state, now = Date.now()) {
+  if (state.currentQuestion) return isQuestionExpired(state.currentQuestion, now);
+  return isQuizAdvanceDue(state, now);
+}
+
+// Atomically applies mutator(state, { expiredQuestionId, advancedQuestionId }) to a session's
+// state and resolves to its return value. Expired questions are archived (and a due quiz
+// advanced) before the mutator runs; questions that ended are then moved to the history
+async function updateState(store, sessionCode, mutator) {
+  let result;
+  let endedQuestions;
+  await store.update(stateKey(sessionCode), (storedState) => {
+    if (!storedState) throw appError(404, 'Session not found', { code: 'session_not_found' });
+    const state = deserializeState(storedState);
+    const expiredQuestionId = expireCurrentQuestion(state);
+    const advancedQuestionId = advanceQuizIfDue(state);
+    result = mutator(state, { expiredQuestionId, advancedQuestionId });
+    state.updatedAtMs = Date.now();
+    endedQuestions = state.endedQuestions;
+    return serializeState(state);
+  });
+  if (endedQuestions.length) await moveToHistory(store, sessionCode, endedQuestions);
+  return result;
+}
+
+// Claims the key for a brand new session; false if the code is already in use
+async function createSessionState(store, sessionCode, initialState = {}) {
+  const state = { ...createEmptyState(sessionCode), ...initialState };
+  if (!(await store.set(stateKey(sessionCode), serializeState(state), { nx: true }))) return false;
+  await store.update(SESSION_INDEX_KEY, (index) => ({ ...index, [sessionCode]: state.createdAtMs }));
+  return true;
+}
+
+// sessionCode -> createdAtMs
+async function listSessionCodes(store) {
+  return (await store.get(SESSION_INDEX_KEY)) || {};
+}
+
+async function forgetSessionCode(store, sessionCode) {
+  await store.update(SESSION_INDEX_KEY, (index) => {
+    const { [sessionCode]: _removed, ...rest } = index || {};
+    return rest;
+  });
+}
+
+function isSessionClosed(state) {
+  return state.status === 'closed';
+}
+
+function sessionClosedError() {
+  return appError(409, 'This session is closed', { code: 'session_closed' });
+}
+
+// Wipes the poll data (students, questions, recent history, bans, settings) and makes the session
+// a draft again; the code, creation time and teachers stay. The stored history is cleared by the
+// caller (see pollHistory), which still moves any question that just ended there first
+function resetSession(state) {
+  const { sessionCode, createdAtMs, ownerId, teachers, archiveKey, endedQuestions } = state;
+  Object.assign(state, createEmptyState(sessionCode), { createdAtMs, ownerId, teachers, archiveKey, endedQuestions });
+  return state;
+}
+
+// Ends the live question and any quiz run and makes the session read-only
+function closeSession(state, now = Date.now()) {
+  if (isSessionClosed(state)) throw sessionClosedError();
+  if (state.currentQuestion) archiveCurrentQuestion(state, now);
+  state.quizRun = null;
+  state.status = 'closed';
+  state.closedAtMs = now;
+  return state;
+}
+
+function createStudentRecord(name, now = Date.now()) {
+  return {
+    name,
+    joinedAtMs: now,
+    hasAnswered: false,
+    score: 0,
+    correctCount: 0,
+    connected: true,
+    disconnectedAtMs: null
+  };
+}
+
+function sameName(a, b) {
+  return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// Banned by participant id or (case-insensitively) by name
+function isBanned(state, studentId, name) {
+  return state.bans.some((ban) => (ban.studentId && ban.studentId === studentId) || sameName(ban.name, name));
+}
+
+// A removed student whose answer to the live question still counts, by name
+function isRemovedDuringQuestion(state, name) {
+  const qid = state.currentQuestion?.id;
+  return !!qid && state.removed.some((entry) => entry.questionId === qid && sameName(entry.name, name));
+}
+
+// Whether the student joined after a removed student's answer was kept on the live question.
+// They can't answer it: a new name is all a removed student would need to vote twice, so the
+// lock goes by join time, and it covers anyone else who joins before the question ends
+function joinedAfterRemoval(state, studentId) {
+  const qid = state.currentQuestion?.id;
+  const student = state.students[studentId];
+  return !!qid && !!student
+    && state.removed.some((entry) => entry.questionId === qid && entry.removedAtMs <= student.joinedAtMs);
+}
+
+// Adds a student under a name that is unique within the session
+function addStudent(state, studentId, name) {
+  if (isSessionClosed(state)) throw sessionClosedError();
+  if (isBanned(state, studentId, name)) throw appError(403, 'You are banned from this session', { code: 'banned' });
+  if (isRemovedDuringQuestion(state, name)) {
+    throw appError(403, 'You were removed from this session; you can join again when this question ends', { code: 'removed' });
+  }
+  if (state.studentNames.has(name)) throw appError(400, 'Name already taken', { code: 'name_taken', field: 'name' });
+  if (Object.keys(state.students).length >= MAX_STUDENTS_PER_SESSION) {
+    throw appError(403, 'Session is full', { code: 'session_full' });
+  }
+  state.studentNames.add(name);
+  state.students[studentId] = createStudentRecord(name);
+  return state.students[studentId];
+}
+
+function removeStudentRecord(state, studentId) {
+  const existing = state.students[studentId];
+  if (!existing) return null;
+  state.studentNames.delete(existing.name); // Remove unique name
+  delete state.students[studentId];
+  return existing;
+}
+
+// Re-binds a returning student (resume token) to their record. If the record was already
+// dropped it is recreated under the same id, so their earlier answers still count as theirs:
+// the score comes back from history (the session's full entries) and the live question stays
+// answered. Students a teacher removed can't come back this way
+function resumeStudent(state, studentId, name, history = []) {
+  if (isSessionClosed(state)) throw sessionClosedError();
+  const existing = state.students[studentId];
+  if (isBanned(state, studentId, existing?.name)) {
+    throw appError(403, 'You are banned from this session', { code: 'banned' });
+  }
+  if (state.removed.some((entry) => entry.studentId === studentId)) {
+    throw appError(403, 'You were removed from this session', { code: 'removed' });
+  }
+  if (existing) {
+    existing.connected = true;
+    existing.disconnectedAtMs = null;
+    return existing;
+  }
+  if (!name) throw appError(400, 'name is required', { code: 'validation_failed', field: 'name' });
+  const student = addStudent(state, studentId, name);
+  history.forEach((entry) => entry.submissions.forEach((submission) => {
+    if (submission.studentId !== studentId || submission.correct === null) return;
+    student.score += submission.points || 0;
+    if (submission.correct) student.correctCount += 1;
+  }));
+  const qid = state.currentQuestion?.id;
+  student.hasAnswered = !!(qid && state.submissions[qid]?.[studentId]);
+  return student;
+}
+
+// Takes a student's answer to the live question back out of the tallies. Not possible for
+// anonymous questions, whose stored marker doesn't say what was chosen
+function discardLiveSubmission(state, studentId) {
+  const question = state.currentQuestion;
+  const submission = question && state.submissions[question.id]?.[studentId];
+  if (!submission || question.anonymous) return false;
+  removeFromTally(state.answers[question.id], parseAnswer(question, submissionAnswer(submission)).buckets);
+  delete state.submissions[question.id][studentId];
+  return true;
+}
+
+// Teacher removal (kick) or ban. target: { studentId } or, for bans, { name } to ban a name
+// whether or not someone currently uses it. discardVotes also takes back the live answer.
+// Removed students are remembered in state.removed (see createEmptyState).
+// Returns { studentId (null if nobody was removed), name, votesDiscarded, ban }
+function removeStudentFromSession(state, { studentId, name } = {}, { ban = false, discardVotes = false } = {}, now = Date.now()) {
+  let targetId = studentId || null;
+  if (!targetId && ban && name) {
+    targetId = Object.keys(state.students).find((id) => sameName(state.students[id].name, name)) || null;
+  }
+  const student = targetId ? state.students[targetId] : null;
+  if (!student && (!ban || studentId || !name)) throw appError(404, 'Student not found');
+
+  const removed = {
+    studentId: student ? targetId : null,
+    name: student ? student.name : String(name).trim().slice(0, 40),
+    votesDiscarded: !!student && discardVotes && discardLiveSubmission(state, targetId),
+    ban: null
+  };
+  if (student) {
+    removeStudentRecord(state, targetId);
+    // An answer left in the live results locks the question for anyone joining from now on
+    // (see joinedAfterRemoval), so they can't rejoin under any name and vote on it again
+    const qid = state.currentQuestion?.id;
+    const answered = !!qid && state.submissions[qid]?.[targetId] !== undefined;
+    state.removed.push({ studentId: targetId, name: removed.name, removedAtMs: now, questionId: answered ? qid : null });
+  }
+  if (ban) {
+    removed.ban = { studentId: removed.studentId, name: removed.name, bannedAtMs: now };
+    state.bans.push(removed.ban);
+  }
+  return removed;
+}
+
+// Lifts every ban matching the participant id or name; returns how many were removed
+function unbanStudent(state, { studentId, name } = {}) {
+  const before = state.bans.length;
+  state.bans = state.bans.filter((ban) => !((studentId && ban.studentId === studentId) || sameName(ban.name, name)));
+  return before - state.bans.length;
+}
+
+// A student whose last socket closed keeps their record (and name) for a grace period
+function markStudentDisconnected(state, studentId, now = Date.now()) {
+  const student = state.students[studentId];
+  if (!student) return null;
+  student.connected = false;
+  student.disconnectedAtMs = now;
+  return student;
+}
+
+// Drops the student if they are still disconnected after graceMs; returns the removed record
+function dropLapsedStudent(state, studentId, graceMs, now = Date.now()) {
+  const student = state.students[studentId];
+  if (!student || student.connected !== false || now - student.disconnectedAtMs < graceMs) return null;
+  return removeStudentRecord(state, studentId);
+}
+
+function createTeacherRecord(name, role, permissions = DEFAULT_COTEACHER_PERMISSIONS, now = Date.now()) {
+  return {
+    name,
+    role,
+    permissions: role === 'owner' ? [...TEACHER_PERMISSIONS] : [...permissions],
+    joinedAtMs: now,
+    // Whether a socket of theirs is open; REST-only teachers stay false
+    connected: false
+  };
+}
+
+function isSessionTeacher(state, teacherId) {
+  return !!teacherId && !!state.teachers[teacherId];
+}
+
+// A teacher logging in with the passcode: the first one owns the session, later ones join it
+// as co-teachers with the default permissions
+function addTeacher(state, teacherId, name) {
+  const role = state.ownerId && state.teachers[state.ownerId] ? 'coteacher' : 'owner';
+  const safeName = String(name || '').trim().slice(0, 40) || (role === 'owner' ? 'Teacher' : 'Co-teacher');
+  state.teachers[teacherId] = createTeacherRecord(safeName, role);
+  if (role === 'owner') state.ownerId = teacherId;
+  return state.teachers[teacherId];
+}
+
+// Returns the teacher's record, or throws unless teacherId is a teacher of the session holding
+// `permission` (any teacher when it is null; 'owner' for owner-only actions)
+function checkTeacher(state, teacherId, permission = null) {
+  const teacher = isSessionTeacher(state, teacherId) ? state.teachers[teacherId] : null;
+  if (!teacher) throw appError(401, 'Unauthorized: Not a teacher of this session');
+  if (permission === 'owner' && teacher.role !== 'owner') {
+    throw appError(403, 'Only the session owner can do this');
+  }
+  if (permission && permission !== 'owner' && !teacher.permissions.includes(permission)) {
+    throw appError(403, `Your co-teacher role doesn't allow this (needs "${permission}")`);
+  }
+  return teacher;
+}
+
+function findCoTeacher(state, teacherId) {
+  const teacher = state.teachers[teacherId];
+  if (!teacher) throw appError(404, 'Teacher not found', { field: 'teacherId' });
+  if (teacher.role === 'owner') {
+    throw appError(400, 'That teacher is the session owner', { code: 'validation_failed', field: 'teacherId' });
+  }
+  return teacher;
+}
+
+// Replaces what a co-teacher may do (a list of TEACHER_PERMISSIONS)
+function setTeacherPermissions(state, teacherId, permissions) {
+  const teacher = findCoTeacher(state, teacherId);
+  teacher.permissions = TEACHER_PERMISSIONS.filter((permission) => permissions.includes(permission));
+  return teacher;
+}
+
+function removeTeacher(state, teacherId) {
+  const teacher = findCoTeacher(state, teacherId);
+  delete state.teachers[teacherId];
+  return teacher;
+}
+
+// Hands the session to a co-teacher; the previous owner stays on as a co-teacher with every permission
+function transferOwnership(state, teacherId) {
+  const teacher = findCoTeacher(state, teacherId);
+  const previousOwner = state.teachers[state.ownerId];
+  if (previousOwner) {
+    previousOwner.role = 'coteacher';
+    previousOwner.permissions = [...TEACHER_PERMISSIONS];
+  }
+  teacher.role = 'owner';
+  teacher.permissions = [...TEACHER_PERMISSIONS];
+  state.ownerId = teacherId;
+  return teacher;
+}
+
+function setTeacherConnected(state, teacherId, connected) {
+  const teacher = state.teachers[teacherId];
+  if (!teacher) return null;
+  teacher.connected = connected;
+  return teacher;
+}
+
+// Owner first, then co-teachers in joining order
+function listTeachers(state) {
+  return Object.entries(state.teachers)
+    .map(([teacherId, teacher]) => ({ teacherId, ...teacher }))
+    .sort((a, b) => (b.role === 'owner') - (a.role === 'owner') || a.joinedAtMs - b.joinedAtMs);
+}
+
+function createQuestionId() {
+  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Same bounds for every way of asking a question
+function clampTimeLimit(timeLimitSec) {
+  return Math.min(Math.max(Number(timeLimitSec) || 60, 5), 300);
+}
+
+// Only allow a new question once all current students have answered
+function haveAllStudentsAnswered(state) {
+  if (!state.currentQuestion) return true;
+  const subs = state.submissions[state.currentQuestion.id] || {};
+  // Answers of removed students don't stand in for anyone still here; students who can't
+  // answer aren't waited for
+  return Object.keys(state.students)
+    .every((studentId) => subs[studentId] !== undefined || joinedAfterRemoval(state, studentId));
+}
+
+// Validates the question input and makes it the live question (shared by every ask path).
+// anonymous defaults to the session setting, which scored questions ignore: scoring needs to
+// know who chose what, and an anonymous question never keeps that
+function launchQuestion(state, {
+  type, text, options, scale, range, maxLength, timeLimitSec, correctOptions, points, speedBonus, anonymous,
+  resultsVisibility
+} = {}, now = Date.now()) {
+  if (isSessionClosed(state)) throw sessionClosedError();
+  const definition = parseQuestion({ type, text, options, scale, range, maxLength });
+  const scoring = parseScoring({ correctOptions, points, speedBonus }, definition);
+  const isScored = scoring.correctOptions.length > 0;
+  if (anonymous && isScored) {
+    throw appError(400, 'Anonymous questions cannot have correctOptions', { field: 'anonymous' });
+  }
+  const isAnonymous = anonymous === undefined || anonymous === null
+    ? !!state.settings.anonymous && !isScored
+    : !!anonymous;
+  const visibility = parseResultsVisibility(resultsVisibility, state.settings.resultsVisibility);
+  const id = createQuestionId();
+  state.currentQuestion = startQuestionTimer({
+    id,
+    ...definition,
+    // Optional quiz settings; the correct options stay hidden until the question ends
+    ...scoring,
+    anonymous: isAnonymous,
+    resultsVisibility: visibility,
+    resultsRevealed: false
+  }, clampTimeLimit(timeLimitSec), now);
+  state.answers[id] = {};
+  state.submissions[id] = {};
+  state.status = 'live';
+  // Reset student flags
+  Object.values(state.students).forEach((student) => {
+    student.hasAnswered = false;
+  });
+  return state.currentQuestion;
+}
+
+// Missing values fall back to `fallback`; anything else must be one of RESULTS_VISIBILITY
+function parseResultsVisibility(value, fallback = 'live') {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (!RESULTS_VISIBILITY.includes(value)) {
+    throw appError(400, `resultsVisibility must be one of ${RESULTS_VISIBILITY.join(', ')}`, {
+      code: 'validation_failed',
+      field: 'resultsVisibility'
+    });
+  }
+  return value;
+}
+
+// { anonymous, resultsVisibility }; omitted fields keep their value. Questions already live are
+// not affected
+function updateSessionSettings(state, { anonymous, resultsVisibility } = {}) {
+  const visibility = parseResultsVisibility(resultsVisibility, state.settings.resultsVisibility);
+  if (anonymous !== undefined) state.settings.anonymous = !!anonymous;
+  state.settings.resultsVisibility = visibility;
+  return state.settings;
+}
+
+// Shows the results of the live question (no questionId) or of an ended one to everyone.
+// history: the session's history summaries, for questions older than the recent ones; the stored
+// entry is updated by the caller
+function revealResults(state, questionId, history = []) {
+  if (!questionId || state.currentQuestion?.id === questionId) {
+    if (!state.currentQuestion) throw appError(400, 'No active question', { code: 'no_active_question' });
+    state.currentQuestion.resultsRevealed = true;
+    return state.currentQuestion.id;
+  }
+  const matches = [...state.endedQuestions, ...state.recentHistory].filter((entry) => entry.id === questionId);
+  if (!matches.length && !history.some((summary) => summary.id === questionId)) {
+    throw appError(404, 'Question not found');
+  }
+  matches.forEach((entry) => {
+    entry.resultsRevealed = true;
+  });
+  return questionId;
+}
+
+// viewer: { role, id } from a verified token, or null for anyone else. The teacher always sees
+// results; students per the question's resultsVisibility (questions from before it existed are live).
+// An anonymous question's results stay hidden from everyone until it ends: live totals rising
+// next to the roster's "answered" flags would show the teacher who chose what
+function canSeeResults(state, question, viewer, hasEnded) {
+  if (question.anonymous && !hasEnded) return false;
+  if (viewer?.role === 'teacher' && isSessionTeacher(state, viewer.id)) return true;
+  if (question.resultsRevealed) return true;
+  switch (question.resultsVisibility || 'live') {
+    case 'live':
+      return true;
+    case 'answered':
+      return hasEnded || !!(viewer?.role === 'student' && state.submissions[question.id]?.[viewer.id]);
+    case 'ended':
+      return hasEnded;
+    default:
+      return false;
+  }
+}
+
+// Whether students who answered the live question see something different from the others
+function resultsDependOnAnswer(state) {
+  const question = state.currentQuestion;
+  return !!question && !question.resultsRevealed && question.resultsVisibility === 'answered';
+}
+
+function hasSubmitted(state, studentId) {
+  const qid = state.currentQuestion?.id;
+  return !!qid && state.submissions[qid]?.[studentId] !== undefined;
+}
+
+// Records a validated answer ({ answer, buckets } from parseAnswer) to the live question.
+// Tolerates a live question stored without its answers/submissions maps
+function recordSubmission(state, studentId, { answer, buckets }, now = Date.now()) {
+  const qid = state.currentQuestion.id;
+  state.submissions[qid] = state.submissions[qid] || {};
+  state.answers[qid] = state.answers[qid] || {};
+  // The name is kept with the answer so history shows it even if the student has left by the end
+  const { name } = state.students[studentId];
+  state.submissions[qid][studentId] = state.currentQuestion.anonymous ? {} : { answer, answeredAtMs: now, name };
+  addToTally(state.answers[qid], buckets);
+  state.students[studentId].hasAnswered = true;
+}
+
+// Public state as seen by viewer (see canSeeResults); hidden results are null
+function getPublicState(state, viewer = null) {
+  let results = null;
+  const hasQuestion = !!state.currentQuestion;
+  const resultsVisible = hasQuestion && canSeeResults(state, state.currentQuestion, viewer, false);
+  if (resultsVisible) {
+    const qid = state.currentQuestion.id;
+    results = aggregateResults(
+      state.currentQuestion,
+      state.answers[qid],
+      Object.keys(state.submissions[qid] || {}).length
+    );
+  }
+  return {
+    sessionCode: state.sessionCode,
+    status: state.status,
+    hasQuestion,
+    currentQuestion: hasQuestion ? {
+      id: state.currentQuestion.id,
+      type: questionType(state.currentQuestion),
+      text: state.currentQuestion.text,
+      options: state.currentQuestion.options,
+      scale: state.currentQuestion.scale,
+      range: state.currentQuestion.range,
+      maxLength: state.currentQuestion.maxLength,
+      anonymous: !!state.currentQuestion.anonymous,
+      resultsVisibility: state.currentQuestion.resultsVisibility || 'live',
+      resultsVisible,
+      timeLimitSec: state.currentQuestion.timeLimitSec,
+      startedAtMs: state.currentQuestion.startedAtMs,
+      // Clients count down to endsAtMs; while paused it is null and pausedTimeLeftMs is frozen
+      endsAtMs: state.currentQuestion.endsAtMs,
+      isPaused: isTimerPaused(state.currentQuestion),
+      pausedTimeLeftMs: state.currentQuestion.pausedTimeLeftMs
+    } : null,
+    results,
+    studentCount: Object.keys(state.students).length,
+    // Last RECENT_HISTORY_LENGTH, as summaries (no per-student detail)
+    history: state.recentHistory.map((entry) => {
+      if (canSeeResults(state, entry, viewer, true)) return { ...entry, resultsVisible: true };
+      return { ...entry, results: null, stats: null, totalVotes: null, participationRate: null, resultsVisible: false };
+    }),
+    // Scores only change when a question ends, so this never gives away the live answer
+    leaderboard: buildLeaderboard(state.students, 10),
+    settings: state.settings,
+    quiz: state.quizRun ? {
+      quizId: state.quizRun.quizId,
+      title: state.quizRun.title,
+      position: state.quizRun.position,
+      total: state.quizRun.questions.length,
+      autoAdvance: state.quizRun.autoAdvance,
+      nextAtMs: state.quizRun.nextAtMs
+    } : null
+  };
+}
+
+// Teacher-only view: the public state plus the roster with each student's status on the live
+// question and who picked which option, and the session's teachers. Anonymous questions show
+// who has answered, never what, and no counts until they end (see canSeeResults)
+function getTeacherState(state) {
+  const question = state.currentQuestion;
+  const questionSubmissions = (question && state.submissions[question.id]) || {};
+  const keepsAnswers = !!question && !question.anonymous;
+
+  const roster = Object.entries(state.students).map(([studentId, student]) => {
+    const submission = questionSubmissions[studentId];
+    const answer = keepsAnswers && submission ? submissionAnswer(submission) : null;
+    return {
+      studentId,
+      name: student.name,
+      joinedAtMs: student.joinedAtMs ?? null,
+      connected: student.connected !== false,
+      disconnectedAtMs: student.disconnectedAtMs ?? null,
+      hasAnswered: !!submission,
+      answer,
+      option: answer === null ? null : formatAnswer(question, answer),
+      answeredAtMs: keepsAnswers && submission ? submission.answeredAtMs : null,
+      responseTimeMs: keepsAnswers && submission ? submission.answeredAtMs - question.startedAtMs : null,
+      score: student.score
+    };
+  }).sort((a, b) => (a.joinedAtMs || 0) - (b.joinedAtMs || 0));
+
+  const publicState = getPublicState(state, { role: 'teacher', id: state.ownerId });
+  const responseCount = Object.keys(questionSubmissions).length;
+  const totals = publicState.results?.totals;
+  // Per-option counts with the students behind them (choice and rating questions)
+  const breakdown = question ? question.options.map((option, idx) => ({
+    option,
+    votes: totals ? totals[idx] : null,
+    percent: totals ? (responseCount ? (totals[idx] / responseCount) * 100 : 0) : null,
+    students: keepsAnswers
+      ? roster.filter((entry) => optionIndices(question, entry.answer).includes(idx))
+        .map(({ studentId, name }) => ({ studentId, name }))
+      : null
+  })) : null;
+
+  return {
+    ...publicState,
+    archiveKey: state.archiveKey,
+    roster,
+    answeredCount: roster.filter((entry) => entry.hasAnswered).length,
+    connectedCount: roster.filter((entry) => entry.connected).length,
+    breakdown,
+    bans: state.bans,
+    teachers: listTeachers(state)
+  };
+}
+
+// Option positions a stored answer counts towards (the tally buckets of choice and rating answers)
+function optionIndices(question, answer) {
+  if (answer === null || answer === undefined) return [];
+  switch (questionType(question)) {
+    case 'single':
+      return [answer];
+    case 'multiple':
+      return answer;
+    case 'rating':
+      return [answer - question.scale.min];
+    default:
+      return [];
+  }
+}
+
+// Ends the live question: its history entry, with who answered what, goes to endedQuestions
+// (and its summary to recentHistory), quiz questions are scored into the students' running
+// totals, and the live answers/submissions are dropped
+function archiveCurrentQuestion(state, now = Date.now()) {
+  const q = state.currentQuestion;
+  const qid = q.id;
+  const questionSubmissions = state.submissions[qid] || {};
+  const responseCount = Object.keys(questionSubmissions).length;
+  const { totals, stats } = aggregateResults(q, state.answers[qid], responseCount);
+  // Anonymous questions keep only the aggregate results
+  const submissions = q.anonymous ? [] : Object.entries(questionSubmissions).map(([studentId, submission]) => {
+    const { correct, points } = scoreSubmission(q, submission);
+    const student = state.students[studentId];
+    if (student && correct !== null) {
+      student.score = (student.score || 0) + points;
+      if (correct) student.correctCount = (student.correctCount || 0) + 1;
+    }
+    return {
+      studentId,
+      name: submission.name || student?.name || null,
+      answer: submissionAnswer(submission),
+      answeredAtMs: submission.answeredAtMs,
+      correct,
+      points
+    };
+  });
+  // Everyone present at the end plus anyone who answered and has since left
+  const participantCount = new Set([...Object.keys(state.students), ...Object.keys(questionSubmissions)]).size;
+  const entry = {
+    id: qid,
+    type: questionType(q),
+    text: q.text,
+    options: q.options,
+    scale: q.scale,
+    range: q.range,
+    maxLength: q.maxLength,
+    results: totals,
+    stats,
+    totalVotes: responseCount,
+    participantCount,
+    participationRate: participantCount ? responseCount / participantCount : 0,
+    startedAtMs: q.startedAtMs,
+    endedAtMs: now,
+    timeLimitSec: q.timeLimitSec,
+    isQuiz: isQuizQuestion(q),
+    correctOptions: q.correctOptions || [],
+    points: q.points || 0,
+    speedBonus: !!q.speedBonus,
+    anonymous: !!q.anonymous,
+    resultsVisibility: q.resultsVisibility || 'live',
+    resultsRevealed: !!q.resultsRevealed,
+    submissions
+  };
+  state.endedQuestions.push(entry);
+  state.recentHistory = [summarizeHistoryEntry(entry), ...state.recentHistory].slice(0, RECENT_HISTORY_LENGTH);
+  state.currentQuestion = null;
+  delete state.answers[qid];
+  delete state.submissions[qid];
+  scheduleQuizAdvance(state, now);
+  return qid;
+}
+
+// Question timers: a running question has endsAtMs; a paused one has pausedTimeLeftMs instead
+function startQuestionTimer(question, timeLimitSec, now = Date.now()) {
+  question.timeLimitSec = timeLimitSec;
+  question.startedAtMs = now;
+  question.endsAtMs = now + timeLimitSec * 1000;
+  question.pausedTimeLeftMs = null;
+  return question;
+}
+
+function isTimerPaused(question) {
+  return question.pausedTimeLeftMs !== null && question.pausedTimeLeftMs !== undefined;
+}
+
+function getTimeLeftMs(question, now = Date.now()) {
+  if (isTimerPaused(question)) return question.pausedTimeLeftMs;
+  return Math.max(0, question.endsAtMs - now);
+}
+
+function isQuestionExpired(question, now = Date.now()) {
+  return !isTimerPaused(question) && now >= question.endsAtMs;
+}
+
+// Archives the live question if its time is up; returns its id, or null if still open
+function expireCurrentQuestion(state, now = Date.now()) {
+  if (!state.currentQuestion || !isQuestionExpired(state.currentQuestion, now)) return null;
+  return archiveCurrentQuestion(state);
+}
+
+// Teacher timer controls: extend by `seconds`, pause, resume, or restart (optionally with a new limit)
+function applyTimerAction(question, { action, seconds } = {}, now = Date.now()) {
+  switch (action) {
+    case 'extend': {
+      const extraMs = Math.min(Math.max(Number(seconds) || 30, 1), 300) * 1000;
+      if (isTimerPaused(question)) question.pausedTimeLeftMs += extraMs;
+      else question.endsAtMs += extraMs;
+      break;
+    }
+    case 'pause':
+      if (isTimerPaused(question)) throw appError(400, 'Timer is already paused');
+      question.pausedTimeLeftMs = getTimeLeftMs(question, now);
+      question.endsAtMs = null;
+      break;
+    case 'resume':
+      if (!isTimerPaused(question)) throw appError(400, 'Timer is not paused');
+      question.endsAtMs = now + question.pausedTimeLeftMs;
+      question.pausedTimeLeftMs = null;
+      break;
+    case 'restart': {
+      const limit = seconds === undefined ? question.timeLimitSec : Math.min(Math.max(Number(seconds) || 60, 5), 300);
+      startQuestionTimer(question, limit, now);
+      break;
+    }
+    default:
+      throw appError(400, 'Unknown timer action (expected extend, pause, resume or restart)', {
+        code: 'validation_failed',
+        field: 'action'
+      });
+  }
+  return question;
+}
+
+// Quiz runs: the teacher steps through a stored quiz and each step goes through launchQuestion.
+// quiz is a question bank export ({ id, title, questions })
+function startQuizRun(state, quiz, { autoAdvance = false, advanceDelaySec } = {}, now = Date.now()) {
+  if (!quiz.questions.length) throw appError(400, 'Quiz has no questions');
+  const delay = advanceDelaySec === undefined ? DEFAULT_ADVANCE_DELAY_SEC : Number(advanceDelaySec);
+  if (!Number.isFinite(delay) || delay < 0 || delay > 60) {
+    throw appError(400, 'advanceDelaySec must be from 0 to 60', { code: 'validation_failed', field: 'advanceDelaySec' });
+  }
+  state.quizRun = {
+    quizId: quiz.id,
+    title: quiz.title,
+    questions: quiz.questions,
+    position: -1,
+    autoAdvance: !!autoAdvance,
+    advanceDelaySec: delay,
+    nextAtMs: null
+  };
+  return goToQuizQuestion(state, 0, now);
+}
+
+// Launches the quiz question at position, ending the live question first
+function goToQuizQuestion(state, position, now = Date.now()) {
+  const run = state.quizRun;
+  if (!run) throw appError(400, 'No quiz is running');
+  if (position < 0) throw appError(400, 'Already at the first question');
+  if (position >= run.questions.length) throw appError(400, 'No more questions in this quiz');
+  if (state.currentQuestion) archiveCurrentQuestion(state, now);
+  run.position = position;
+  run.nextAtMs = null;
+  return launchQuestion(state, run.questions[position], now);
+}
+
+// 'next' | 'previous' from the current position
+function stepQuizRun(state, direction, now = Date.now()) {
+  if (!state.quizRun) throw appError(400, 'No quiz is running');
+  const delta = { next: 1, previous: -1 }[direction];
+  if (!delta) throw appError(400, 'Unknown quiz step (expected next or previous)');
+  return goToQuizQuestion(state, state.quizRun.position + delta, now);
+}
+
+function stopQuizRun(state) {
+  if (!state.quizRun) throw appError(400, 'No quiz is running');
+  state.quizRun = null;
+}
+
+// Called whenever a question ends: an auto-advancing run shows the results for
+// advanceDelaySec and then launches its next question
+function scheduleQuizAdvance(state, now) {
+  const run = state.quizRun;
+  if (!run || !run.autoAdvance || run.position >= run.questions.length - 1) return;
+  run.nextAtMs = now + run.advanceDelaySec * 1000;
+}
+
+function isQuizAdvanceDue(state, now = Date.now()) {
+  return !!state.quizRun && state.quizRun.nextAtMs !== null && now >= state.quizRun.nextAtMs;
+}
+
+// Launches the next quiz question if its time has come; returns its id, or null
+function advanceQuizIfDue(state, now = Date.now()) {
+  if (!isQuizAdvanceDue(state, now)) return null;
+  // The teacher asked something else in the meantime; wait for that question to end
+  if (state.currentQuestion) {
+    state.quizRun.nextAtMs = null;
+    return null;
+  }
+  return goToQuizQuestion(state, state.quizRun.position + 1, now).id;
+}
+
+module.exports = {
+  SESSION_STATUSES,
+  RESULTS_VISIBILITY,
+  TEACHER_PERMISSIONS,
+  stateKey,
+  SESSION_INDEX_KEY,
+  createEmptyState,
+  serializeState,
+  deserializeState,
+  updateState,
+  hasPendingTimeChange,
+  createSessionState,
+  listSessionCodes,
+  forgetSessionCode,
+  isSessionClosed,
+  resetSession,
+  closeSession,
+  createStudentRecord,
+  createTeacherRecord,
+  isSessionTeacher,
+  addTeacher,
+  checkTeacher,
+  setTeacherPermissions,
+  removeTeacher,
+  transferOwnership,
+  setTeacherConnected,
+  listTeachers,
+  addStudent,
+  removeStudentRecord,
+  resumeStudent,
+  isBanned,
+  joinedAfterRemoval,
+  removeStudentFromSession,
+  unbanStudent,
+  STUDENT_GRACE_MS,
+  markStudentDisconnected,
+  dropLapsedStudent,
+  createQuestionId,
+  clampTimeLimit,
+  haveAllStudentsAnswered,
+  launchQuestion,
+  parseResultsVisibility,
+  updateSessionSettings,
+  revealResults,
+  resultsDependOnAnswer,
+  hasSubmitted,
+  recordSubmission,
+  getPublicState,
+  getTeacherState,
+  archiveCurrentQuestion,
+  startQuestionTimer,
+  isTimerPaused,
+  getTimeLeftMs,
+  isQuestionExpired,
+  expireCurrentQuestion,
+  applyTimerAction,
+  startQuizRun,
+  stepQuizRun,
+  stopQuizRun
+};
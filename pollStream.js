@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { appError, sendError } = require('./errors');
+
+const HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS) || 15000;
+// Changes made by other instances (serverless) are only seen by re-reading the store
+const POLL_MS = Number(process.env.SSE_POLL_MS) || 2000;
+const RETRY_MS = 3000;
+
+// Content tag of a public state payload; used as the SSE event id and as the ETag of
+// /api/poll/state, so a client can resume from either
+function stateTag(payload) {
+  return crypto.createHash('sha1').update(JSON.stringify(payload)).digest('base64url').slice(0, 20);
+}
+
+// Server-Sent Events stream of a session's public state. loadPublicState(sessionCode, viewer)
+// resolves to the payload as viewer may see it, or null if the session is gone
+function createPollStream(loadPublicState) {
+  const changes = new EventEmitter();
+  changes.setMaxListeners(0); // One listener per open stream
+
+  // Called after every local state change so open streams push immediately
+  function notify(sessionCode) {
+    changes.emit(sessionCode);
+  }
+
+  async function handle(req, res, sessionCode, viewer = null) {
+    const initial = await loadPublicState(sessionCode, viewer);
+    if (!initial) {
+      return sendError(res, appError(404, 'Session not found', { code: 'session_not_found' }));
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    let lastTag = req.get('Last-Event-ID') || null;
+    let closed = false;
+    // Serialises pushes so a slow store read can't reorder events
+    let pending = Promise.resolve();
+
+    function send(payload) {
+      const tag = stateTag(payload);
+      if (tag === lastTag) return; // Nothing changed since the client's last event
+      lastTag = tag;
+      res.write(`id: ${tag}\nevent: poll:state\ndata: ${JSON.stringify(payload)}\n\n`);
+    }
+
+    function refresh() {
+      pending = pending.then(async () => {
+        if (closed) return;
+        try {
+          const payload = await loadPublicState(sessionCode, viewer);
+          if (closed) return;
+          // The session no longer exists at all
+          if (!payload) {
+            res.write('event: session:deleted\ndata: {}\n\n');
+            return res.end();
+          }
+          send(payload);
+        } catch (error) {
+          console.error('Poll stream error:', error);
+        }
+      });
+    }
+
+    send(initial);
+    changes.on(sessionCode, refresh);
+    const pollTimer = setInterval(refresh, POLL_MS);
+    const heartbeatTimer = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      closed = true;
+      changes.off(sessionCode, refresh);
+      clearInterval(pollTimer);
+      clearInterval(heartbeatTimer);
+    });
+  }
+
+  return { handle, notify };
+}
+
+module.exports = { createPollStream, stateTag };
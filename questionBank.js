@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const { parseQuestion } = require('./questionTypes');
+const { parseScoring } = require('./scoring');
+const { clampTimeLimit, parseResultsVisibility } = require('./pollState');
+const { appError } = require('./errors');
+const { createDocumentStore } = require('./stateStore');
+
+// Saved questions and quizzes live in a single store document so every change is one atomic update.
+// There is one teacher login, so the bank is shared by all sessions
+const BANK_KEY = 'questionBank';
+const EXPORT_FORMAT = 'live-poll-quiz';
+const EXPORT_VERSION = 1;
+const MAX_QUIZ_ITEMS = 100;
+
+function emptyBank() {
+  return { questions: {}, quizzes: {} };
+}
+
+// Everything needed to ask the question again: the type definition, quiz settings, time limit,
+// and whether it is anonymous and who sees its results (left out to follow the session settings)
+function parseSavedQuestion(input = {}) {
+  const definition = parseQuestion(input);
+  const question = {
+    ...definition,
+    ...parseScoring(input, definition),
+    timeLimitSec: clampTimeLimit(input.timeLimitSec)
+  };
+  if (input.anonymous !== undefined && input.anonymous !== null) question.anonymous = !!input.anonymous;
+  if (input.resultsVisibility) question.resultsVisibility = parseResultsVisibility(input.resultsVisibility);
+  if (question.anonymous && question.correctOptions.length) {
+    throw appError(400, 'Anonymous questions cannot have correctOptions', { field: 'anonymous' });
+  }
+  return question;
+}
+
+function parseQuizTitle(title) {
+  const sanitized = String(title || '').trim().slice(0, 100);
+  if (!sanitized) throw appError(400, 'Quiz title is required', { code: 'validation_failed', field: 'title' });
+  return sanitized;
+}
+
+// items: question ids or { questionId, timeLimitSec } (overrides the question's own limit)
+function parseQuizItems(items, bank) {
+  if (!Array.isArray(items) || !items.length || items.length > MAX_QUIZ_ITEMS) {
+    throw appError(400, `A quiz needs 1 to ${MAX_QUIZ_ITEMS} questions`, { code: 'validation_failed', field: 'items' });
+  }
+  return items.map((item, idx) => {
+    const { questionId, timeLimitSec } = typeof item === 'object' && item !== null ? item : { questionId: item };
+    if (!bank.questions[questionId]) throw appError(400, `Unknown question: ${questionId}`, { field: `items[${idx}]` });
+    return {
+      questionId,
+      timeLimitSec: timeLimitSec === undefined || timeLimitSec === null ? null : clampTimeLimit(timeLimitSec)
+    };
+  });
+}
+
+// Strips bank bookkeeping (ids, timestamps) so the result can be passed to the ask path or exported
+function toQuestionInput(question, timeLimitSec = null) {
+  const { id, createdAtMs, updatedAtMs, ...input } = question;
+  return { ...input, timeLimitSec: timeLimitSec ?? input.timeLimitSec };
+}
+
+function createQuestionBank(store) {
+  const { load, update } = createDocumentStore(store, { key: () => BANK_KEY, empty: emptyBank });
+
+  function findQuestion(bank, questionId) {
+    const question = bank.questions[questionId];
+    if (!question) throw appError(404, 'Question not found');
+    return question;
+  }
+
+  function findQuiz(bank, quizId) {
+    const quiz = bank.quizzes[quizId];
+    if (!quiz) throw appError(404, 'Quiz not found');
+    return quiz;
+  }
+
+  function addQuestion(bank, input, now) {
+    const question = { id: crypto.randomUUID(), ...parseSavedQuestion(input), createdAtMs: now, updatedAtMs: now };
+    bank.questions[question.id] = question;
+    return question;
+  }
+
+  function addQuiz(bank, { title, items }, now) {
+    const quiz = {
+      id: crypto.randomUUID(),
+      title: parseQuizTitle(title),
+      items: parseQuizItems(items, bank),
+      createdAtMs: now,
+      updatedAtMs: now
+    };
+    bank.quizzes[quiz.id] = quiz;
+    return quiz;
+  }
+
+  async function listQuestions() {
+    const bank = await load();
+    return Object.values(bank.questions).sort((a, b) => b.updatedAtMs - a.updatedAtMs);
+  }
+
+  async function getQuestion(questionId) {
+    return findQuestion(await load(), questionId);
+  }
+
+  function createQuestion(input) {
+    return update((bank) => addQuestion(bank, input, Date.now()));
+  }
+
+  function updateQuestion(questionId, input) {
+    return update((bank) => {
+      const existing = findQuestion(bank, questionId);
+      const question = { ...existing, ...parseSavedQuestion(input), updatedAtMs: Date.now() };
+      bank.questions[questionId] = question;
+      return question;
+    });
+  }
+
+  function deleteQuestion(questionId) {
+    return update((bank) => {
+      findQuestion(bank, questionId);
+      const usedBy = Object.values(bank.quizzes).find((quiz) => quiz.items.some((item) => item.questionId === questionId));
+      if (usedBy) throw appError(409, `Question is used by quiz "${usedBy.title}"`);
+      delete bank.questions[questionId];
+    });
+  }
+
+  async function listQuizzes() {
+    const bank = await load();
+    return Object.values(bank.quizzes).sort((a, b) => b.updatedAtMs - a.updatedAtMs);
+  }
+
+  async function getQuiz(quizId) {
+    return findQuiz(await load(), quizId);
+  }
+
+  function createQuiz(input = {}) {
+    return update((bank) => addQuiz(bank, input, Date.now()));
+  }
+
+  function updateQuiz(quizId, { title, items } = {}) {
+    return update((bank) => {
+      const existing = findQuiz(bank, quizId);
+      const quiz = {
+        ...existing,
+        title: title === undefined ? existing.title : parseQuizTitle(title),
+        items: items === undefined ? existing.items : parseQuizItems(items, bank),
+        updatedAtMs: Date.now()
+      };
+      bank.quizzes[quizId] = quiz;
+      return quiz;
+    });
+  }
+
+  function deleteQuiz(quizId) {
+    return update((bank) => {
+      findQuiz(bank, quizId);
+      delete bank.quizzes[quizId];
+    });
+  }
+
+  // Self-contained JSON copy of a quiz with its questions inlined. Also what a quiz run is started from
+  async function exportQuiz(quizId) {
+    const bank = await load();
+    const quiz = findQuiz(bank, quizId);
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      id: quiz.id,
+      title: quiz.title,
+      questions: quiz.items.map((item) => toQuestionInput(findQuestion(bank, item.questionId), item.timeLimitSec))
+    };
+  }
+
+  // Saves every question of an exported quiz as a new bank question and creates the quiz from them
+  function importQuiz(data = {}) {
+    if (data.format !== EXPORT_FORMAT) {
+      throw appError(400, `Expected a "${EXPORT_FORMAT}" export`, { code: 'validation_failed', field: 'format' });
+    }
+    if (!Array.isArray(data.questions)) {
+      throw appError(400, 'questions must be an array', { code: 'validation_failed', field: 'questions' });
+    }
+    return update((bank) => {
+      const now = Date.now();
+      // Validate everything before touching the bank so a bad import leaves nothing behind
+      const parsed = data.questions.map((input, idx) => {
+        try {
+          return parseSavedQuestion(input);
+        } catch (error) {
+          if (!error.status) throw error;
+          throw appError(400, `Question ${idx + 1}: ${error.message}`, {
+            code: error.code,
+            field: `questions[${idx}]${error.field ? `.${error.field}` : ''}`
+          });
+        }
+      });
+      parseQuizTitle(data.title);
+      const questions = parsed.map((input) => addQuestion(bank, input, now));
+      return addQuiz(bank, { title: data.title, items: questions.map((question) => question.id) }, now);
+    });
+  }
+
+  return {
+    listQuestions,
+    getQuestion,
+    createQuestion,
+    updateQuestion,
+    deleteQuestion,
+    listQuizzes,
+    getQuiz,
+    createQuiz,
+    updateQuiz,
+    deleteQuiz,
+    exportQuiz,
+    importQuiz
+  };
+}
+
+module.exports = { createQuestionBank, MAX_QUIZ_ITEMS };
@@ -0,0 +1,315 @@
+// Question types. Every answer is reduced to one or more tally buckets (answers[qid] is a
+// bucket -> count map) and the results of each type are aggregated from that tally:
+//   single   - one option index                    bucket: option index
+//   multiple - one or more option indices          bucket: each option index
+//   rating   - whole number on a scale (Likert)    bucket: position on the scale
+//   numeric  - any number, optionally bounded      bucket: the number
+//   text     - short free text                     bucket: the normalised text
+
+const { validationError } = require('./errors');
+
+const QUESTION_TYPES = ['single', 'multiple', 'rating', 'numeric', 'text'];
+const CHOICE_TYPES = ['single', 'multiple'];
+
+const MAX_QUESTION_LENGTH = 200;
+const MAX_OPTIONS = 20;
+const MAX_OPTION_LENGTH = 100;
+
+const MAX_SCALE_STEPS = 11; // e.g. 0-10
+const DEFAULT_TEXT_LENGTH = 100;
+const MAX_TEXT_LENGTH = 500;
+const HISTOGRAM_BINS = 10;
+const WORD_CLOUD_SIZE = 50;
+// Left out of the word cloud
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'i', 'in', 'is', 'it',
+  'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was', 'we', 'with', 'you'
+]);
+
+// Questions stored before types existed are single choice
+function questionType(question) {
+  return question.type || 'single';
+}
+
+function isChoiceQuestion(question) {
+  return CHOICE_TYPES.includes(questionType(question));
+}
+
+// Submissions stored before types existed only have optionIndex
+function submissionAnswer(submission) {
+  return submission.answer !== undefined ? submission.answer : submission.optionIndex;
+}
+
+function parseInteger(value, fallback) {
+  return value === undefined || value === null || value === '' ? fallback : Number(value);
+}
+
+// Option texts (and rating labels) are trimmed; overlong ones are refused rather than cut
+function parseOptionText(option, idx) {
+  const text = String(option).trim();
+  if (text.length > MAX_OPTION_LENGTH) {
+    throw validationError(`options[${idx}]`, `Options must be at most ${MAX_OPTION_LENGTH} characters`);
+  }
+  return text;
+}
+
+function parseOptions(options) {
+  const list = Array.isArray(options) ? options : [];
+  if (list.length > MAX_OPTIONS) throw validationError('options', `At most ${MAX_OPTIONS} options are allowed`);
+  const sanitized = list.map(parseOptionText).filter((opt) => opt.length > 0);
+  if (sanitized.length < 2) throw validationError('options', 'Need at least 2 non-empty options');
+  // Identical options would split the votes for one answer
+  const seen = new Set();
+  sanitized.forEach((opt, idx) => {
+    const key = opt.toLowerCase();
+    if (seen.has(key)) throw validationError(`options[${idx}]`, `Duplicate option "${opt}"`);
+    seen.add(key);
+  });
+  return sanitized;
+}
+
+// Validates the teacher's question input; returns the stored question definition
+// (without id or timer fields)
+function parseQuestion({ type, text, options, scale, range, maxLength } = {}) {
+  const parsedType = type === undefined || type === null || type === '' ? 'single' : String(type);
+  if (!QUESTION_TYPES.includes(parsedType)) {
+    throw validationError('type', `Unknown question type (expected ${QUESTION_TYPES.join(', ')})`);
+  }
+  const sanitizedText = String(text || '').trim();
+  if (!sanitizedText) throw validationError('text', 'Question text is required');
+  if (sanitizedText.length > MAX_QUESTION_LENGTH) {
+    throw validationError('text', `Question text must be at most ${MAX_QUESTION_LENGTH} characters`);
+  }
+  const question = { type: parsedType, text: sanitizedText, options: [] };
+
+  switch (parsedType) {
+    case 'single':
+    case 'multiple':
+      question.options = parseOptions(options);
+      break;
+    case 'rating': {
+      const min = parseInteger(scale?.min, 1);
+      const max = parseInteger(scale?.max, 5);
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max <= min || max - min >= MAX_SCALE_STEPS) {
+        throw validationError('scale', `Rating scale must be whole numbers from 0 with at most ${MAX_SCALE_STEPS} steps`);
+      }
+      question.scale = { min, max };
+      // Optional labels, one per step (e.g. "Strongly disagree" ... "Strongly agree")
+      const steps = max - min + 1;
+      const labels = Array.isArray(options) ? options.map(parseOptionText) : [];
+      if (labels.length && labels.length !== steps) {
+        throw validationError('options', `Rating labels must have one entry per scale step (${steps})`);
+      }
+      question.options = labels.length ? labels : Array.from({ length: steps }, (_, idx) => String(min + idx));
+      break;
+    }
+    case 'numeric': {
+      const min = range?.min === undefined || range?.min === null ? null : Number(range.min);
+      const max = range?.max === undefined || range?.max === null ? null : Number(range.max);
+      if ((min !== null && !Number.isFinite(min)) || (max !== null && !Number.isFinite(max))
+        || (min !== null && max !== null && max < min)) {
+        throw validationError('range', 'Numeric range must be numbers with min <= max');
+      }
+      question.range = { min, max };
+      break;
+    }
+    case 'text': {
+      const limit = parseInteger(maxLength, DEFAULT_TEXT_LENGTH);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TEXT_LENGTH) {
+        throw validationError('maxLength', `maxLength must be a whole number from 1 to ${MAX_TEXT_LENGTH}`);
+      }
+      question.maxLength = limit;
+      break;
+    }
+  }
+  return question;
+}
+
+function normalizeText(text) {
+  return text.trim().replace(/\s+/g, ' ');
+}
+
+// Validates a student's answer to question; returns { answer, buckets } where answer is what
+// gets stored on the submission and buckets are the tally keys it counts towards
+function parseAnswer(question, raw) {
+  switch (questionType(question)) {
+    case 'single': {
+      const idx = Number(raw);
+      if (raw === null || raw === '' || !Number.isInteger(idx) || idx < 0 || idx >= question.options.length) {
+        throw validationError('answer', 'Invalid option');
+      }
+      return { answer: idx, buckets: [idx] };
+    }
+    case 'multiple': {
+      const list = Array.isArray(raw) ? raw : [raw];
+      const indices = [...new Set(list.map(Number))];
+      if (!indices.length || list.some((item) => item === null || item === '')
+        || indices.some((idx) => !Number.isInteger(idx) || idx < 0 || idx >= question.options.length)) {
+        throw validationError('answer', 'Select one or more valid options');
+      }
+      indices.sort((a, b) => a - b);
+      return { answer: indices, buckets: indices };
+    }
+    case 'rating': {
+      const value = Number(raw);
+      const { min, max } = question.scale;
+      if (raw === null || raw === '' || !Number.isInteger(value) || value < min || value > max) {
+        throw validationError('answer', `Rating must be a whole number from ${min} to ${max}`);
+      }
+      return { answer: value, buckets: [value - min] };
+    }
+    case 'numeric': {
+      const value = Number(raw);
+      if (raw === null || raw === '' || typeof raw === 'boolean' || !Number.isFinite(value)) {
+        throw validationError('answer', 'Answer must be a number');
+      }
+      const { min, max } = question.range;
+      if ((min !== null && value < min) || (max !== null && value > max)) {
+        throw validationError('answer', `Answer must be between ${min ?? '-∞'} and ${max ?? '∞'}`);
+      }
+      return { answer: value, buckets: [value] };
+    }
+    case 'text': {
+      const text = normalizeText(typeof raw === 'string' ? raw : '');
+      if (!text) throw validationError('answer', 'Answer text is required');
+      if (text.length > question.maxLength) {
+        throw validationError('answer', `Answer must be at most ${question.maxLength} characters`);
+      }
+      return { answer: text, buckets: [text.toLowerCase()] };
+    }
+    default:
+      throw validationError(null, 'Unknown question type');
+  }
+}
+
+// Counts one answer into the tally. Free-text buckets are arbitrary strings, so plain
+// property access could hit "__proto__" or "constructor"
+function addToTally(tally, buckets) {
+  buckets.forEach((bucket) => {
+    const count = Object.hasOwn(tally, bucket) ? tally[bucket] : 0;
+    Object.defineProperty(tally, bucket, { value: count + 1, enumerable: true, writable: true, configurable: true });
+  });
+  return tally;
+}
+
+// Reverses addToTally (a student's vote is discarded)
+function removeFromTally(tally, buckets) {
+  buckets.forEach((bucket) => {
+    if (!Object.hasOwn(tally, bucket)) return;
+    if (tally[bucket] > 1) tally[bucket] -= 1;
+    else delete tally[bucket];
+  });
+  return tally;
+}
+
+function tallyCount(tally, bucket) {
+  return Object.hasOwn(tally, bucket) ? tally[bucket] : 0;
+}
+
+function median(sortedValues) {
+  const mid = Math.floor(sortedValues.length / 2);
+  return sortedValues.length % 2 ? sortedValues[mid] : (sortedValues[mid - 1] + sortedValues[mid]) / 2;
+}
+
+function numericStats(tally) {
+  const values = [];
+  Object.entries(tally).forEach(([value, count]) => {
+    for (let i = 0; i < count; i++) values.push(Number(value));
+  });
+  if (!values.length) return { min: null, max: null, mean: null, median: null, histogram: [] };
+  values.sort((a, b) => a - b);
+  const min = values[0];
+  const max = values[values.length - 1];
+  // Equal-width bins over the observed range; the last bin includes max
+  const binCount = Math.min(HISTOGRAM_BINS, new Set(values).size);
+  const width = (max - min) / binCount || 1;
+  const histogram = Array.from({ length: binCount }, (_, idx) => ({
+    from: min + idx * width,
+    to: idx === binCount - 1 ? max : min + (idx + 1) * width,
+    count: 0
+  }));
+  values.forEach((value) => {
+    histogram[Math.min(Math.floor((value - min) / width), binCount - 1)].count++;
+  });
+  return {
+    min,
+    max,
+    mean: values.reduce((a, b) => a + b, 0) / values.length,
+    median: median(values),
+    histogram
+  };
+}
+
+function wordFrequencies(tally) {
+  const words = new Map();
+  Object.entries(tally).forEach(([text, count]) => {
+    (text.match(/[\p{L}\p{N}']+/gu) || []).forEach((word) => {
+      if (STOP_WORDS.has(word)) return;
+      words.set(word, (words.get(word) || 0) + count);
+    });
+  });
+  return [...words]
+    .map(([word, count]) => ({ word, count }))
+    .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+    .slice(0, WORD_CLOUD_SIZE);
+}
+
+// Results of a question from its tally. totals has one count per option (empty for numeric and
+// text); stats holds the type-specific aggregates and is null for single choice
+function aggregateResults(question, tally = {}, responseCount = 0) {
+  const totals = question.options.map((_, idx) => tallyCount(tally, idx));
+  let stats = null;
+  switch (questionType(question)) {
+    case 'multiple':
+      stats = { totalSelections: totals.reduce((a, b) => a + b, 0) };
+      break;
+    case 'rating': {
+      const { min } = question.scale;
+      const sum = totals.reduce((total, count, idx) => total + count * (min + idx), 0);
+      stats = {
+        average: responseCount ? sum / responseCount : null,
+        distribution: totals.map((count, idx) => ({ value: min + idx, label: question.options[idx], count }))
+      };
+      break;
+    }
+    case 'numeric':
+      stats = numericStats(tally);
+      break;
+    case 'text':
+      stats = { words: wordFrequencies(tally) };
+      break;
+  }
+  return { totals, totalVotes: responseCount, stats };
+}
+
+// Human-readable form of a stored answer (history detail and exports)
+function formatAnswer(question, answer) {
+  if (answer === undefined || answer === null) return null;
+  switch (questionType(question)) {
+    case 'single':
+      return question.options[answer] ?? null;
+    case 'multiple':
+      return answer.map((idx) => question.options[idx]).join('; ');
+    case 'rating':
+      return question.options[answer - question.scale.min] ?? String(answer);
+    default:
+      return String(answer);
+  }
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  MAX_QUESTION_LENGTH,
+  MAX_OPTIONS,
+  MAX_OPTION_LENGTH,
+  MAX_TEXT_LENGTH,
+  questionType,
+  isChoiceQuestion,
+  submissionAnswer,
+  parseQuestion,
+  parseAnswer,
+  addToTally,
+  removeFromTally,
+  aggregateResults,
+  formatAnswer
+};
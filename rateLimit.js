@@ -0,0 +1,115 @@
+// Fixed-window rate limits kept in process memory. On serverless hosts every instance counts
+// separately, which still stops a single client from hammering the store.
+//
+// Limits are "<max>/<windowSec>" and can be overridden per name with RATE_LIMIT_<NAME>
+// (e.g. RATE_LIMIT_JOIN=5/60); RATE_LIMIT=off disables them all
+const { appError, errorBody, sendError } = require('./errors');
+const { verifyToken, getBearerToken } = require('./auth');
+
+// Per-IP limits are sized for a whole class behind one school NAT
+const DEFAULT_LIMITS = {
+  join: '200/60', // teacher and student joins, per IP
+  answer: '20/60', // per student
+  state: '600/60', // poll state, leaderboard and chat reads, per participant (else per IP)
+  stream: '100/60', // SSE connections opened, per participant (else per IP)
+  teacher: '120/60', // teacher actions, per teacher
+  chat: '10/10', // chat messages, per participant
+  socket: '60/10' // any other socket event, per socket
+};
+
+// Socket events are throttled per socket; events not listed use the `socket` limit
+const SOCKET_EVENT_LIMITS = {
+  'teacher:join': 'join',
+  'student:join': 'join',
+  'student:answer': 'answer',
+  'chat:message': 'chat'
+};
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+function isDisabled() {
+  return process.env.RATE_LIMIT === 'off';
+}
+
+function parseLimit(spec) {
+  const [max, windowSec] = String(spec).split('/').map(Number);
+  if (!Number.isInteger(max) || max < 1 || !(windowSec > 0)) return null;
+  return { max, windowMs: windowSec * 1000 };
+}
+
+function limitFor(name) {
+  const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  const parsed = override && parseLimit(override);
+  if (override && !parsed) console.warn(`Ignoring invalid RATE_LIMIT_${name.toUpperCase()}: ${override}`);
+  return parsed || parseLimit(DEFAULT_LIMITS[name]);
+}
+
+// consume(key) -> { allowed, retryAfterMs }
+function createRateLimiter({ max, windowMs }) {
+  const windows = new Map(); // key -> { count, resetAtMs }
+
+  const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((entry, key) => {
+      if (entry.resetAtMs <= now) windows.delete(key);
+    });
+  }, PRUNE_INTERVAL_MS);
+  pruneTimer.unref(); // Don't keep the process alive for this
+
+  function consume(key, now = Date.now()) {
+    let entry = windows.get(key);
+    if (!entry || entry.resetAtMs <= now) {
+      entry = { count: 0, resetAtMs: now + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count += 1;
+    return { allowed: entry.count <= max, retryAfterMs: entry.resetAtMs - now };
+  }
+
+  return { consume };
+}
+
+// Express middleware for the named limit. keyOf(req) defaults to the client IP; routes behind
+// requireRole can key by participant instead
+function rateLimit(name, keyOf = (req) => req.ip) {
+  const limiter = createRateLimiter(limitFor(name));
+  return (req, res, next) => {
+    if (isDisabled()) return next();
+    const { allowed, retryAfterMs } = limiter.consume(`${name}:${keyOf(req)}`);
+    if (allowed) return next();
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    sendError(res, appError(429, 'Too many requests, please slow down'));
+  };
+}
+
+// Keys a limit by the participant of the request's token, falling back to the IP. On routes that
+// don't require a token a valid one still counts (header, or ?token= for EventSource)
+function byParticipant(req) {
+  if (req.auth) return req.auth.sub;
+  return verifyToken(getBearerToken(req) || req.query.token)?.sub || req.ip;
+}
+
+// Socket.IO per-socket throttling, installed with socket.use(). Throttled events are dropped and
+// the client gets a rate_limited error through the event's acknowledgement (or error:message)
+function createSocketThrottle() {
+  const limiters = new Map();
+
+  function limiterFor(name) {
+    if (!limiters.has(name)) limiters.set(name, createRateLimiter(limitFor(name)));
+    return limiters.get(name);
+  }
+
+  return function throttleSocket(socket) {
+    return (packet, next) => {
+      if (isDisabled()) return next();
+      const name = SOCKET_EVENT_LIMITS[packet[0]] || 'socket';
+      if (limiterFor(name).consume(`${name}:${socket.id}`).allowed) return next();
+      const error = errorBody(appError(429, 'Too many requests, please slow down'));
+      const ack = packet[packet.length - 1];
+      if (typeof ack === 'function') ack({ ok: false, error });
+      else socket.emit('error:message', error);
+    };
+  };
+}
+
+module.exports = { createRateLimiter, rateLimit, byParticipant, createSocketThrottle };
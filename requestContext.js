@@ -0,0 +1,28 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Who a REST request or socket event came from ({ ip }), available to everything it calls without
+// being passed along, so the poll service can stamp its events with the client's address
+const storage = new AsyncLocalStorage();
+
+function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+// null outside a request (e.g. timers)
+function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+// Express middleware; goes after the body parser, whose callbacks would lose the context
+function requestContext(req, _res, next) {
+  runWithRequestContext({ ip: req.ip }, next);
+}
+
+// A socket's client address, from X-Forwarded-For when TRUST_PROXY says a proxy sets it
+function socketAddress(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (process.env.TRUST_PROXY && forwarded) return String(forwarded).split(',')[0].trim();
+  return socket.handshake.address;
+}
+
+module.exports = { runWithRequestContext, getRequestContext, requestContext, socketAddress };
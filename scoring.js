@@ -0,0 +1,74 @@
+// Quiz scoring: a choice question with correctOptions awards points to students who pick one
+// of them (multiple select: exactly that set), plus an optional speed bonus of up to
+// SPEED_BONUS_SHARE of the points
+const { questionType, isChoiceQuestion, submissionAnswer } = require('./questionTypes');
+const { validationError } = require('./errors');
+
+const DEFAULT_POINTS = 100;
+const MAX_POINTS = 1000;
+const SPEED_BONUS_SHARE = 0.5;
+
+// Validates the teacher's quiz settings for a parsed question. Questions without
+// correctOptions (or an empty list) are plain polls and score nothing
+function parseScoring({ correctOptions, points, speedBonus } = {}, question) {
+  if (correctOptions === undefined || correctOptions === null
+    || (Array.isArray(correctOptions) && !correctOptions.length)) {
+    return { correctOptions: [], points: 0, speedBonus: false };
+  }
+  if (!isChoiceQuestion(question)) {
+    throw validationError('correctOptions', 'Only single and multiple choice questions can have correctOptions');
+  }
+  const optionCount = question.options.length;
+  const list = Array.isArray(correctOptions) ? correctOptions : [correctOptions];
+  const indices = [...new Set(list.map(Number))];
+  if (!indices.length || indices.some((idx) => !Number.isInteger(idx) || idx < 0 || idx >= optionCount)) {
+    throw validationError('correctOptions', 'correctOptions must be indices of the question options');
+  }
+  const parsedPoints = points === undefined ? DEFAULT_POINTS : Number(points);
+  if (!Number.isInteger(parsedPoints) || parsedPoints < 0 || parsedPoints > MAX_POINTS) {
+    throw validationError('points', `points must be a whole number from 0 to ${MAX_POINTS}`);
+  }
+  return { correctOptions: indices.sort((a, b) => a - b), points: parsedPoints, speedBonus: !!speedBonus };
+}
+
+function isQuizQuestion(question) {
+  return !!question.correctOptions?.length;
+}
+
+// { correct, points } for one submission; correct is null for non-quiz questions
+function scoreSubmission(question, submission) {
+  if (!isQuizQuestion(question)) return { correct: null, points: 0 };
+  const answer = submissionAnswer(submission);
+  const correct = questionType(question) === 'multiple'
+    ? answer.length === question.correctOptions.length && answer.every((idx) => question.correctOptions.includes(idx))
+    : question.correctOptions.includes(answer);
+  if (!correct) return { correct, points: 0 };
+  let bonus = 0;
+  if (question.speedBonus && question.timeLimitSec) {
+    // Linear in the share of the time limit that was left when the answer came in
+    const elapsedShare = (submission.answeredAtMs - question.startedAtMs) / (question.timeLimitSec * 1000);
+    bonus = Math.round(question.points * SPEED_BONUS_SHARE * Math.min(Math.max(1 - elapsedShare, 0), 1));
+  }
+  return { correct, points: question.points + bonus };
+}
+
+// Students ranked by score, then correct answers, then name; ties share a rank (1, 1, 3)
+function buildLeaderboard(students, limit = Infinity) {
+  const ranked = Object.entries(students)
+    .map(([studentId, student]) => ({
+      studentId,
+      name: student.name,
+      score: student.score || 0,
+      correctCount: student.correctCount || 0
+    }))
+    .sort((a, b) => b.score - a.score || b.correctCount - a.correctCount || a.name.localeCompare(b.name));
+  ranked.forEach((entry, index) => {
+    const previous = ranked[index - 1];
+    entry.rank = previous && previous.score === entry.score && previous.correctCount === entry.correctCount
+      ? previous.rank
+      : index + 1;
+  });
+  return ranked.slice(0, limit);
+}
+
+module.exports = { parseScoring, isQuizQuestion, scoreSubmission, buildLeaderboard };
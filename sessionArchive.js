@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const {
+  STUDENT_GRACE_MS,
+  stateKey,
+  listSessionCodes,
+  forgetSessionCode,
+  listTeachers
+} = require('./pollState');
+const { chatKey } = require('./chat');
+const { webhooksKey } = require('./webhooks');
+const { auditKey } = require('./auditLog');
+const { loadHistory, clearHistory } = require('./pollHistory');
+const { buildLeaderboard } = require('./scoring');
+const { appError } = require('./errors');
+
+// Archived sessions: read-only copies of a session's roster and full history, written when a
+// teacher closes or resets a session and when an abandoned one is cleaned up. They live under
+// their own keys and outlive the session itself. Reading them takes the session's archive key
+// (state.archiveKey), which any of its teachers can get from the teacher state. Teacher tokens
+// expire and the session is deleted long before its archives, so only a hash of the key is kept
+// with each archive and the key alone is enough.
+//
+// Cleanup (run every CLEANUP_INTERVAL_SEC on a long-running server, or by a cron request):
+//   - sessions idle for SESSION_IDLE_TTL_SEC are archived (if they have any history) and deleted
+//   - closed sessions are deleted CLOSED_SESSION_TTL_SEC after closing (their archive stays)
+//   - students disconnected for longer than the grace period are dropped, in case the server
+//     that would have dropped them restarted
+//   - archives older than ARCHIVE_TTL_DAYS are deleted
+const ARCHIVE_INDEX_KEY = 'sessionArchive';
+const HOUR_SEC = 60 * 60;
+const SESSION_IDLE_TTL_MS = (Number(process.env.SESSION_IDLE_TTL_SEC) || 24 * HOUR_SEC) * 1000;
+const CLOSED_SESSION_TTL_MS = (Number(process.env.CLOSED_SESSION_TTL_SEC) || 6 * HOUR_SEC) * 1000;
+const ARCHIVE_TTL_MS = (Number(process.env.ARCHIVE_TTL_DAYS) || 90) * 24 * HOUR_SEC * 1000;
+const CLEANUP_INTERVAL_MS = (Number(process.env.CLEANUP_INTERVAL_SEC) || 10 * 60) * 1000;
+
+function archiveKey(archiveId) {
+  return `archive:${archiveId}`;
+}
+
+function hashArchiveKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Read-only copy of a session and its history (full entries, most recent first, see
+// pollHistory); reason is 'closed', 'reset' or 'expired'. Has the sessionCode, students and
+// history fields that buildExport reads, so archives export like live sessions
+function buildSnapshot(state, history, reason, now = Date.now()) {
+  return {
+    archiveId: `${state.sessionCode}-${now}`,
+    sessionCode: state.sessionCode,
+    status: 'archived',
+    reason,
+    createdAtMs: state.createdAtMs,
+    closedAtMs: state.closedAtMs || now,
+    archivedAtMs: now,
+    archiveKeyHash: hashArchiveKey(state.archiveKey),
+    teachers: listTeachers(state),
+    students: state.students,
+    history,
+    leaderboard: buildLeaderboard(state.students),
+    bans: state.bans,
+    settings: state.settings
+  };
+}
+
+// Whether a session has anything worth keeping
+function hasArchivableData(state) {
+  return state.recentHistory.length > 0 || Object.keys(state.students).length > 0;
+}
+
+function summarizeSnapshot(snapshot) {
+  return {
+    archiveId: snapshot.archiveId,
+    sessionCode: snapshot.sessionCode,
+    reason: snapshot.reason,
+    createdAtMs: snapshot.createdAtMs,
+    closedAtMs: snapshot.closedAtMs,
+    archivedAtMs: snapshot.archivedAtMs,
+    questionCount: snapshot.history.length,
+    studentCount: Object.keys(snapshot.students).length,
+    archiveKeyHash: snapshot.archiveKeyHash
+  };
+}
+
+// reader: { archiveKey } - the key of the archived session
+function isArchiveReader(summary, { archiveKey: key }) {
+  return !!key && !!summary.archiveKeyHash && summary.archiveKeyHash === hashArchiveKey(key);
+}
+
+// Archives as sent to readers, without the key hash
+function withoutKeyHash({ archiveKeyHash, ...archive }) {
+  return archive;
+}
+
+// The poll service's loadState(sessionCode) and dropStudent(sessionCode, studentId, now) (removes
+// a student whose grace period ran out, resolving to the removed record or null), so what they
+// change is announced. onSessionDeleted(sessionCode) lets the caller drop what it holds for a
+// deleted session (timers, open sockets). loadAudit(sessionCode) resolves to the session's audit
+// log as { entries (oldest first), truncated }, like the audit log's own getLog
+function createSessionArchive(store, {
+  loadState,
+  dropStudent,
+  onSessionDeleted,
+  loadAudit = async (sessionCode) => ({ entries: await store.range(auditKey(sessionCode)), truncated: false })
+}) {
+  // archiveId -> summary (see summarizeSnapshot)
+  async function loadIndex() {
+    return (await store.get(ARCHIVE_INDEX_KEY)) || {};
+  }
+
+  // The session's audit log so far is kept with the snapshot
+  async function saveSnapshot(snapshot) {
+    const { entries, truncated } = await loadAudit(snapshot.sessionCode);
+    snapshot.audit = entries;
+    snapshot.auditTruncated = truncated;
+    await store.set(archiveKey(snapshot.archiveId), snapshot);
+    const summary = summarizeSnapshot(snapshot);
+    await store.update(ARCHIVE_INDEX_KEY, (index) => ({ ...index, [snapshot.archiveId]: summary }));
+    console.log(`Session archived: ${snapshot.archiveId} (${snapshot.reason})`);
+    return withoutKeyHash(summary);
+  }
+
+  // Most recent first; reader ({ archiveKey }) narrows the list to the archives they may read
+  // (see isArchiveReader)
+  async function listArchives(reader = null) {
+    return Object.values(await loadIndex())
+      .filter((summary) => !reader || isArchiveReader(summary, reader))
+      .sort((a, b) => b.archivedAtMs - a.archivedAtMs)
+      .map(withoutKeyHash);
+  }
+
+  // Archives the reader may not read are reported as missing
+  async function getArchive(archiveId, reader) {
+    const snapshot = await store.get(archiveKey(archiveId));
+    if (!snapshot || !isArchiveReader(snapshot, reader)) {
+      throw appError(404, 'Archived session not found');
+    }
+    return withoutKeyHash(snapshot);
+  }
+
+  async function deleteArchive(archiveId) {
+    await store.del(archiveKey(archiveId));
+    await store.update(ARCHIVE_INDEX_KEY, (index) => {
+      const { [archiveId]: _removed, ...rest } = index || {};
+      return rest;
+    });
+  }
+
+  // Removes a session's state, history, chat, webhooks and audit log; its archives stay
+  async function deleteSession(sessionCode) {
+    await store.del(stateKey(sessionCode));
+    await clearHistory(store, sessionCode);
+    await store.del(chatKey(sessionCode));
+    await store.del(webhooksKey(sessionCode));
+    await store.del(auditKey(sessionCode));
+    await forgetSessionCode(store, sessionCode);
+    if (onSessionDeleted) await onSessionDeleted(sessionCode);
+  }
+
+  // One pass over every session and archive; resolves to what was done
+  async function cleanup(now = Date.now()) {
+    const report = { archived: 0, deleted: 0, studentsDropped: 0, archivesExpired: 0 };
+
+    for (const sessionCode of Object.keys(await listSessionCodes(store))) {
+      const state = await loadState(sessionCode);
+      if (!state) {
+        await forgetSessionCode(store, sessionCode);
+        continue;
+      }
+      const closedExpired = state.status === 'closed' && now - state.closedAtMs >= CLOSED_SESSION_TTL_MS;
+      const abandoned = state.status !== 'closed' && now - state.updatedAtMs >= SESSION_IDLE_TTL_MS;
+      if (closedExpired || abandoned) {
+        if (abandoned && hasArchivableData(state)) {
+          await saveSnapshot(buildSnapshot(state, await loadHistory(store, sessionCode), 'expired', now));
+          report.archived += 1;
+        }
+        await deleteSession(sessionCode);
+        report.deleted += 1;
+        console.log(`Session cleaned up: ${sessionCode} (${abandoned ? 'idle' : 'closed'})`);
+        continue;
+      }
+      const staleIds = Object.keys(state.students).filter((studentId) => {
+        const student = state.students[studentId];
+        return student.connected === false && now - student.disconnectedAtMs >= STUDENT_GRACE_MS;
+      });
+      for (const studentId of staleIds) {
+        if (await dropStudent(sessionCode, studentId, now)) report.studentsDropped += 1;
+      }
+    }
+
+    const expiredArchives = (await listArchives()).filter((summary) => now - summary.archivedAtMs >= ARCHIVE_TTL_MS);
+    for (const summary of expiredArchives) {
+      await deleteArchive(summary.archiveId);
+      report.archivesExpired += 1;
+    }
+    return report;
+  }
+
+  // Runs cleanup every CLEANUP_INTERVAL_MS; the timer doesn't keep the process alive
+  function startCleanup() {
+    const timer = setInterval(() => {
+      cleanup().catch((error) => console.error('Session cleanup error:', error));
+    }, CLEANUP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+  }
+
+  return { saveSnapshot, listArchives, getArchive, deleteSession, cleanup, startCleanup };
+}
+
+module.exports = { createSessionArchive, buildSnapshot, hasArchivableData };
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+// No 0/O or 1/I/L so codes are easy to read off a projector
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+function generateSessionCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Returns the canonical code, or null if the input can't be a session code
+function normalizeSessionCode(code) {
+  const normalized = String(code || '').trim().toUpperCase();
+  return new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`).test(normalized) ? normalized : null;
+}
+
+// Socket.IO room that receives a session's broadcasts
+function sessionRoom(code) {
+  return `session:${code}`;
+}
+
+// Socket.IO room joined by every socket of one participant, so they can be addressed by id
+function participantRoom(participantId) {
+  return `participant:${participantId}`;
+}
+
+module.exports = { generateSessionCode, normalizeSessionCode, sessionRoom, participantRoom };
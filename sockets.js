@@ -1,110 +1,308 @@
-module.exports = function registerSocketHandlers(io, socket, pollManager) {
+const { normalizeSessionCode, sessionRoom, participantRoom } = require('./sessionCodes');
+const {
+  issueTeacherToken,
+  issueStudentToken,
+  isTeacherLoginConfigured,
+  checkTeacherPasscode,
+  createParticipantId,
+  verifyResumeToken
+} = require('./auth');
+const { createSocketThrottle } = require('./rateLimit');
+const { appError, errorBody } = require('./errors');
+const { schemas, validate } = require('./validation');
+const { runWithRequestContext, socketAddress } = require('./requestContext');
+
+// Shared by all sockets so the limiters (and their cleanup timers) exist once
+const throttleSocket = createSocketThrottle();
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Expects io.use(authenticateSocket) so socket.data.auth holds verified token claims (or null).
+// Actions go to pollService; pollManager tracks the socket's presence in its session
+module.exports = function registerSocketHandlers(io, socket, pollService, pollManager, chatService) {
   console.log(`Socket connected: ${socket.id}`);
+  socket.use(throttleSocket(socket));
+  // Handlers run with the client's address as request context, for the audit log
+  const requestContext = { ip: socketAddress(socket) };
 
-  socket.on('teacher:join', () => {
-    try {
-      pollManager.registerTeacher(socket.id);
-      socket.emit('poll:state', pollManager.getPublicState());
-      console.log('Teacher joined successfully');
-    } catch (e) {
-      socket.emit('error:message', e.message);
-      console.error('Teacher join error:', e.message);
+  // Session this socket belongs to; every event after join is scoped to it
+  function requireSession() {
+    if (!socket.data.sessionCode) throw appError(400, 'Join a session first');
+    return socket.data.sessionCode;
+  }
+
+  // Resolves the caller's participant id, requiring the given role
+  function requireRole(role) {
+    const sessionCode = requireSession();
+    if (socket.data.auth?.role !== role) {
+      throw appError(403, `Unauthorized: Only a ${role} can do this`);
     }
-  });
+    return { sessionCode, participantId: socket.data.auth.sub };
+  }
 
-  socket.on('student:join', (name) => {
-    try {
-      const safeName = String(name || '').trim().slice(0, 40) || 'Student';
-      pollManager.registerStudent(socket.id, safeName);
-      socket.emit('poll:state', pollManager.getPublicState());
-    } catch (e) {
-      socket.emit('error:message', e.message);
-      console.error('Student join error:', e.message);
+  // Leaves any previous session before entering a new one
+  async function leaveSession() {
+    const sessionCode = socket.data.sessionCode;
+    const auth = socket.data.auth;
+    if (!sessionCode) return;
+    socket.leave(sessionRoom(sessionCode));
+    if (auth) socket.leave(participantRoom(auth.sub));
+    socket.data.sessionCode = null;
+    if (!auth || !(await pollService.hasSession(sessionCode))) return;
+    if (auth.role === 'teacher') await pollManager.unregisterTeacher(sessionCode, auth.sub);
+    // Students keep their seat for a grace period so they can resume after a dropped connection
+    if (auth.role === 'student') await pollManager.disconnectStudent(sessionCode, auth.sub);
+  }
+
+  async function enterSession(claims) {
+    if (socket.data.sessionCode) await leaveSession();
+    socket.data.auth = claims;
+    socket.data.sessionCode = claims.sessionCode;
+    socket.join(sessionRoom(claims.sessionCode));
+    socket.join(participantRoom(claims.sub));
+  }
+
+  // Registers a client event. The payload is validated against schema (bareKey lets clients send
+  // just that field's value instead of an object), then handler(input) runs. The client's
+  // acknowledgement callback gets { ok: true, ...result } or { ok: false, error: { code, message,
+  // field } }; clients that pass no callback get errors as error:message
+  function on(event, schema, handler, { bareKey } = {}) {
+    socket.on(event, (...args) => runWithRequestContext(requestContext, async () => {
+      const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      try {
+        const payload = bareKey && args[0] !== undefined && !isPlainObject(args[0]) ? { [bareKey]: args[0] } : args[0];
+        const result = await handler(validate(schema, payload));
+        if (ack) ack({ ok: true, ...result });
+      } catch (e) {
+        const error = errorBody(e);
+        if (ack) ack({ ok: false, error });
+        else socket.emit('error:message', error);
+        console.error(`${event} error:`, e.message);
+      }
+    }));
+  }
+
+  // Chat log (as far as this participant may see it) for a socket that just joined
+  async function sendChatHistory() {
+    const { sub, role, sessionCode } = socket.data.auth;
+    socket.emit('chat:history', await chatService.getHistory(sessionCode, { id: sub, role }));
+  }
+
+  // A teacher authenticates with the handshake token or with { passcode, name }; without a
+  // sessionCode (and no token) a new session is created and they own it, with one they join it
+  // as a co-teacher. Acknowledged with the session:joined payload
+  on('teacher:join', schemas.teacherJoin, async ({ passcode, sessionCode, name }) => {
+    let claims = socket.data.auth?.role === 'teacher' ? socket.data.auth : null;
+    let token = null;
+    if (!claims) {
+      if (!isTeacherLoginConfigured()) throw appError(503, 'Teacher login is not configured');
+      if (!checkTeacherPasscode(passcode)) throw appError(401, 'Invalid passcode', { field: 'passcode' });
+      let code;
+      if (sessionCode !== undefined) {
+        code = normalizeSessionCode(sessionCode);
+        if (!code || !(await pollService.hasSession(code))) {
+          throw appError(404, 'Session not found', { code: 'session_not_found', field: 'sessionCode' });
+        }
+      } else {
+        code = await pollService.createSession();
+      }
+      claims = { sub: createParticipantId(), role: 'teacher', sessionCode: code };
+      token = issueTeacherToken(code, claims.sub);
     }
+    // A token whose teacher was removed from the session is refused here
+    const teacher = await pollManager.registerTeacher(claims.sessionCode, claims.sub, { name, isNew: !!token });
+    await enterSession(claims);
+    const joined = {
+      sessionCode: claims.sessionCode,
+      role: 'teacher',
+      teacherId: claims.sub,
+      teacherRole: teacher.role,
+      permissions: teacher.permissions,
+      token
+    };
+    socket.emit('session:joined', joined);
+    socket.emit('poll:state', await pollService.getPublicState(claims.sessionCode, { role: 'teacher', id: claims.sub }));
+    socket.emit('teacher:state', await pollService.getTeacherState(claims.sessionCode));
+    await sendChatHistory();
+    console.log('Teacher joined successfully');
+    return joined;
   });
 
-  socket.on('teacher:ask', ({ text, options, timeLimitSec }) => {
-    try {
-      pollManager.askQuestion(socket.id, { text, options, timeLimitSec });
-      socket.emit('success:ask', { message: 'Question asked successfully' });
-    } catch (e) {
-      socket.emit('error:message', e.message);
-      console.error('Ask question error:', e.message);
+  // { sessionCode, name, resumeToken }: a resume token (the token from an earlier
+  // session:joined, or the handshake token) rebinds this socket to the same student.
+  // Acknowledged with the session:joined payload
+  on('student:join', schemas.studentJoin, async ({ sessionCode, name, resumeToken }) => {
+    const resume = resumeToken
+      ? verifyResumeToken(resumeToken)
+      : (socket.data.auth?.role === 'student' ? socket.data.auth : null);
+    const code = normalizeSessionCode(sessionCode ?? resume?.sessionCode);
+    if (!code || !(await pollService.hasSession(code))) {
+      throw appError(404, 'Session not found', { code: 'session_not_found', field: 'sessionCode' });
     }
+    const safeName = String(name || '').trim() || 'Student';
+    const resumed = resume?.sessionCode === code;
+    const studentId = resumed ? resume.sub : createParticipantId();
+    const student = resumed
+      ? await pollManager.resumeStudent(code, studentId, safeName)
+      : await pollManager.registerStudent(code, studentId, safeName);
+    await enterSession({ sub: studentId, role: 'student', sessionCode: code });
+    const joined = {
+      sessionCode: code,
+      role: 'student',
+      studentId,
+      studentName: student.name,
+      resumed,
+      hasAnswered: student.hasAnswered,
+      token: issueStudentToken(code, studentId)
+    };
+    socket.emit('session:joined', joined);
+    socket.emit('poll:state', await pollService.getPublicState(code, { role: 'student', id: studentId }));
+    await sendChatHistory();
+    return joined;
   });
 
-  socket.on('student:answer', (optionIndex) => {
-    try {
-      pollManager.submitAnswer(socket.id, optionIndex);
-      socket.emit('success:answer', { message: 'Answer submitted' });
-    } catch (e) {
-      socket.emit('error:message', e.message);
-      console.error('Submit answer error:', e.message);
-    }
+  // Same fields as POST /api/teacher/ask
+  on('teacher:ask', schemas.ask, async (input) => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    const question = await pollService.askQuestion(sessionCode, participantId, input);
+    return { questionId: question.id };
   });
 
-  socket.on('teacher:end', () => {
-    try {
-      pollManager.endCurrentQuestion(socket.id);
-      socket.emit('success:end', { message: 'Question ended' });
-    } catch (e) {
-      socket.emit('error:message', e.message);
-      console.error('End question error:', e.message);
-    }
+  // Option index, array of indices, rating, number or text, depending on the question type
+  // (bare, or as { answer })
+  on('student:answer', schemas.answer, async ({ answer, optionIndex }) => {
+    const { sessionCode, participantId } = requireRole('student');
+    await pollService.submitAnswer(sessionCode, participantId, answer ?? optionIndex);
+  }, { bareKey: 'answer' });
+
+  on('teacher:end', {}, async () => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    await pollService.endCurrentQuestion(sessionCode, participantId);
   });
 
-  
-  socket.on('teacher:remove', (targetSocketId) => {
-    try {
-      pollManager.removeStudent(socket.id, targetSocketId);
-      socket.emit('success:remove', { socketId: targetSocketId, message: 'Student removed' });
-      // Notify removed student (optional)
-      io.to(targetSocketId).emit('error:message', 'You were removed from the poll');
-    } catch (e) {
-      socket.emit('error:message', e.message);
-      console.error('Remove student error:', e.message);
+  // { action: 'start', quizId, autoAdvance, advanceDelaySec } | { action: 'next' | 'previous' | 'stop' }
+  on('teacher:quiz', schemas.quizControl, async (input) => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    if (input.action === 'start' && !input.quizId) {
+      throw appError(400, 'quizId is required', { code: 'validation_failed', field: 'quizId' });
     }
+    return { questionId: await pollService.controlQuiz(sessionCode, participantId, input) };
   });
 
-  socket.on('teacher:reset', () => {
-    try {
-      pollManager.resetAll(socket.id);
-      socket.emit('success:reset', { message: 'Poll reset' });
-    } catch (e) {
-      socket.emit('error:message', e.message);
-      console.error('Reset error:', e.message);
-    }
+  // { action: 'extend' | 'pause' | 'resume' | 'restart', seconds }
+  on('teacher:timer', schemas.timer, async ({ action, seconds }) => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    return pollService.controlTimer(sessionCode, participantId, { action, seconds });
   });
 
-  // Bonus - Chat functionality
-  socket.on('chat:message', ({ message, isTeacher = false }) => {
-    try {
-      const safeMessage = String(message || '').trim().slice(0, 500);
-      if (!safeMessage) return;
-      const sender = isTeacher ? 'Teacher' : (pollManager.students?.[socket.id]?.name || 'Unknown');
-      io.emit('chat:new', { from: sender, message: safeMessage, timestamp: Date.now() });
-      console.log(`Chat: ${sender}: ${safeMessage}`);
-    } catch (e) {
-      socket.emit('error:message', 'Invalid chat message');
-      console.error('Chat error:', e.message);
+  // studentId, or { studentId, discardVotes }; the student's sockets are disconnected
+  on('teacher:remove', schemas.remove, async ({ studentId, discardVotes }) => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    const removed = await pollService.removeStudent(sessionCode, participantId, { studentId }, { discardVotes });
+    return { studentId, votesDiscarded: removed.votesDiscarded };
+  }, { bareKey: 'studentId' });
+
+  // { studentId } or { name }, plus discardVotes; banned students can't rejoin or answer
+  on('teacher:ban', schemas.ban, async ({ studentId, name, discardVotes }) => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    if (!studentId && !(name && name.trim())) {
+      throw appError(400, 'studentId or name is required', { code: 'validation_failed', field: 'studentId' });
     }
+    const removed = await pollService.removeStudent(sessionCode, participantId, { studentId, name }, { ban: true, discardVotes });
+    return { ban: removed.ban, votesDiscarded: removed.votesDiscarded };
+  });
+
+  on('teacher:unban', schemas.unban, async ({ studentId, name }) => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    return { bans: await pollService.unbanStudent(sessionCode, participantId, { studentId, name }) };
+  });
+
+  // { anonymous, resultsVisibility } - session defaults for questions asked from now on
+  on('teacher:settings', schemas.settings, async (input) => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    return { settings: await pollService.updateSettings(sessionCode, participantId, input) };
   });
 
-  socket.on('disconnect', () => {
+  // { questionId } - omitted for the live question
+  on('teacher:reveal', schemas.reveal, async ({ questionId }) => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    return { questionId: await pollService.revealResults(sessionCode, participantId, questionId) };
+  });
+
+  // Co-teachers (owner only): { teacherId, permissions }
+  on('teacher:coteacher', schemas.coTeacher, async ({ teacherId, permissions }) => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    const teacher = await pollService.setCoTeacherPermissions(sessionCode, participantId, teacherId, permissions);
+    return { teacherId, permissions: teacher.permissions };
+  });
+
+  on('teacher:coteacher:remove', schemas.teacherTarget, async ({ teacherId }) => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    await pollService.removeCoTeacher(sessionCode, participantId, teacherId);
+    return { teacherId };
+  });
+
+  // { teacherId } - a co-teacher who becomes the owner; the caller stays on as a co-teacher
+  on('teacher:transfer', schemas.teacherTarget, async ({ teacherId }) => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    await pollService.transferOwnership(sessionCode, participantId, teacherId);
+    return { ownerId: teacherId };
+  });
+
+  on('teacher:reset', {}, async () => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    const archived = await pollService.resetAll(sessionCode, participantId);
+    return { archiveId: archived ? archived.archiveId : null };
+  });
+
+  // Makes the session read-only and archives it; acknowledged with the archive's summary
+  on('teacher:close', {}, async () => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    return { archive: await pollService.closeSession(sessionCode, participantId) };
+  });
+
+  // Bonus - Chat functionality: the sender is whoever this socket joined as
+  // { message, to } - `to` (teacher only) sends a private message to one student
+  on('chat:message', schemas.chatMessage, async ({ message, to }) => {
+    const sessionCode = requireSession();
+    const sent = await chatService.postMessage(sessionCode, { id: socket.data.auth.sub, role: socket.data.auth.role }, { text: message, to });
+    return { message: sent };
+  });
+
+  // messageId, or { messageId }
+  on('chat:delete', schemas.chatDelete, async ({ messageId }) => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    await chatService.deleteMessage(sessionCode, participantId, messageId);
+  }, { bareKey: 'messageId' });
+
+  // { studentId, muted } (muted defaults to true)
+  on('chat:mute', schemas.chatMute, async ({ studentId, muted = true }) => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    const list = await chatService.setMuted(sessionCode, participantId, studentId, muted);
+    return { studentId, muted: list.includes(studentId) };
+  });
+
+  // { enabled, disableDuringQuestion }
+  on('chat:settings', schemas.chatSettings, async (input) => {
+    const { sessionCode, participantId } = requireRole('teacher');
+    return { settings: await chatService.updateSettings(sessionCode, participantId, input) };
+  });
+
+  socket.on('disconnect', () => runWithRequestContext(requestContext, async () => {
     try {
-      // Try to unregister as teacher first
-      pollManager.unregisterTeacher(socket.id);
-      // Also try to unregister as student (in case it was both somehow)
-      pollManager.unregisterStudent(socket.id);
+      // Drops the socket as teacher and/or student of its session
+      await leaveSession();
       console.log(`Socket disconnected: ${socket.id}`);
     } catch (e) {
       console.error('Disconnect error:', e.message);
     }
-  });
+  }));
 
   // Handle client errors
   socket.on('error', (err) => {
     console.error('Client error:', err);
-    socket.emit('error:message', 'Server error occurred');
+    socket.emit('error:message', errorBody(err));
   });
-};
\ No newline at end of file
+};
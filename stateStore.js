@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const { appError } = require('./errors');
+
+// Every store exposes the same async interface:
+//   get(key)                  -> value or null
+//   set(key, value, { nx })   -> true if written (nx: only when the key is absent)
+//   update(key, updater)      -> atomic read-modify-write; updater(current) returns the new value.
+//                                It may be called more than once (see createKvStore)
+//   del(key)
+// and lists, whose keys are only used with these two (and del):
+//   append(key, items, { maxLength }) -> adds items at the end, then drops the oldest past maxLength
+//   range(key, start, stop)   -> items start to stop (inclusive; negative counts from the end)
+
+// Runs tasks for the same key one after another
+function createKeyedQueue() {
+  const tails = new Map();
+  return function enqueue(key, task) {
+    const previous = tails.get(key) || Promise.resolve();
+    const run = previous.then(task, task);
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+    return run;
+  };
+}
+
+// Values are stored as JSON copies so callers can't mutate them by reference (same as KV)
+function clone(value) {
+  return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+// The list operations of the memory and file stores, on plain arrays
+function appendItems(list, items, maxLength) {
+  const next = [...(list || []), ...clone(items)];
+  return maxLength ? next.slice(-maxLength) : next;
+}
+
+function rangeItems(list, start, stop) {
+  const items = list || [];
+  const from = start < 0 ? Math.max(items.length + start, 0) : start;
+  const to = stop < 0 ? items.length + stop : stop;
+  return clone(items.slice(from, to + 1));
+}
+
+function createMemoryStore() {
+  const data = new Map();
+  const enqueue = createKeyedQueue();
+
+  return {
+    type: 'memory',
+    async get(key) {
+      return clone(data.get(key));
+    },
+    async set(key, value, { nx = false } = {}) {
+      if (nx && data.has(key)) return false;
+      data.set(key, clone(value));
+      return true;
+    },
+    update(key, updater) {
+      return enqueue(key, async () => {
+        const next = clone(await updater(clone(data.get(key))));
+        data.set(key, next);
+        return clone(next);
+      });
+    },
+    async del(key) {
+      data.delete(key);
+    },
+    async append(key, items, { maxLength } = {}) {
+      data.set(key, appendItems(data.get(key), items, maxLength));
+    },
+    async range(key, start = 0, stop = -1) {
+      return rangeItems(data.get(key), start, stop);
+    }
+  };
+}
+
+// Local development store: all keys in one JSON file, rewritten on every change
+function createFileStore(filePath) {
+  let data = null;
+  // A single queue for the whole file since every write replaces it
+  const enqueue = createKeyedQueue();
+
+  function load() {
+    if (data) return data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      data = {};
+    }
+    return data;
+  }
+
+  async function persist() {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // Write to a temp file first so a crash can't leave half a JSON document behind
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  return {
+    type: 'file',
+    get(key) {
+      return enqueue(filePath, async () => clone(load()[key]));
+    },
+    set(key, value, { nx = false } = {}) {
+      return enqueue(filePath, async () => {
+        if (nx && load()[key] !== undefined) return false;
+        load()[key] = clone(value);
+        await persist();
+        return true;
+      });
+    },
+    update(key, updater) {
+      return enqueue(filePath, async () => {
+        const next = clone(await updater(clone(load()[key])));
+        load()[key] = next;
+        await persist();
+        return clone(next);
+      });
+    },
+    del(key) {
+      return enqueue(filePath, async () => {
+        delete load()[key];
+        await persist();
+      });
+    },
+    append(key, items, { maxLength } = {}) {
+      return enqueue(filePath, async () => {
+        load()[key] = appendItems(load()[key], items, maxLength);
+        await persist();
+      });
+    },
+    range(key, start = 0, stop = -1) {
+      return enqueue(filePath, async () => rangeItems(load()[key], start, stop));
+    }
+  };
+}
+
+// KV updates are optimistic: read the value with its version, run the updater, and write only if
+// the version is unchanged, otherwise start over. The wait is bounded well below the serverless
+// function timeout (10 s on Vercel's default plan); past it the caller gets a 503 to retry, so a
+// vote that loses too many races is refused rather than dropped
+const UPDATE_RETRY_MS = 10;
+const UPDATE_MAX_RETRY_MS = 250;
+const UPDATE_MAX_WAIT_MS = 8000;
+// A deleted key's version outlives it for a while, so a late writer that read the old value
+// can't overwrite a new one that happens to have the same version
+const DELETED_VERSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// KEYS: key, version key; ARGV: version read ('' if none), new value (JSON)
+const COMPARE_AND_SET_SCRIPT = `
+if (redis.call("get", KEYS[2]) or "") ~= ARGV[1] then
+  return 0
+end
+redis.call("set", KEYS[1], ARGV[2])
+redis.call("incr", KEYS[2])
+redis.call("persist", KEYS[2])
+return 1`;
+
+// KEYS: key, version key; ARGV: value (JSON), "1" to write only if the key is absent
+const SET_SCRIPT = `
+if ARGV[2] == "1" and redis.call("exists", KEYS[1]) == 1 then
+  return 0
+end
+redis.call("set", KEYS[1], ARGV[1])
+redis.call("incr", KEYS[2])
+redis.call("persist", KEYS[2])
+return 1`;
+
+// KEYS: key, version key; ARGV: how long the version outlives the key (ms)
+const DEL_SCRIPT = `
+redis.call("del", KEYS[1])
+redis.call("incr", KEYS[2])
+redis.call("pexpire", KEYS[2], ARGV[1])
+return 1`;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function versionKey(key) {
+  return `version:${key}`;
+}
+
+// Vercel KV (Upstash Redis). Every write bumps the key's version; update() is a compare-and-set
+// on it, so the updater may run more than once and must not have side effects
+function createKvStore() {
+  const { kv } = require('@vercel/kv');
+  // Updates from this instance wait for each other instead of conflicting
+  const enqueue = createKeyedQueue();
+
+  async function compareAndSet(key, updater) {
+    const deadline = Date.now() + UPDATE_MAX_WAIT_MS;
+    for (let retry = 0; ; retry++) {
+      const [current, version] = await kv.mget(key, versionKey(key));
+      const next = await updater(current ?? null);
+      const written = await kv.eval(
+        COMPARE_AND_SET_SCRIPT,
+        [key, versionKey(key)],
+        [version === null || version === undefined ? '' : String(version), JSON.stringify(next ?? null)]
+      );
+      if (written) return next;
+      const backoff = Math.min(UPDATE_RETRY_MS * 2 ** retry, UPDATE_MAX_RETRY_MS);
+      if (Date.now() + backoff > deadline) break;
+      await sleep(backoff / 2 + Math.random() * backoff / 2);
+    }
+    console.warn(`Gave up updating ${key} after ${UPDATE_MAX_WAIT_MS} ms of conflicting writes`);
+    throw appError(503, 'Too many changes at once, please try again', { code: 'store_busy', retryAfterSec: 1 });
+  }
+
+  return {
+    type: 'kv',
+    async get(key) {
+      const value = await kv.get(key);
+      return value === undefined ? null : value;
+    },
+    async set(key, value, { nx = false } = {}) {
+      const written = await kv.eval(SET_SCRIPT, [key, versionKey(key)], [JSON.stringify(value ?? null), nx ? '1' : '0']);
+      return written === 1;
+    },
+    update(key, updater) {
+      return enqueue(key, () => compareAndSet(key, updater));
+    },
+    async del(key) {
+      await kv.eval(DEL_SCRIPT, [key, versionKey(key)], [String(DELETED_VERSION_TTL_MS)]);
+    },
+    // Redis lists: RPUSH and LTRIM in one transaction
+    async append(key, items, { maxLength } = {}) {
+      if (!items.length) return;
+      const transaction = kv.multi();
+      transaction.rpush(key, ...items);
+      if (maxLength) transaction.ltrim(key, -maxLength, -1);
+      await transaction.exec();
+    },
+    async range(key, start = 0, stop = -1) {
+      return kv.lrange(key, start, stop);
+    }
+  };
+}
+
+// A JSON document kept under key(...args), with empty() standing in while there is none.
+// update(...args, mutator) changes the document in place, atomically, and resolves to what
+// mutator returned
+function createDocumentStore(store, { key, empty }) {
+  return {
+    async load(...args) {
+      return (await store.get(key(...args))) || empty();
+    },
+    async update(...args) {
+      const mutator = args.pop();
+      let result;
+      await store.update(key(...args), (stored) => {
+        const document = stored || empty();
+        result = mutator(document);
+        return document;
+      });
+      return result;
+    }
+  };
+}
+
+// STATE_STORE=memory|file|kv; defaults to KV when Vercel KV credentials are configured
+function createStateStore(type = process.env.STATE_STORE) {
+  const selected = type || (process.env.KV_REST_API_URL ? 'kv' : 'memory');
+  switch (selected) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(process.env.STATE_FILE || path.join(process.cwd(), '.data', 'poll-state.json'));
+    case 'kv':
+      return createKvStore();
+    default:
+      throw new Error(`Unknown STATE_STORE "${selected}" (expected memory, file or kv)`);
+  }
+}
+
+module.exports = { createStateStore, createMemoryStore, createFileStore, createKvStore, createDocumentStore };
@@ -0,0 +1,85 @@
+const request = require('supertest');
+const { loadApp, joinTeacher, joinStudent, ask, answer, endQuestion } = require('./helpers');
+
+const app = loadApp();
+
+async function teacherState(teacher) {
+  return (await request(app).get('/api/teacher/state').set(teacher.auth)).body;
+}
+
+describe('anonymous questions', () => {
+  let teacher;
+  let ann;
+
+  beforeEach(async () => {
+    teacher = await joinTeacher(app);
+    ann = await joinStudent(app, teacher.sessionCode, 'Ann');
+    await joinStudent(app, teacher.sessionCode, 'Ben');
+  });
+
+  test('the teacher sees who answered, but no totals until the question ends', async () => {
+    await ask(app, teacher, { anonymous: true });
+    await answer(app, ann, 1);
+
+    const state = await teacherState(teacher);
+    expect(state.currentQuestion).toMatchObject({ anonymous: true, resultsVisible: false });
+    expect(state.results).toBeNull();
+    expect(state.roster.find((entry) => entry.name === 'Ann')).toMatchObject({ hasAnswered: true, answer: null, option: null, answeredAtMs: null });
+    expect(state.breakdown).toEqual([
+      { option: 'A', votes: null, percent: null, students: null },
+      { option: 'B', votes: null, percent: null, students: null }
+    ]);
+
+    await endQuestion(app, teacher);
+    expect((await teacherState(teacher)).history[0]).toMatchObject({ results: [0, 1], resultsVisible: true });
+  });
+
+  test('revealing doesn\'t show the live totals either', async () => {
+    await ask(app, teacher, { anonymous: true });
+    await answer(app, ann, 0);
+
+    await request(app).post('/api/teacher/reveal').set(teacher.auth).send({});
+    const seen = await request(app).get('/api/poll/state').set(ann.auth).query({ sessionCode: teacher.sessionCode });
+
+    expect(seen.body.results).toBeNull();
+  });
+
+  test('nothing identifying is kept once the question ends', async () => {
+    const questionId = await ask(app, teacher, { anonymous: true });
+    await answer(app, ann, 1);
+    await endQuestion(app, teacher);
+
+    const detail = await request(app).get(`/api/history/${questionId}`).set(teacher.auth);
+    const exported = await request(app).get('/api/export').set(teacher.auth).query({ format: 'json' });
+
+    expect(detail.body).toMatchObject({ anonymous: true, results: [0, 1], totalVotes: 1, submissions: [] });
+    expect(exported.body.responses.questions[0].anonymous).toBe(true);
+    expect(exported.body.responses.students.every((student) => student.answers[0] === null)).toBe(true);
+  });
+
+  test('a student can still answer only once', async () => {
+    await ask(app, teacher, { anonymous: true });
+    await answer(app, ann, 0);
+
+    expect((await answer(app, ann, 1)).body.error.code).toBe('already_answered');
+  });
+
+  test('the session default applies to plain polls but not to scored questions', async () => {
+    const settings = await request(app).post('/api/teacher/settings').set(teacher.auth).send({ anonymous: true });
+    expect(settings.body.settings.anonymous).toBe(true);
+
+    await ask(app, teacher);
+    expect((await teacherState(teacher)).currentQuestion.anonymous).toBe(true);
+    await endQuestion(app, teacher);
+    await ask(app, teacher, { correctOptions: [0] });
+    expect((await teacherState(teacher)).currentQuestion.anonymous).toBe(false);
+  });
+
+  test('asking for an anonymous scored question is refused', async () => {
+    const res = await request(app).post('/api/teacher/ask').set(teacher.auth)
+      .send({ text: 'Q', options: ['A', 'B'], correctOptions: [0], anonymous: true });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.field).toBe('anonymous');
+  });
+});
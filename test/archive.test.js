@@ -0,0 +1,181 @@
+const request = require('supertest');
+const { createMemoryStore } = require('../stateStore');
+const { createPollService } = require('../pollService');
+const { createSessionArchive } = require('../sessionArchive');
+const { bearer, loadApp, joinTeacher, joinStudent, ask, answer, endQuestion, getState } = require('./helpers');
+
+const app = loadApp();
+const HOUR_MS = 60 * 60 * 1000;
+
+function post(teacher, path, body) {
+  return request(app).post(path).set(teacher.auth).send(body);
+}
+
+function get(teacher, path) {
+  return request(app).get(path).set(teacher.auth);
+}
+
+describe('closing a session', () => {
+  let teacher;
+  let ann;
+
+  // One answered question to archive; Ben keeps it open until the close ends it
+  beforeEach(async () => {
+    teacher = await joinTeacher(app);
+    ann = await joinStudent(app, teacher.sessionCode, 'Ann');
+    await joinStudent(app, teacher.sessionCode, 'Ben');
+    await ask(app, teacher, { text: 'Favourite season?', options: ['Summer', 'Winter'] });
+    await answer(app, ann, 1);
+  });
+
+  test('sessions go from draft to live to closed', async () => {
+    const draft = await joinTeacher(app);
+    expect((await getState(app, draft.sessionCode)).status).toBe('draft');
+    expect((await getState(app, teacher.sessionCode)).status).toBe('live');
+
+    const closed = await post(teacher, '/api/teacher/close');
+
+    expect(closed.body.archive).toMatchObject({ sessionCode: teacher.sessionCode, reason: 'closed', questionCount: 1, studentCount: 2 });
+    const state = await getState(app, teacher.sessionCode, teacher);
+    expect(state).toMatchObject({ status: 'closed', hasQuestion: false });
+  });
+
+  test('a closed session is read-only for students and teachers', async () => {
+    await post(teacher, '/api/teacher/close');
+
+    const join = await request(app).post('/api/student/join').send({ sessionCode: teacher.sessionCode, name: 'Cat' });
+    const asked = await post(teacher, '/api/teacher/ask', { text: 'Q', options: ['A', 'B'] });
+
+    expect(join.status).toBe(409);
+    expect(join.body.error.code).toBe('session_closed');
+    expect(asked.body.error.code).toBe('session_closed');
+    expect((await get(teacher, '/api/history')).body.total).toBe(1);
+  });
+
+  test('the archive keeps the roster, history and export', async () => {
+    const { archiveId } = (await post(teacher, '/api/teacher/close')).body.archive;
+
+    const list = await get(teacher, '/api/archive');
+    const detail = await get(teacher, `/api/archive/${archiveId}`);
+    const exported = await get(teacher, `/api/archive/${archiveId}/export`).query({ format: 'json' });
+
+    expect(list.body.archives.map((summary) => summary.archiveId)).toEqual([archiveId]);
+    expect(detail.body).toMatchObject({ archiveId, status: 'archived', reason: 'closed' });
+    expect(Object.values(detail.body.students).map((student) => student.name)).toEqual(['Ann', 'Ben']);
+    expect(detail.body.history[0]).toMatchObject({ text: 'Favourite season?', results: [0, 1] });
+    expect(exported.body.sessionCode).toBe(teacher.sessionCode);
+  });
+
+  test('only the session\'s own teachers can read its archive', async () => {
+    const { archiveId } = (await post(teacher, '/api/teacher/close')).body.archive;
+    const other = await joinTeacher(app);
+    const lateCoTeacher = await joinTeacher(app, { sessionCode: teacher.sessionCode });
+
+    expect((await get(other, `/api/archive/${archiveId}`)).status).toBe(404);
+    expect((await get(other, '/api/archive')).body.archives).toEqual([]);
+    expect((await get(ann, `/api/archive/${archiveId}`)).status).toBe(403);
+    expect((await request(app).get('/api/archive').set('X-Archive-Key', 'guess')).body.archives).toEqual([]);
+    // Joined after the close, still one of the session's teachers
+    expect((await get(lateCoTeacher, '/api/archive')).body.archives.map((summary) => summary.archiveId)).toEqual([archiveId]);
+  });
+
+  test('the archive key still reads the archives once the session is cleaned up', async () => {
+    const { archiveKey } = (await get(teacher, '/api/teacher/state')).body;
+    await endQuestion(app, teacher);
+    const { archiveId: resetId } = (await post(teacher, '/api/poll/reset')).body;
+    const { archiveId } = (await post(teacher, '/api/teacher/close')).body.archive;
+    process.env.CRON_SECRET = 'cron-secret';
+    const later = Date.now() + 7 * HOUR_MS;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+
+    const cleanup = await request(app).get('/api/cron/cleanup').set(bearer('cron-secret'));
+    const byToken = await get(teacher, '/api/archive');
+    const list = await request(app).get('/api/archive').set('X-Archive-Key', archiveKey);
+    const exported = await request(app).get(`/api/archive/${resetId}/export`).set('X-Archive-Key', archiveKey)
+      .query({ format: 'json' });
+
+    jest.restoreAllMocks();
+    delete process.env.CRON_SECRET;
+    expect(cleanup.body.deleted).toBeGreaterThanOrEqual(1);
+    expect(byToken.status).toBe(404);
+    expect(list.body.archives.map((summary) => summary.archiveId)).toEqual([archiveId, resetId]);
+    expect(list.body.archives[0]).not.toHaveProperty('archiveKeyHash');
+    expect(exported.body).toMatchObject({ sessionCode: teacher.sessionCode, summary: [{ text: 'Favourite season?', totalVotes: 1 }] });
+  });
+
+  test('a reset archives the poll data before wiping it', async () => {
+    await endQuestion(app, teacher);
+    const reset = await post(teacher, '/api/poll/reset');
+
+    expect(reset.body.archiveId).toEqual(expect.any(String));
+    expect((await get(teacher, '/api/history')).body.total).toBe(0);
+    const detail = await get(teacher, `/api/archive/${reset.body.archiveId}`);
+    expect(detail.body).toMatchObject({ reason: 'reset', history: [expect.objectContaining({ text: 'Favourite season?' })] });
+  });
+});
+
+describe('cleanup endpoint', () => {
+  afterEach(() => {
+    delete process.env.CRON_SECRET;
+  });
+
+  test('is off without CRON_SECRET and needs it as the bearer token', async () => {
+    const unconfigured = await request(app).get('/api/cron/cleanup');
+    process.env.CRON_SECRET = 'cron-secret';
+    const wrong = await request(app).get('/api/cron/cleanup').set(bearer('guess'));
+    const right = await request(app).get('/api/cron/cleanup').set(bearer('cron-secret'));
+
+    expect(unconfigured.status).toBe(503);
+    expect(wrong.status).toBe(401);
+    expect(right.body).toEqual({ success: true, archived: 0, deleted: 0, studentsDropped: 0, archivesExpired: 0 });
+  });
+});
+
+describe('cleanup', () => {
+  let store;
+  let service;
+  let archive;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    archive = createSessionArchive(store, {
+      loadState: (sessionCode) => service.loadState(sessionCode),
+      dropStudent: (sessionCode, studentId, now) => service.dropStudent(sessionCode, studentId, now)
+    });
+    service = createPollService(store, { sessionArchive: archive });
+  });
+
+  async function startSession() {
+    const sessionCode = await service.createSession();
+    await service.joinTeacher(sessionCode, 'teacher-1');
+    await service.joinStudent(sessionCode, 'ann', 'Ann');
+    return sessionCode;
+  }
+
+  test('abandoned sessions are archived, then deleted', async () => {
+    const sessionCode = await startSession();
+
+    expect(await archive.cleanup(Date.now() + HOUR_MS)).toMatchObject({ archived: 0, deleted: 0 });
+    expect(await archive.cleanup(Date.now() + 25 * HOUR_MS)).toMatchObject({ archived: 1, deleted: 1 });
+    expect(await service.hasSession(sessionCode)).toBe(false);
+    expect((await archive.listArchives())[0]).toMatchObject({ sessionCode, reason: 'expired', studentCount: 1 });
+  });
+
+  test('closed sessions are deleted after a while; their archive stays until it expires', async () => {
+    const sessionCode = await startSession();
+    await service.closeSession(sessionCode, 'teacher-1');
+
+    expect(await archive.cleanup(Date.now() + 7 * HOUR_MS)).toMatchObject({ archived: 0, deleted: 1 });
+    expect(await archive.listArchives()).toHaveLength(1);
+    expect(await archive.cleanup(Date.now() + 91 * 24 * HOUR_MS)).toMatchObject({ archivesExpired: 1 });
+    expect(await archive.listArchives()).toEqual([]);
+  });
+
+  test('students gone past the grace period are dropped', async () => {
+    const sessionCode = await startSession();
+    await service.markStudentDisconnected(sessionCode, 'ann');
+
+    expect(await archive.cleanup(Date.now() + 2 * 60 * 1000)).toMatchObject({ studentsDropped: 1, deleted: 0 });
+    expect((await service.loadState(sessionCode)).students).toEqual({});
+  });
+});
@@ -0,0 +1,165 @@
+const request = require('supertest');
+const { createMemoryStore } = require('../stateStore');
+const { createPollService } = require('../pollService');
+const { createAuditLog, auditKey } = require('../auditLog');
+const { loadApp, joinTeacher, joinStudent, ask, answer, endQuestion } = require('./helpers');
+
+// A small cap, so a few dozen joins reach it
+const app = loadApp({ AUDIT_MAX_ENTRIES: '30' });
+
+function parseCsv(text) {
+  return text.split('\r\n').map((line) => line.match(/("([^"]|"")*"|[^,]*)(,|$)/g).slice(0, -1)
+    .map((cell) => cell.replace(/,$/, '').replace(/^"(.*)"$/, '$1').replace(/""/g, '"')));
+}
+
+function audit(teacher, query = {}) {
+  return request(app).get('/api/audit').set(teacher.auth).query(query);
+}
+
+describe('audit log', () => {
+  let teacher;
+  let ann;
+  let ben;
+  let questionId;
+
+  // Cat never answers, so the question stays live until the teacher ends it
+  beforeEach(async () => {
+    teacher = await joinTeacher(app);
+    ann = await joinStudent(app, teacher.sessionCode, 'Ann');
+    ben = await joinStudent(app, teacher.sessionCode, 'Ben');
+    await joinStudent(app, teacher.sessionCode, 'Cat');
+    questionId = await ask(app, teacher, { text: 'Pick one', options: ['A', 'B'] });
+    await answer(app, ann, 1);
+  });
+
+  test('records who did what, when and from where, most recent first', async () => {
+    await request(app).post('/api/teacher/remove').set(teacher.auth).send({ studentId: ben.studentId });
+    await endQuestion(app, teacher);
+
+    const { body } = await audit(teacher);
+
+    expect(body.items.map((entry) => entry.type)).toEqual([
+      'question:ended', 'student:removed', 'vote:cast', 'question:asked',
+      'student:joined', 'student:joined', 'student:joined', 'teacher:joined', 'session:created'
+    ]);
+    const vote = body.items[2];
+    expect(vote).toMatchObject({
+      actor: { role: 'student', id: ann.studentId, ip: expect.any(String) },
+      participantId: ann.studentId,
+      questionId,
+      details: { answer: 1, answeredAtMs: expect.any(Number) }
+    });
+    expect(vote.atMs).toEqual(expect.any(Number));
+    expect(body.items[0].details).toMatchObject({ reason: 'ended', totalVotes: 1 });
+    expect(body.items[1]).toMatchObject({ actor: { role: 'teacher', id: teacher.teacherId }, participantId: ben.studentId });
+  });
+
+  test('votes that didn\'t count are recorded with the reason', async () => {
+    await answer(app, ann, 0);
+
+    const { body } = await audit(teacher, { type: 'vote' });
+
+    expect(body.items.map((entry) => [entry.type, entry.details.code])).toEqual([
+      ['vote:rejected', 'already_answered'],
+      ['vote:cast', undefined]
+    ]);
+  });
+
+  test('filters by type prefix, actor, participant, question and time, and pages', async () => {
+    const joins = await audit(teacher, { type: 'student' });
+    const byTeacher = await audit(teacher, { actor: 'teacher' });
+    const aboutAnn = await audit(teacher, { participantId: ann.studentId });
+    const aboutQuestion = await audit(teacher, { questionId });
+    const future = await audit(teacher, { from: Date.now() + 60 * 1000 });
+    const page = await audit(teacher, { pageSize: 2, page: 2 });
+
+    expect(joins.body.total).toBe(3);
+    expect(byTeacher.body.items.map((entry) => entry.type)).toEqual(['question:asked', 'teacher:joined']);
+    expect(aboutAnn.body.items.map((entry) => entry.type)).toEqual(['vote:cast', 'student:joined']);
+    expect(aboutQuestion.body.items.map((entry) => entry.type)).toEqual(['vote:cast', 'question:asked']);
+    expect(future.body.total).toBe(0);
+    expect(page.body).toMatchObject({ page: 2, pageSize: 2, total: 7, totalPages: 4 });
+    expect(page.body.items.map((entry) => entry.type)).toEqual(['student:joined', 'student:joined']);
+  });
+
+  test('is for the session\'s teachers only', async () => {
+    const other = await joinTeacher(app);
+
+    expect((await audit(ann)).status).toBe(403);
+    expect((await audit(other)).body.total).toBe(2);
+  });
+
+  test('outlives a reset and goes into the archive', async () => {
+    await endQuestion(app, teacher);
+    const reset = await request(app).post('/api/poll/reset').set(teacher.auth);
+
+    const after = await audit(teacher, { type: 'session' });
+    const archived = await request(app).get(`/api/archive/${reset.body.archiveId}`).set(teacher.auth);
+
+    expect(after.body.items.map((entry) => entry.type)).toEqual(['session:reset', 'session:created']);
+    expect(after.body.items[0].details).toEqual({ archiveId: reset.body.archiveId });
+    expect(archived.body.audit.map((entry) => entry.type)).toContain('vote:cast');
+  });
+
+  test('is part of the export, numbered oldest first', async () => {
+    const json = await request(app).get('/api/export').set(teacher.auth).query({ format: 'json' });
+    const csv = await request(app).get('/api/export').set(teacher.auth).query({ report: 'audit' });
+
+    expect(json.body.audit[0]).toMatchObject({ type: 'session:created', at: expect.stringMatching(/^\d{4}-/) });
+    const rows = parseCsv(csv.text.slice(1));
+    expect(rows[0]).toEqual(['#', 'Time', 'Event', 'Actor role', 'Actor ID', 'IP', 'Participant ID', 'Question ID', 'Details']);
+    expect(rows.slice(1).map((row) => [row[0], row[2]])).toEqual([
+      ['1', 'session:created'], ['2', 'teacher:joined'], ['3', 'student:joined'], ['4', 'student:joined'],
+      ['5', 'student:joined'], ['6', 'question:asked'], ['7', 'vote:cast']
+    ]);
+    expect(JSON.parse(rows[7][8])).toMatchObject({ answer: 1 });
+  });
+
+  test('past AUDIT_MAX_ENTRIES keeps the last ones and says the log is truncated', async () => {
+    for (let i = 0; i < 23; i++) await joinStudent(app, teacher.sessionCode, `Student ${i}`);
+    const full = await audit(teacher, { pageSize: 100 });
+    await joinStudent(app, teacher.sessionCode, 'One too many');
+
+    const { body } = await audit(teacher, { pageSize: 100 });
+    const exported = await request(app).get('/api/export').set(teacher.auth).query({ format: 'json' });
+
+    expect(full.body).toMatchObject({ total: 30, truncated: false });
+    expect(body).toMatchObject({ total: 30, truncated: true });
+    expect(body.items[0].details.name).toBe('One too many');
+    expect(body.items.some((entry) => entry.type === 'session:created')).toBe(false);
+    expect(exported.body).toMatchObject({ auditTruncated: true });
+  });
+});
+
+describe('anonymous questions', () => {
+  test('votes are logged without the answer', async () => {
+    const teacher = await joinTeacher(app);
+    const ann = await joinStudent(app, teacher.sessionCode, 'Ann');
+    await joinStudent(app, teacher.sessionCode, 'Ben');
+    await ask(app, teacher, { anonymous: true });
+    await answer(app, ann, 1);
+
+    const { body } = await audit(teacher, { type: 'vote:cast' });
+
+    expect(body.items[0].details.answer).toBeNull();
+  });
+});
+
+describe('writes', () => {
+  test('are in the store by the time the change they record resolves', async () => {
+    const store = createMemoryStore();
+    // A slow store, as a remote one is
+    const append = store.append.bind(store);
+    store.append = async (...args) => {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      return append(...args);
+    };
+    const service = createPollService(store);
+    createAuditLog(store, { loadState: service.loadState }).listen(service);
+    const sessionCode = await service.createSession();
+
+    await service.joinStudent(sessionCode, 'ann', 'Ann');
+
+    expect((await store.range(auditKey(sessionCode))).map((entry) => entry.type)).toEqual(['session:created', 'student:joined']);
+  });
+});
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { PASSCODE, loadApp, bearer, joinTeacher, joinStudent } = require('./helpers');
+
+const app = loadApp();
+
+// Signs claims the way auth.js does, with the test secret
+function forgeToken(claims, secret = 'test-secret') {
+  const segment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const body = `${segment({ alg: 'HS256', typ: 'JWT' })}.${segment(claims)}`;
+  return `${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`;
+}
+
+describe('teacher login', () => {
+  test('a wrong or missing passcode is refused', async () => {
+    const wrong = await request(app).post('/api/teacher/join').send({ passcode: 'guess' });
+    const missing = await request(app).post('/api/teacher/join').send({});
+
+    expect(wrong.status).toBe(401);
+    expect(missing.status).toBe(401);
+  });
+
+  test('the right passcode returns a signed teacher token for the session', async () => {
+    const teacher = await joinTeacher(app);
+    const [, payload] = teacher.token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+    expect(claims).toMatchObject({ role: 'teacher', sessionCode: teacher.sessionCode, sub: teacher.teacherId });
+    expect(claims.exp).toBeGreaterThan(claims.iat);
+  });
+
+  test('login is disabled until TEACHER_PASSCODE is set', async () => {
+    delete process.env.TEACHER_PASSCODE;
+    try {
+      const res = await request(app).post('/api/teacher/join').send({ passcode: '' });
+
+      expect(res.status).toBe(503);
+    } finally {
+      process.env.TEACHER_PASSCODE = PASSCODE;
+    }
+  });
+});
+
+describe('protected routes', () => {
+  let teacher;
+  let student;
+
+  beforeAll(async () => {
+    teacher = await joinTeacher(app);
+    student = await joinStudent(app, teacher.sessionCode, 'Ann');
+  });
+
+  const ask = (headers) => request(app).post('/api/teacher/ask').set(headers)
+    .send({ text: 'Pick one', options: ['A', 'B'] });
+
+  test('teacher actions need a teacher token', async () => {
+    expect((await ask({})).status).toBe(401);
+    expect((await ask(student.auth)).status).toBe(403);
+    expect((await ask(teacher.auth)).status).toBe(200);
+  });
+
+  test('answers need a student token', async () => {
+    const res = await request(app).post('/api/student/answer').set(teacher.auth).send({ answer: 0 });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('tampered, foreign and expired tokens are refused', async () => {
+    const nowSec = Math.floor(Date.now() / 1000);
+    const claims = { sub: teacher.teacherId, role: 'teacher', sessionCode: teacher.sessionCode, iat: nowSec };
+    const [header, , signature] = student.token.split('.');
+    const promoted = Buffer.from(JSON.stringify({ ...claims, exp: nowSec + 60 })).toString('base64url');
+
+    expect((await ask(bearer(`${header}.${promoted}.${signature}`))).status).toBe(401);
+    expect((await ask(bearer(forgeToken({ ...claims, exp: nowSec + 60 }, 'other-secret')))).status).toBe(401);
+    expect((await ask(bearer(forgeToken({ ...claims, exp: nowSec - 1 })))).status).toBe(401);
+    expect((await ask(bearer('not-a-token'))).status).toBe(401);
+  });
+
+  test('a valid token signed with the secret is accepted', async () => {
+    const nowSec = Math.floor(Date.now() / 1000);
+    const token = forgeToken({ sub: teacher.teacherId, role: 'teacher', sessionCode: teacher.sessionCode, iat: nowSec, exp: nowSec + 60 });
+
+    const res = await request(app).get('/api/teacher/state').set(bearer(token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessionCode).toBe(teacher.sessionCode);
+  });
+});
@@ -0,0 +1,84 @@
+const request = require('supertest');
+const { loadApp, joinTeacher, joinStudent, ask } = require('./helpers');
+
+const app = loadApp();
+
+function post(participant, body) {
+  return request(app).post('/api/chat').set(participant.auth).send(body);
+}
+
+async function history(participant) {
+  return (await request(app).get('/api/chat').set(participant.auth)).body;
+}
+
+function moderate(teacher, path, body) {
+  return request(app).post(`/api/chat/${path}`).set(teacher.auth).send(body);
+}
+
+describe('chat', () => {
+  let teacher;
+  let ann;
+  let ben;
+
+  beforeEach(async () => {
+    teacher = await joinTeacher(app, { name: 'Ms Smith' });
+    ann = await joinStudent(app, teacher.sessionCode, 'Ann');
+    ben = await joinStudent(app, teacher.sessionCode, 'Ben');
+  });
+
+  test('messages are kept with the sender taken from the token', async () => {
+    const sent = await post(ann, { message: '  Hello  ', from: 'Ms Smith' });
+
+    expect(sent.body.message).toMatchObject({ from: 'Ann', fromId: ann.studentId, fromRole: 'student', to: null, message: 'Hello' });
+    expect((await history(ben)).messages.map((message) => message.message)).toEqual(['Hello']);
+  });
+
+  test('private messages from a teacher are only seen by that student and the teachers', async () => {
+    await post(teacher, { message: 'See me after class', to: ann.studentId });
+
+    expect((await history(ann)).messages).toHaveLength(1);
+    expect((await history(ben)).messages).toHaveLength(0);
+    expect((await history(teacher)).messages[0]).toMatchObject({ from: 'Ms Smith', to: ann.studentId });
+    expect((await post(ann, { message: 'Psst', to: ben.studentId })).status).toBe(403);
+  });
+
+  test('teachers can delete messages and mute students', async () => {
+    const sent = await post(ann, { message: 'spam' });
+
+    expect((await request(app).delete(`/api/chat/${sent.body.message.id}`).set(teacher.auth)).status).toBe(200);
+    expect((await history(ben)).messages).toEqual([]);
+
+    const muted = await moderate(teacher, 'mute', { studentId: ann.studentId });
+    expect(muted.body.muted).toEqual([ann.studentId]);
+    expect((await post(ann, { message: 'more spam' })).body.error.message).toBe('You are muted');
+    expect((await history(ann)).muted).toBe(true);
+    await moderate(teacher, 'mute', { studentId: ann.studentId, muted: false });
+    expect((await post(ann, { message: 'sorry' })).status).toBe(200);
+  });
+
+  test('chat can be turned off, or off while a question is live', async () => {
+    await moderate(teacher, 'settings', { disableDuringQuestion: true });
+    await ask(app, teacher);
+    expect((await post(ann, { message: 'Is it B?' })).body.error.message).toBe('Chat is disabled while a question is live');
+
+    const settings = await moderate(teacher, 'settings', { enabled: false });
+    expect(settings.body.settings).toEqual({ enabled: false, disableDuringQuestion: true });
+    expect((await post(ben, { message: 'Hi' })).status).toBe(403);
+    // Teachers can still post
+    expect((await post(teacher, { message: 'Quiet please' })).status).toBe(200);
+  });
+
+  test('empty messages are refused and students can\'t moderate', async () => {
+    const empty = await post(ann, { message: '   ' });
+    const mute = await moderate(ann, 'mute', { studentId: ben.studentId });
+
+    expect(empty.body.error.field).toBe('message');
+    expect(mute.status).toBe(403);
+  });
+
+  test('removed students can no longer post', async () => {
+    await request(app).post('/api/teacher/remove').set(teacher.auth).send({ studentId: ann.studentId });
+
+    expect((await post(ann, { message: 'Still here?' })).status).toBe(403);
+  });
+});
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const { io: connect } = require('socket.io-client');
+const { loadApp, joinTeacher, joinStudent, ask, endQuestion } = require('./helpers');
+
+// Listening, so the owner's socket can connect and drop
+let server;
+let url;
+const clients = [];
+
+beforeAll((done) => {
+  server = loadApp({ REALTIME: 'on' }).server.listen(0, '127.0.0.1', () => {
+    url = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterEach(() => {
+  clients.splice(0).forEach((client) => client.disconnect());
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+function openSocket(token) {
+  const client = connect(url, { transports: ['websocket'], forceNew: true, reconnection: false, auth: { token } });
+  clients.push(client);
+  return client;
+}
+
+function nextEvent(client, event, matches = () => true) {
+  return new Promise((resolve) => {
+    const listener = (payload) => {
+      if (!matches(payload)) return;
+      client.off(event, listener);
+      resolve(payload);
+    };
+    client.on(event, listener);
+  });
+}
+
+function post(teacher, path, body) {
+  return request(server).post(path).set(teacher.auth).send(body);
+}
+
+async function teachers(teacher) {
+  return (await request(server).get('/api/teacher/state').set(teacher.auth)).body.teachers;
+}
+
+describe('co-teachers', () => {
+  let owner;
+  let coTeacher;
+
+  beforeEach(async () => {
+    owner = await joinTeacher(server, { name: 'Ms Smith' });
+    coTeacher = await joinTeacher(server, { sessionCode: owner.sessionCode, name: 'Mr Jones' });
+  });
+
+  test('the first teacher owns the session and later ones join as co-teachers', async () => {
+    expect(owner).toMatchObject({ role: 'owner', permissions: ['ask', 'moderate', 'reset'] });
+    expect(coTeacher).toMatchObject({ sessionCode: owner.sessionCode, role: 'coteacher', permissions: ['ask', 'moderate'] });
+    expect((await teachers(coTeacher)).map(({ name, role }) => [name, role])).toEqual([['Ms Smith', 'owner'], ['Mr Jones', 'coteacher']]);
+  });
+
+  test('co-teachers can run questions, but not reset without the permission', async () => {
+    await joinStudent(server, owner.sessionCode, 'Ann');
+    await ask(server, coTeacher);
+    await endQuestion(server, coTeacher);
+
+    const reset = await post(coTeacher, '/api/poll/reset');
+
+    expect(reset.status).toBe(403);
+    expect(reset.body.error.message).toBe('Your co-teacher role doesn\'t allow this (needs "reset")');
+  });
+
+  test('the owner sets what a co-teacher may do', async () => {
+    const ann = await joinStudent(server, owner.sessionCode, 'Ann');
+
+    const updated = await post(owner, '/api/teacher/coteacher', { teacherId: coTeacher.teacherId, permissions: ['reset'] });
+
+    expect(updated.body).toEqual({ success: true, teacherId: coTeacher.teacherId, permissions: ['reset'] });
+    expect((await post(coTeacher, '/api/teacher/ask', { text: 'Q', options: ['A', 'B'] })).status).toBe(403);
+    expect((await post(coTeacher, '/api/teacher/remove', { studentId: ann.studentId })).status).toBe(403);
+    expect((await post(coTeacher, '/api/poll/reset')).status).toBe(200);
+  });
+
+  test('only the owner manages co-teachers, and the owner can\'t be targeted', async () => {
+    const byCoTeacher = await post(coTeacher, '/api/teacher/coteacher', { teacherId: coTeacher.teacherId, permissions: ['reset'] });
+    const ownerTarget = await post(owner, '/api/teacher/coteacher/remove', { teacherId: owner.teacherId });
+    const unknown = await post(owner, '/api/teacher/transfer', { teacherId: 'nobody' });
+
+    expect(byCoTeacher.status).toBe(403);
+    expect(ownerTarget.body.error).toMatchObject({ code: 'validation_failed', field: 'teacherId' });
+    expect(unknown.status).toBe(404);
+  });
+
+  test('a removed co-teacher\'s token stops working', async () => {
+    const removed = await post(owner, '/api/teacher/coteacher/remove', { teacherId: coTeacher.teacherId });
+
+    expect(removed.body).toEqual({ success: true, teacherId: coTeacher.teacherId });
+    expect((await request(server).get('/api/teacher/state').set(coTeacher.auth)).status).toBe(401);
+    // The question bank included
+    expect((await request(server).get('/api/bank/questions').set(coTeacher.auth)).status).toBe(401);
+    expect((await post(coTeacher, '/api/bank/questions', { text: 'Q', options: ['A', 'B'] })).status).toBe(401);
+    expect((await request(server).get('/api/bank/questions').set(owner.auth)).status).toBe(200);
+    expect((await teachers(owner)).map((teacher) => teacher.teacherId)).toEqual([owner.teacherId]);
+  });
+
+  test('ownership can be handed over; the old owner stays on with every permission', async () => {
+    const transferred = await post(owner, '/api/teacher/transfer', { teacherId: coTeacher.teacherId });
+
+    expect(transferred.body).toEqual({ success: true, ownerId: coTeacher.teacherId });
+    expect(await teachers(owner)).toEqual([
+      expect.objectContaining({ teacherId: coTeacher.teacherId, role: 'owner' }),
+      expect.objectContaining({ teacherId: owner.teacherId, role: 'coteacher', permissions: ['ask', 'moderate', 'reset'] })
+    ]);
+    expect((await post(owner, '/api/teacher/transfer', { teacherId: coTeacher.teacherId })).status).toBe(403);
+  });
+
+  test('the session outlives the owner\'s socket', async () => {
+    const ownerSocket = openSocket(owner.token);
+    const coSocket = openSocket(coTeacher.token);
+    await ownerSocket.emitWithAck('teacher:join', {});
+    await coSocket.emitWithAck('teacher:join', {});
+    await joinStudent(server, owner.sessionCode, 'Ann');
+
+    const dropped = nextEvent(coSocket, 'teacher:state', (state) => state.teachers.some((teacher) => teacher.role === 'owner' && !teacher.connected));
+    ownerSocket.disconnect();
+    await dropped;
+
+    expect(await coSocket.emitWithAck('teacher:ask', { text: 'Still here', options: ['A', 'B'] })).toMatchObject({ ok: true });
+    expect((await teachers(owner))[0]).toMatchObject({ teacherId: owner.teacherId, role: 'owner', connected: false });
+  });
+});
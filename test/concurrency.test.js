@@ -0,0 +1,188 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { loadApp, joinTeacher, joinStudent, ask, answer, getState } = require('./helpers');
+
+const STUDENTS = 300;
+
+let tmpDir;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'poll-concurrency-'));
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe.each(['memory', 'file'])('parallel answers on the %s store', (storeType) => {
+  let server;
+
+  beforeAll((done) => {
+    const app = loadApp({
+      STATE_STORE: storeType,
+      STATE_FILE: path.join(tmpDir, `${storeType}.json`),
+      MAX_STUDENTS_PER_SESSION: String(STUDENTS)
+    });
+    // One listening server instead of one per request
+    server = app.server.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  // The file store rewrites the whole file for every change, audit entries included
+  test(`${STUDENTS} students joining and answering at once are all counted`, async () => {
+    const teacher = await joinTeacher(server);
+    const students = await Promise.all(
+      Array.from({ length: STUDENTS }, (_, idx) => joinStudent(server, teacher.sessionCode, `Student ${idx}`))
+    );
+    const questionId = await ask(server, teacher, { options: ['A', 'B', 'C'] });
+
+    const responses = await Promise.all(students.map((student, idx) => answer(server, student, idx % 3)));
+
+    expect(responses.map((res) => res.status)).toEqual(students.map(() => 200));
+    const state = await getState(server, teacher.sessionCode);
+    expect(state.studentCount).toBe(STUDENTS);
+    // The last answer ends the question
+    expect(state.hasQuestion).toBe(false);
+    const detail = await request(server).get(`/api/history/${questionId}`).set(teacher.auth);
+    expect(detail.body.totalVotes).toBe(STUDENTS);
+    expect(detail.body.results).toEqual([100, 100, 100]);
+    expect(detail.body.submissions).toHaveLength(STUDENTS);
+  }, 30 * 1000);
+
+  test('a student sending the same answer many times at once is counted once', async () => {
+    const teacher = await joinTeacher(server);
+    const student = await joinStudent(server, teacher.sessionCode, 'Eager');
+    // Someone still to answer keeps the question open
+    await joinStudent(server, teacher.sessionCode, 'Idle');
+    await ask(server, teacher);
+
+    const responses = await Promise.all(Array.from({ length: 20 }, () => answer(server, student, 0)));
+
+    const statuses = responses.map((res) => res.status);
+    expect(statuses.filter((status) => status === 200)).toHaveLength(1);
+    expect(responses.filter((res) => res.status === 400).every((res) => res.body.error.code === 'already_answered')).toBe(true);
+    const state = await getState(server, teacher.sessionCode);
+    expect(state.results.totals).toEqual([1, 0]);
+    expect(state.results.totalVotes).toBe(1);
+  });
+
+  test('answers racing the end of the question are either counted or refused', async () => {
+    const teacher = await joinTeacher(server);
+    const students = await Promise.all(
+      Array.from({ length: 50 }, (_, idx) => joinStudent(server, teacher.sessionCode, `Late ${idx}`))
+    );
+    const questionId = await ask(server, teacher);
+
+    const [ended, ...responses] = await Promise.all([
+      request(server).post('/api/teacher/end').set(teacher.auth),
+      ...students.map((student) => answer(server, student, 1))
+    ]);
+
+    expect(ended.status).toBe(200);
+    const accepted = responses.filter((res) => res.status === 200).length;
+    const detail = await request(server).get(`/api/history/${questionId}`).set(teacher.auth);
+    expect(detail.body.totalVotes).toBe(accepted);
+  });
+});
+
+// A stand-in for Vercel KV that understands the store's scripts, with a random delay on every
+// call so updates from the two store instances interleave. contended makes every
+// compare-and-set lose, as if other instances kept writing the key
+function createFakeKv({ contended = () => false } = {}) {
+  const data = new Map();
+  const delay = () => new Promise((resolve) => setTimeout(resolve, Math.random() * 3));
+  const parse = (value) => (value === undefined ? null : JSON.parse(value));
+  const bump = (versionKey) => data.set(versionKey, String(Number(data.get(versionKey) || 0) + 1));
+  return {
+    async get(key) {
+      await delay();
+      return parse(data.get(key));
+    },
+    async mget(...keys) {
+      await delay();
+      return keys.map((key) => parse(data.get(key)));
+    },
+    async eval(script, [key, versionKey], args) {
+      await delay();
+      if (script.includes('~= ARGV[1]')) {
+        if (contended() || (data.get(versionKey) || '') !== args[0]) return 0;
+        data.set(key, args[1]);
+      } else if (script.includes('exists')) {
+        if (args[1] === '1' && data.has(key)) return 0;
+        data.set(key, args[0]);
+      } else {
+        data.delete(key);
+      }
+      bump(versionKey);
+      return 1;
+    }
+  };
+}
+
+describe('KV store updates', () => {
+  let createKvStore;
+  let sendError;
+  let contended = false;
+
+  beforeAll(() => {
+    jest.isolateModules(() => {
+      jest.doMock('@vercel/kv', () => ({ kv: createFakeKv({ contended: () => contended }) }));
+      ({ createKvStore } = require('../stateStore'));
+      ({ sendError } = require('../errors'));
+    });
+  });
+
+  afterEach(() => {
+    contended = false;
+    jest.useRealTimers();
+  });
+
+  test('updates from two instances racing on one key are never lost', async () => {
+    // Two instances stand in for two serverless functions sharing the database
+    const first = createKvStore();
+    const second = createKvStore();
+    await first.set('poll', { count: 0 });
+
+    await Promise.all(Array.from({ length: 200 }, (_, idx) => (idx % 2 ? first : second)
+      .update('poll', (current) => ({ count: current.count + 1 }))));
+
+    expect(await second.get('poll')).toEqual({ count: 200 });
+  });
+
+  test('set with nx and del go through the versioned scripts', async () => {
+    const store = createKvStore();
+
+    expect(await store.set('lock', 1, { nx: true })).toBe(true);
+    expect(await store.set('lock', 2, { nx: true })).toBe(false);
+    await store.del('lock');
+
+    expect(await store.get('lock')).toBeNull();
+    expect(await store.set('lock', 3, { nx: true })).toBe(true);
+  });
+
+  test('an update that keeps losing gives up with a 503 to retry', async () => {
+    const store = createKvStore();
+    await store.set('poll', { count: 0 });
+    contended = true;
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+
+    const update = store.update('poll', (current) => ({ count: current.count + 1 }));
+    const failed = expect(update).rejects.toMatchObject({ status: 503, code: 'store_busy', retryAfterSec: 1 });
+    await jest.advanceTimersByTimeAsync(10 * 1000);
+    await failed;
+
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Gave up updating poll'));
+    const res = { set: jest.fn(), status: jest.fn(() => res), json: jest.fn() };
+    sendError(res, await update.catch((error) => error));
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '1');
+    expect(res.status).toHaveBeenCalledWith(503);
+    jest.useRealTimers();
+    contended = false;
+    expect(await store.get('poll')).toEqual({ count: 0 });
+  });
+});
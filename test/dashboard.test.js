@@ -0,0 +1,111 @@
+const request = require('supertest');
+const { io: connect } = require('socket.io-client');
+const { loadApp, joinTeacher, joinStudent, ask, answer, getState } = require('./helpers');
+
+// Listening, so the roster can follow socket connections
+let server;
+let url;
+const clients = [];
+
+beforeAll((done) => {
+  server = loadApp({ REALTIME: 'on' }).server.listen(0, '127.0.0.1', () => {
+    url = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterEach(() => {
+  clients.splice(0).forEach((client) => client.disconnect());
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+function openSocket(token) {
+  const client = connect(url, { transports: ['websocket'], forceNew: true, reconnection: false, auth: { token } });
+  clients.push(client);
+  return client;
+}
+
+function nextEvent(client, event, matches = () => true) {
+  return new Promise((resolve) => {
+    const listener = (payload) => {
+      if (!matches(payload)) return;
+      client.off(event, listener);
+      resolve(payload);
+    };
+    client.on(event, listener);
+  });
+}
+
+function teacherState(participant, headers = {}) {
+  return request(server).get('/api/teacher/state').set(participant.auth).set(headers);
+}
+
+describe('teacher dashboard', () => {
+  let teacher;
+  let ann;
+  let ben;
+
+  beforeEach(async () => {
+    teacher = await joinTeacher(server);
+    ann = await joinStudent(server, teacher.sessionCode, 'Ann');
+    ben = await joinStudent(server, teacher.sessionCode, 'Ben');
+  });
+
+  test('the roster shows who has answered what, and how fast', async () => {
+    await ask(server, teacher, { text: 'Pick one', options: ['A', 'B', 'C'] });
+    await answer(server, ann, 2);
+
+    const { body } = await teacherState(teacher);
+
+    expect(body.roster.map((entry) => entry.name)).toEqual(['Ann', 'Ben']);
+    expect(body.roster[0]).toMatchObject({ studentId: ann.studentId, connected: true, hasAnswered: true, answer: 2, option: 'C' });
+    expect(body.roster[0].responseTimeMs).toBeGreaterThanOrEqual(0);
+    expect(body.roster[0].joinedAtMs).toEqual(expect.any(Number));
+    expect(body.roster[1]).toMatchObject({ hasAnswered: false, answer: null, responseTimeMs: null });
+    expect(body).toMatchObject({ answeredCount: 1, connectedCount: 2 });
+    expect(body.breakdown[2]).toEqual({ option: 'C', votes: 1, percent: 100, students: [{ studentId: ann.studentId, name: 'Ann' }] });
+    expect(body.breakdown[0].students).toEqual([]);
+  });
+
+  test('students keep the reduced public payload and can\'t read the dashboard', async () => {
+    const publicState = await getState(server, teacher.sessionCode, ann);
+    const res = await teacherState(ann);
+
+    expect(publicState.studentCount).toBe(2);
+    expect(publicState).not.toHaveProperty('roster');
+    expect(res.status).toBe(403);
+  });
+
+  test('an unchanged dashboard is a 304 for its ETag', async () => {
+    const first = await teacherState(teacher);
+    const again = await teacherState(teacher, { 'If-None-Match': first.headers.etag });
+    await ask(server, teacher);
+    const changed = await teacherState(teacher, { 'If-None-Match': first.headers.etag });
+
+    expect(again.status).toBe(304);
+    expect(changed.status).toBe(200);
+  });
+
+  test('teacher sockets get the dashboard as it changes; students never do', async () => {
+    const teacherSocket = openSocket(teacher.token);
+    const studentSocket = openSocket(ann.token);
+    const studentDashboards = [];
+    studentSocket.on('teacher:state', (payload) => studentDashboards.push(payload));
+    await teacherSocket.emitWithAck('teacher:join', {});
+    await studentSocket.emitWithAck('student:join', {});
+
+    const answered = nextEvent(teacherSocket, 'teacher:state', (state) => state.answeredCount === 1);
+    await ask(server, teacher);
+    await answer(server, ben, 1);
+    expect((await answered).roster.find((entry) => entry.name === 'Ben')).toMatchObject({ hasAnswered: true, option: 'B' });
+
+    const disconnected = nextEvent(teacherSocket, 'teacher:state', (state) => state.connectedCount === 1);
+    studentSocket.disconnect();
+    const roster = (await disconnected).roster;
+    expect(roster.find((entry) => entry.name === 'Ann')).toMatchObject({ connected: false, disconnectedAtMs: expect.any(Number) });
+    expect(studentDashboards).toEqual([]);
+  });
+});
@@ -0,0 +1,112 @@
+const request = require('supertest');
+const { createMemoryStore } = require('../stateStore');
+const { createPollService } = require('../pollService');
+const { runWithRequestContext } = require('../requestContext');
+const { loadApp, joinTeacher, joinStudent, ask, answer, getState } = require('./helpers');
+
+const app = loadApp();
+
+describe('poll service events', () => {
+  let service;
+  let sessionCode;
+  let events;
+
+  beforeEach(async () => {
+    service = createPollService(createMemoryStore());
+    events = [];
+    service.on('*', (event) => {
+      events.push(event);
+    });
+    sessionCode = await service.createSession();
+    await service.joinTeacher(sessionCode, 'teacher-1');
+    await service.joinStudent(sessionCode, 'ann', 'Ann');
+    await service.joinStudent(sessionCode, 'ben', 'Ben');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  function eventsAfter(type) {
+    return events.slice(events.findIndex((event) => event.type === type));
+  }
+
+  test('a question\'s life is announced in order, with who did what', async () => {
+    const question = await service.askQuestion(sessionCode, 'teacher-1', { text: 'Q', options: ['A', 'B'] });
+    await service.submitAnswer(sessionCode, 'ann', 1);
+    await service.submitAnswer(sessionCode, 'ben', 0);
+
+    const [asked, annVote, benVote, ended] = eventsAfter('question:asked');
+    expect(asked).toMatchObject({ sessionCode, actor: { role: 'teacher', id: 'teacher-1' }, question: { id: question.id } });
+    expect(annVote).toMatchObject({ type: 'vote:cast', questionId: question.id, studentId: 'ann', answer: 1, actor: { role: 'student', id: 'ann' } });
+    expect(benVote.type).toBe('vote:cast');
+    // Everyone answered, so the question ended itself
+    expect(ended).toMatchObject({ type: 'question:ended', questionId: question.id, reason: 'answered', entry: { results: [1, 1] } });
+    expect(ended.occurredAtMs).toEqual(expect.any(Number));
+  });
+
+  test('joins and the teacher ending a question have their own events and reasons', async () => {
+    await service.askQuestion(sessionCode, 'teacher-1', { text: 'Q', options: ['A', 'B'] });
+    await service.endCurrentQuestion(sessionCode, 'teacher-1');
+
+    expect(events.find((event) => event.type === 'student:joined')).toMatchObject({ studentId: 'ann', name: 'Ann', studentCount: 1 });
+    expect(events.at(-1)).toMatchObject({ type: 'question:ended', reason: 'ended', actor: { role: 'teacher', id: 'teacher-1' } });
+  });
+
+  test('rejected votes are announced too', async () => {
+    await service.askQuestion(sessionCode, 'teacher-1', { text: 'Q', options: ['A', 'B'] });
+    await service.submitAnswer(sessionCode, 'ann', 0);
+
+    await expect(service.submitAnswer(sessionCode, 'ann', 1)).rejects.toMatchObject({ code: 'already_answered' });
+
+    expect(events.at(-1)).toMatchObject({ type: 'vote:rejected', studentId: 'ann', code: 'already_answered' });
+  });
+
+  test('questions that run out of time end with the system as the actor; ticks skip "*"', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    const ticks = [];
+    service.on('timer:tick', (tick) => ticks.push(tick));
+    await service.askQuestion(sessionCode, 'teacher-1', { text: 'Q', options: ['A', 'B'], timeLimitSec: 5 });
+
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(events.at(-1)).toMatchObject({ type: 'question:ended', reason: 'timeout', actor: { role: 'system', id: null } });
+    expect(ticks.length).toBeGreaterThan(0);
+    expect(events.some((event) => event.type === 'timer:tick')).toBe(false);
+  });
+
+  test('events from a request carry the client address', async () => {
+    await runWithRequestContext({ ip: '203.0.113.7' }, () => service.submitAnswer(sessionCode, 'ann', 0).catch(() => {}));
+
+    expect(events.at(-1)).toMatchObject({ type: 'vote:rejected', actor: { role: 'student', id: 'ann', ip: '203.0.113.7' } });
+  });
+
+  test('a failing listener is logged and doesn\'t fail the change; off unsubscribes', async () => {
+    const failing = () => {
+      throw new Error('listener broke');
+    };
+    service.on('question:asked', failing);
+
+    await expect(service.askQuestion(sessionCode, 'teacher-1', { text: 'Q', options: ['A', 'B'] })).resolves.toBeTruthy();
+    expect(console.error).toHaveBeenCalledWith('question:asked listener error:', expect.any(Error));
+
+    const typed = jest.fn();
+    service.on('question:ended', typed);
+    service.off('question:ended', typed);
+    await service.endCurrentQuestion(sessionCode, 'teacher-1');
+    expect(typed).not.toHaveBeenCalled();
+  });
+});
+
+describe('REST goes through the same service', () => {
+  test('a question answered by everyone over REST ends itself, as it does over sockets', async () => {
+    const teacher = await joinTeacher(app);
+    const ann = await joinStudent(app, teacher.sessionCode, 'Ann');
+    await ask(app, teacher);
+
+    await answer(app, ann, 0);
+
+    expect((await getState(app, teacher.sessionCode)).hasQuestion).toBe(false);
+    expect((await request(app).get('/api/history').set(teacher.auth)).body.total).toBe(1);
+  });
+});
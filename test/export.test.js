@@ -0,0 +1,108 @@
+const request = require('supertest');
+const { buildExport, toCsv } = require('../pollExport');
+const { loadApp, joinTeacher, joinStudent, ask, answer, endQuestion } = require('./helpers');
+
+const app = loadApp();
+
+// Splits a CSV table into rows of cells (cells here never contain line breaks)
+function parseCsv(text) {
+  return text.split('\r\n').map((line) => line.match(/("([^"]|"")*"|[^,]*)(,|$)/g).slice(0, -1)
+    .map((cell) => cell.replace(/,$/, '').replace(/^"(.*)"$/, '$1').replace(/""/g, '"')));
+}
+
+describe('session export', () => {
+  let teacher;
+
+  beforeAll(async () => {
+    teacher = await joinTeacher(app);
+    const ann = await joinStudent(app, teacher.sessionCode, 'Ann');
+    const ben = await joinStudent(app, teacher.sessionCode, 'Ben, Jr.');
+    await ask(app, teacher, { text: 'Capital of France?', options: ['Paris', 'Rome'], correctOptions: [0] });
+    await answer(app, ann, 0);
+    await answer(app, ben, 1);
+    await ask(app, teacher, { type: 'numeric', text: 'Coldest temperature?' });
+    await answer(app, ann, -5);
+    await endQuestion(app, teacher);
+    await ask(app, teacher, { type: 'text', text: 'Comments?' });
+    await answer(app, ann, '=HYPERLINK("http://evil.example")');
+    await endQuestion(app, teacher);
+  });
+
+  const exportAs = (query) => request(app).get('/api/export').set(teacher.auth).query(query);
+
+  test('JSON has every question, oldest first, and every student\'s answers', async () => {
+    const res = await exportAs({ format: 'json' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(new RegExp(`attachment; filename="poll-${teacher.sessionCode}-.*\\.json"`));
+    expect(res.body.summary.map((question) => question.text)).toEqual(['Capital of France?', 'Coldest temperature?', 'Comments?']);
+    expect(res.body.summary[0].options).toEqual([
+      { option: 'Paris', isCorrect: true, votes: 1, percent: 50 },
+      { option: 'Rome', isCorrect: false, votes: 1, percent: 50 }
+    ]);
+    const ann = res.body.responses.students.find((student) => student.name === 'Ann');
+    expect(ann.answers.map((item) => item.option)).toEqual(['Paris', '-5', '=HYPERLINK("http://evil.example")']);
+    expect(ann.answers[0].correct).toBe(true);
+  });
+
+  test('CSV summary has a row per option', async () => {
+    const res = await exportAs({ report: 'summary' });
+
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.text.startsWith('\uFEFF')).toBe(true);
+    const rows = parseCsv(res.text.slice(1));
+    expect(rows[0].slice(0, 4)).toEqual(['Question #', 'Question ID', 'Question', 'Anonymous']);
+    expect(rows.slice(1).map((row) => [row[2], row[4], row[6]])).toEqual([
+      ['Capital of France?', 'Paris', '1'],
+      ['Capital of France?', 'Rome', '1'],
+      ['Coldest temperature?', '', ''],
+      ['Comments?', '', '']
+    ]);
+  });
+
+  test('CSV responses quote commas and defuse formulas, but leave negative numbers alone', async () => {
+    const res = await exportAs({ report: 'responses' });
+
+    const rows = parseCsv(res.text.slice(1));
+    expect(rows[0]).toEqual(['Student', 'Student ID', 'Score', 'Q1: Capital of France?', 'Q1 correct', 'Q2: Coldest temperature?', 'Q3: Comments?']);
+    const ann = rows.find((row) => row[0] === 'Ann');
+    expect(ann.slice(3)).toEqual(['Paris', 'yes', '-5', '\'=HYPERLINK("http://evil.example")']);
+    expect(rows.some((row) => row[0] === 'Ben, Jr.')).toBe(true);
+    expect(res.text).toContain('"Ben, Jr."');
+  });
+
+  test('the full CSV has the three tables', async () => {
+    const res = await exportAs({});
+
+    expect(res.text.split('\r\n\r\n')).toHaveLength(3);
+  });
+
+  test('unknown formats and reports are refused', async () => {
+    const format = await exportAs({ format: 'xlsx' });
+    const report = await exportAs({ report: 'grades' });
+
+    expect(format.status).toBe(400);
+    expect(format.body.error.field).toBe('format');
+    expect(report.body.error.field).toBe('report');
+  });
+});
+
+describe('CSV cells', () => {
+  // One question whose option texts are the values under test
+  function optionCells(options) {
+    const data = buildExport({
+      sessionCode: 'ABCDEF',
+      students: {},
+      history: [{ id: 'q1', text: 'Q', options, results: [], totalVotes: 0, participantCount: 0, participationRate: 0, submissions: [] }]
+    });
+    return parseCsv(toCsv(data, 'summary')).slice(1).map((row) => row[4]);
+  }
+
+  test('text that a spreadsheet would run is prefixed with a quote', () => {
+    expect(optionCells(['=1+1', '+SUM(A1)', '-A1', '@cmd', '\tx'])).toEqual(['\'=1+1', '\'+SUM(A1)', '\'-A1', '\'@cmd', '\'\tx']);
+  });
+
+  test('numbers and ordinary text are left as they are', () => {
+    expect(optionCells(['-5', '+3.5', '-1e3', 'a=b', 'plain'])).toEqual(['-5', '+3.5', '-1e3', 'a=b', 'plain']);
+  });
+});
@@ -0,0 +1,92 @@
+// Shared setup for the API tests. Each test file gets its own copy of the app (Jest isolates
+// modules per file) on a fresh memory store; loadApp can start more with other settings
+const request = require('supertest');
+
+const PASSCODE = 'test-passcode';
+
+// Settings every test app starts from; loadApp's env overrides them
+const TEST_ENV = {
+  TEACHER_PASSCODE: PASSCODE,
+  AUTH_SECRET: 'test-secret',
+  RATE_LIMIT: 'off',
+  STATE_STORE: 'memory',
+  REALTIME: 'off'
+};
+// Also for the modules a test file requires itself (auth.js reads AUTH_SECRET when loaded)
+Object.assign(process.env, TEST_ENV);
+
+// The server logs every action; keep the test output to the results
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+// Loads a fresh copy of index.js (its own store, services and server) with env applied
+function loadApp(env = {}) {
+  Object.assign(process.env, TEST_ENV, env);
+  let app;
+  jest.isolateModules(() => {
+    app = require('../index');
+  });
+  return app;
+}
+
+function bearer(token) {
+  return { Authorization: `Bearer ${token}` };
+}
+
+function expectStatus(res, status, what) {
+  if (res.status !== status) throw new Error(`${what}: HTTP ${res.status} ${JSON.stringify(res.body)}`);
+  return res;
+}
+
+// Logs a teacher in (a new session unless body has a sessionCode); resolves to the response
+// body plus auth, the headers for later requests
+async function joinTeacher(app, body = {}) {
+  const res = await request(app).post('/api/teacher/join').send({ passcode: PASSCODE, ...body });
+  expectStatus(res, 200, 'Teacher join');
+  return { ...res.body, auth: bearer(res.body.token) };
+}
+
+// Same for a student joining sessionCode as name
+async function joinStudent(app, sessionCode, name) {
+  const res = await request(app).post('/api/student/join').send({ sessionCode, name });
+  expectStatus(res, 200, 'Student join');
+  return { ...res.body, auth: bearer(res.body.token) };
+}
+
+// Asks a question (two options unless question says otherwise); resolves to its id
+async function ask(app, teacher, question = {}) {
+  const res = await request(app).post('/api/teacher/ask').set(teacher.auth)
+    .send({ text: 'Pick one', options: ['A', 'B'], ...question });
+  expectStatus(res, 200, 'Ask');
+  return res.body.questionId;
+}
+
+function answer(app, student, value) {
+  return request(app).post('/api/student/answer').set(student.auth).send({ answer: value });
+}
+
+async function endQuestion(app, teacher) {
+  expectStatus(await request(app).post('/api/teacher/end').set(teacher.auth), 200, 'End question');
+}
+
+// The public state of a session, as seen by participant (a joined teacher or student) or anyone
+async function getState(app, sessionCode, participant = null) {
+  const req = request(app).get('/api/poll/state').query({ sessionCode });
+  if (participant) req.set(participant.auth);
+  return expectStatus(await req, 200, 'Poll state').body;
+}
+
+module.exports = {
+  PASSCODE,
+  loadApp,
+  bearer,
+  joinTeacher,
+  joinStudent,
+  ask,
+  answer,
+  endQuestion,
+  getState
+};
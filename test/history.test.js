@@ -0,0 +1,120 @@
+const request = require('supertest');
+const { createMemoryStore } = require('../stateStore');
+const { createPollService } = require('../pollService');
+const { stateKey } = require('../pollState');
+const { loadHistoryEntry, clearHistory } = require('../pollHistory');
+const { loadApp, joinTeacher, joinStudent, ask, answer, endQuestion, getState } = require('./helpers');
+
+const app = loadApp();
+
+describe('question history', () => {
+  let teacher;
+  let ids;
+
+  // 25 ended questions, the seventh about cats; Ann answers the last one
+  beforeAll(async () => {
+    teacher = await joinTeacher(app);
+    const student = await joinStudent(app, teacher.sessionCode, 'Ann');
+    await joinStudent(app, teacher.sessionCode, 'Ben');
+    ids = [];
+    for (let idx = 1; idx <= 25; idx++) {
+      ids.push(await ask(app, teacher, { text: idx === 7 ? 'Favourite pet?' : `Question ${idx}`, options: idx === 7 ? ['Cat', 'Dog'] : ['A', 'B'] }));
+      if (idx === 25) await answer(app, student, 1);
+      await endQuestion(app, teacher);
+    }
+  });
+
+  const history = (query) => request(app).get('/api/history').set(teacher.auth).query(query);
+
+  test('keeps every question, most recent first, in pages', async () => {
+    const first = await history({ pageSize: 10 });
+    const last = await history({ pageSize: 10, page: 3 });
+
+    expect(first.body).toMatchObject({ page: 1, pageSize: 10, total: 25, totalPages: 3 });
+    expect(first.body.items.map((item) => item.id)).toEqual(ids.slice(15).reverse());
+    expect(last.body.items.map((item) => item.id)).toEqual(ids.slice(0, 5).reverse());
+    expect(first.body.items[0].submissions).toBeUndefined();
+  });
+
+  test('the public state only carries the most recent summaries', async () => {
+    const state = await getState(app, teacher.sessionCode);
+
+    expect(state.history).toHaveLength(10);
+    expect(state.history[0].id).toBe(ids[24]);
+    expect(state.history[0].submissions).toBeUndefined();
+  });
+
+  test('searches question and option text', async () => {
+    const byText = await history({ search: 'pet' });
+    const byOption = await history({ search: 'DOG' });
+
+    expect(byText.body.items.map((item) => item.id)).toEqual([ids[6]]);
+    expect(byOption.body.total).toBe(1);
+  });
+
+  test('filters by end time', async () => {
+    const future = await history({ from: new Date(Date.now() + 60000).toISOString() });
+    const past = await history({ to: Date.now() });
+
+    expect(future.body.total).toBe(0);
+    expect(past.body.total).toBe(25);
+  });
+
+  test('rejects invalid paging', async () => {
+    const res = await history({ page: 0 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.field).toBe('page');
+  });
+
+  test('shows who answered what for one question', async () => {
+    const res = await request(app).get(`/api/history/${ids[24]}`).set(teacher.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: ids[24], text: 'Question 25', results: [0, 1], totalVotes: 1 });
+    expect(res.body.submissions).toEqual([
+      expect.objectContaining({ name: 'Ann', answer: 1, option: 'B', responseTimeMs: expect.any(Number) })
+    ]);
+  });
+
+  test('unknown questions and other sessions\' questions are not found', async () => {
+    const other = await joinTeacher(app);
+
+    const unknown = await request(app).get('/api/history/nope').set(teacher.auth);
+    const foreign = await request(app).get(`/api/history/${ids[0]}`).set(other.auth);
+
+    expect(unknown.status).toBe(404);
+    expect(foreign.status).toBe(404);
+  });
+
+  test('is for teachers only', async () => {
+    const student = await joinStudent(app, teacher.sessionCode, 'Cat');
+
+    expect((await request(app).get('/api/history').set(student.auth)).status).toBe(403);
+  });
+});
+
+describe('sessions saved with their history in the state', () => {
+  test('have it moved to its own keys on the next read', async () => {
+    const store = createMemoryStore();
+    const service = createPollService(store);
+    const sessionCode = await service.createSession();
+    await service.joinTeacher(sessionCode, 'teacher-1');
+    await service.joinStudent(sessionCode, 'student-1', 'Ann');
+    await service.joinStudent(sessionCode, 'student-2', 'Ben');
+    const { id } = await service.askQuestion(sessionCode, 'teacher-1', { text: 'Old', options: ['A', 'B'] });
+    await service.submitAnswer(sessionCode, 'student-1', 0);
+    await service.endCurrentQuestion(sessionCode, 'teacher-1');
+    // Put the entry back where older versions kept it
+    const entry = await loadHistoryEntry(store, sessionCode, id);
+    await clearHistory(store, sessionCode);
+    await store.update(stateKey(sessionCode), (state) => ({ ...state, history: [entry], recentHistory: [] }));
+
+    const state = await service.loadState(sessionCode);
+
+    expect(state.history).toBeUndefined();
+    expect(state.recentHistory.map((summary) => summary.id)).toEqual([id]);
+    expect((await store.get(stateKey(sessionCode))).history).toBeUndefined();
+    expect(await loadHistoryEntry(store, sessionCode, id)).toEqual(entry);
+  });
+});
@@ -0,0 +1,135 @@
+const request = require('supertest');
+const { loadApp, joinTeacher, joinStudent, ask, answer, endQuestion, getState } = require('./helpers');
+
+const app = loadApp();
+
+function teacherAction(teacher, action, body) {
+  return request(app).post(`/api/teacher/${action}`).set(teacher.auth).send(body);
+}
+
+function tryJoin(sessionCode, name) {
+  return request(app).post('/api/student/join').send({ sessionCode, name });
+}
+
+describe('removing students', () => {
+  let teacher;
+  let ann;
+  let ben;
+
+  beforeEach(async () => {
+    teacher = await joinTeacher(app);
+    ann = await joinStudent(app, teacher.sessionCode, 'Ann');
+    ben = await joinStudent(app, teacher.sessionCode, 'Ben');
+  });
+
+  test('a removed student can\'t answer or resume, but can rejoin once the question ends', async () => {
+    const questionId = await ask(app, teacher);
+    await answer(app, ann, 0);
+
+    const removed = await teacherAction(teacher, 'remove', { studentId: ann.studentId });
+
+    expect(removed.body).toEqual({ success: true, studentId: ann.studentId, votesDiscarded: false });
+    expect((await getState(app, teacher.sessionCode)).studentCount).toBe(1);
+    expect((await answer(app, ann, 1)).status).toBe(403);
+    const resume = await request(app).post('/api/student/join').send({ resumeToken: ann.token });
+    expect(resume.body.error.code).toBe('removed');
+    // Their answer still counts, so the name stays locked while the question is live
+    expect((await tryJoin(teacher.sessionCode, 'ann')).body.error.code).toBe('removed');
+
+    await endQuestion(app, teacher);
+    expect((await tryJoin(teacher.sessionCode, 'Ann')).status).toBe(200);
+    // The ended question still shows who answered
+    const detail = await request(app).get(`/api/history/${questionId}`).set(teacher.auth);
+    expect(detail.body.submissions.map((submission) => submission.name)).toEqual(['Ann']);
+  });
+
+  test('rejoining under another name doesn\'t get a second vote on the live question', async () => {
+    await ask(app, teacher);
+    await answer(app, ann, 0);
+    await teacherAction(teacher, 'remove', { studentId: ann.studentId });
+
+    const renamed = await joinStudent(app, teacher.sessionCode, 'Ann2');
+    const vote = await answer(app, renamed, 1);
+
+    expect(vote.status).toBe(403);
+    expect((await getState(app, teacher.sessionCode, teacher)).results.totals).toEqual([1, 0]);
+    await endQuestion(app, teacher);
+    await ask(app, teacher);
+    expect((await answer(app, renamed, 1)).status).toBe(200);
+  });
+
+  test('the question waits for everyone who may still answer, and only them', async () => {
+    const cat = await joinStudent(app, teacher.sessionCode, 'Cat');
+    await ask(app, teacher);
+    await answer(app, ann, 0);
+    await teacherAction(teacher, 'remove', { studentId: ann.studentId });
+    await joinStudent(app, teacher.sessionCode, 'Dan');
+
+    // Ann's answer doesn't stand in for Ben's, and Dan can't answer
+    await answer(app, cat, 1);
+    expect((await getState(app, teacher.sessionCode)).hasQuestion).toBe(true);
+    await answer(app, ben, 1);
+    expect((await getState(app, teacher.sessionCode)).hasQuestion).toBe(false);
+  });
+
+  test('discarding votes takes the live answer back out of the results', async () => {
+    await ask(app, teacher);
+    await answer(app, ann, 0);
+
+    const removed = await teacherAction(teacher, 'remove', { studentId: ann.studentId, discardVotes: true });
+
+    expect(removed.body.votesDiscarded).toBe(true);
+    expect((await getState(app, teacher.sessionCode, teacher)).results.totals).toEqual([0, 0]);
+    // Nothing left to protect, so the name is free again
+    expect((await tryJoin(teacher.sessionCode, 'Ann')).status).toBe(200);
+  });
+
+  test('unknown students are not found', async () => {
+    const res = await teacherAction(teacher, 'remove', { studentId: 'nobody' });
+
+    expect(res.status).toBe(404);
+  });
+
+  test('only teachers can remove students', async () => {
+    const res = await request(app).post('/api/teacher/remove').set(ann.auth).send({ studentId: ann.studentId });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('banning students', () => {
+  test('a banned student and their name stay out until the ban is lifted', async () => {
+    const teacher = await joinTeacher(app);
+    const ann = await joinStudent(app, teacher.sessionCode, 'Ann');
+
+    const banned = await teacherAction(teacher, 'ban', { studentId: ann.studentId });
+
+    expect(banned.body.ban).toMatchObject({ studentId: ann.studentId, name: 'Ann' });
+    expect((await tryJoin(teacher.sessionCode, 'ANN')).body.error.code).toBe('banned');
+    expect((await request(app).post('/api/student/join').send({ resumeToken: ann.token })).body.error.code).toBe('banned');
+
+    const lifted = await teacherAction(teacher, 'unban', { name: 'Ann' });
+    expect(lifted.body.bans).toEqual([]);
+    expect((await tryJoin(teacher.sessionCode, 'Ann')).status).toBe(200);
+  });
+
+  test('a name can be banned before anyone uses it', async () => {
+    const teacher = await joinTeacher(app);
+
+    const banned = await teacherAction(teacher, 'ban', { name: 'Troll' });
+
+    expect(banned.body.ban).toMatchObject({ studentId: null, name: 'Troll' });
+    expect((await tryJoin(teacher.sessionCode, 'troll')).status).toBe(403);
+  });
+
+  test('a ban needs a student or a name, and lifting a missing ban is not found', async () => {
+    const teacher = await joinTeacher(app);
+
+    const empty = await teacherAction(teacher, 'ban', {});
+    const unban = await teacherAction(teacher, 'unban', { name: 'Nobody' });
+
+    expect(empty.status).toBe(400);
+    expect(empty.body.error.field).toBe('studentId');
+    expect(unban.status).toBe(404);
+  });
+});
@@ -0,0 +1,145 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { createPollStream } = require('../pollStream');
+const { loadApp, joinTeacher, joinStudent, ask } = require('./helpers');
+
+let server;
+const streams = [];
+
+beforeAll((done) => {
+  server = loadApp().server.listen(0, '127.0.0.1', done);
+});
+
+afterEach(() => {
+  streams.splice(0).forEach((stream) => stream.close());
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+// Opens /api/poll/stream on target; next() resolves with the next event as { id, event, data }
+function openStream(query, headers = {}, target = server) {
+  return new Promise((resolve, reject) => {
+    const path = `/api/poll/stream?${new URLSearchParams(query)}`;
+    const req = http.get({ host: '127.0.0.1', port: target.address().port, path, headers }, (res) => {
+      const events = [];
+      const waiting = [];
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const fields = Object.fromEntries(block.split('\n').filter((line) => line && !line.startsWith(':'))
+            .map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+          if (!fields.event) continue;
+          const event = { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+          if (waiting.length) waiting.shift()(event);
+          else events.push(event);
+        }
+      });
+      const stream = {
+        status: res.statusCode,
+        headers: res.headers,
+        next: () => (events.length ? Promise.resolve(events.shift()) : new Promise((done) => waiting.push(done))),
+        ended: new Promise((done) => res.on('end', done)),
+        close: () => req.destroy()
+      };
+      streams.push(stream);
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('poll state stream', () => {
+  test('sends the state first and then every change', async () => {
+    const teacher = await joinTeacher(server);
+    const stream = await openStream({ sessionCode: teacher.sessionCode });
+
+    expect(stream.status).toBe(200);
+    expect(stream.headers['content-type']).toMatch(/^text\/event-stream/);
+    const first = await stream.next();
+    expect(first.event).toBe('poll:state');
+    expect(first.data).toMatchObject({ sessionCode: teacher.sessionCode, hasQuestion: false });
+
+    await joinStudent(server, teacher.sessionCode, 'Ann');
+    expect((await stream.next()).data.studentCount).toBe(1);
+    await ask(server, teacher, { text: 'Streamed' });
+    expect((await stream.next()).data.currentQuestion.text).toBe('Streamed');
+  });
+
+  test('event ids match the state ETag, and resuming from the current one skips it', async () => {
+    const teacher = await joinTeacher(server);
+    const state = await request(server).get('/api/poll/state').query({ sessionCode: teacher.sessionCode });
+    const first = await (await openStream({ sessionCode: teacher.sessionCode })).next();
+    expect(`"${first.id}"`).toBe(state.headers.etag);
+
+    const resumed = await openStream({ sessionCode: teacher.sessionCode }, { 'Last-Event-ID': first.id });
+    await joinStudent(server, teacher.sessionCode, 'Ann');
+
+    expect((await resumed.next()).data.studentCount).toBe(1);
+  });
+
+  test('unknown and malformed session codes get a structured error instead of a stream', async () => {
+    const unknown = await request(server).get('/api/poll/stream').query({ sessionCode: 'ZZZZZZ' });
+    const malformed = await request(server).get('/api/poll/stream').query({ sessionCode: 'nope' });
+
+    expect(unknown.status).toBe(404);
+    expect(unknown.headers['content-type']).toMatch(/^application\/json/);
+    expect(unknown.body).toEqual({ error: { code: 'session_not_found', message: 'Session not found', field: null } });
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error.field).toBe('sessionCode');
+  });
+});
+
+describe('a deleted session', () => {
+  let streamServer;
+  let states;
+  let pollStream;
+
+  // A stream over a session the test deletes by hand
+  beforeAll((done) => {
+    states = new Map();
+    pollStream = createPollStream(async (sessionCode) => states.get(sessionCode) || null);
+    const app = express().get('/api/poll/stream', (req, res) => pollStream.handle(req, res, req.query.sessionCode));
+    streamServer = app.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll((done) => {
+    streamServer.close(done);
+  });
+
+  test('ends the stream with session:deleted', async () => {
+    states.set('ABC123', { sessionCode: 'ABC123', hasQuestion: false });
+    const stream = await openStream({ sessionCode: 'ABC123' }, {}, streamServer);
+    expect((await stream.next()).data.sessionCode).toBe('ABC123');
+
+    states.delete('ABC123');
+    pollStream.notify('ABC123');
+
+    expect(await stream.next()).toEqual({ id: undefined, event: 'session:deleted', data: {} });
+    await stream.ended;
+  });
+});
+
+describe('poll state ETag', () => {
+  test('an unchanged state is answered with 304', async () => {
+    const teacher = await joinTeacher(server);
+    const first = await request(server).get('/api/poll/state').query({ sessionCode: teacher.sessionCode });
+
+    const unchanged = await request(server).get('/api/poll/state').query({ sessionCode: teacher.sessionCode })
+      .set('If-None-Match', first.headers.etag);
+    await joinStudent(server, teacher.sessionCode, 'Ann');
+    const changed = await request(server).get('/api/poll/state').query({ sessionCode: teacher.sessionCode })
+      .set('If-None-Match', first.headers.etag);
+
+    expect(unchanged.status).toBe(304);
+    expect(changed.status).toBe(200);
+    expect(changed.headers.etag).not.toBe(first.headers.etag);
+  });
+});
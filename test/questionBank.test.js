@@ -0,0 +1,126 @@
+const request = require('supertest');
+const { loadApp, joinTeacher, joinStudent, answer, getState } = require('./helpers');
+
+const app = loadApp();
+
+let teacher;
+
+beforeAll(async () => {
+  teacher = await joinTeacher(app);
+});
+
+function api(method, path, body) {
+  const req = request(app)[method](path).set(teacher.auth);
+  return body === undefined ? req : req.send(body);
+}
+
+async function saveQuestion(body) {
+  const res = await api('post', '/api/bank/questions', { options: ['A', 'B'], ...body });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+describe('question bank', () => {
+  test('saves, lists, edits and deletes questions', async () => {
+    const saved = await saveQuestion({ text: 'Saved?', correctOptions: [1], timeLimitSec: 30 });
+    expect(saved).toMatchObject({ text: 'Saved?', type: 'single', correctOptions: [1], points: 100, timeLimitSec: 30 });
+
+    const edited = await api('put', `/api/bank/questions/${saved.id}`, { text: 'Edited?', options: ['A', 'B', 'C'] });
+    expect(edited.body).toMatchObject({ id: saved.id, text: 'Edited?', options: ['A', 'B', 'C'], correctOptions: [] });
+    expect((await api('get', '/api/bank/questions')).body.questions.map((question) => question.id)).toContain(saved.id);
+
+    expect((await api('delete', `/api/bank/questions/${saved.id}`)).status).toBe(200);
+    expect((await api('get', `/api/bank/questions/${saved.id}`)).status).toBe(404);
+  });
+
+  test('refuses invalid questions with the field at fault', async () => {
+    const res = await api('post', '/api/bank/questions', { text: 'Q', options: ['Only one'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.field).toBe('options');
+  });
+
+  test('is for teachers only', async () => {
+    const student = await joinStudent(app, teacher.sessionCode, 'Ann');
+
+    expect((await request(app).get('/api/bank/questions').set(student.auth)).status).toBe(403);
+  });
+});
+
+describe('quizzes', () => {
+  let first;
+  let second;
+  let quiz;
+
+  beforeAll(async () => {
+    first = await saveQuestion({ text: 'First?' });
+    second = await saveQuestion({ text: 'Second?', timeLimitSec: 30 });
+    const res = await api('post', '/api/bank/quizzes', { title: 'Warm-up', items: [first.id, { questionId: second.id, timeLimitSec: 90 }] });
+    expect(res.status).toBe(201);
+    quiz = res.body;
+  });
+
+  test('refer to saved questions, which can\'t be deleted while in use', async () => {
+    const unknown = await api('post', '/api/bank/quizzes', { title: 'Broken', items: ['nope'] });
+    const deleted = await api('delete', `/api/bank/questions/${first.id}`);
+
+    expect(unknown.body.error.field).toBe('items[0]');
+    expect(deleted.status).toBe(409);
+  });
+
+  test('export with their questions inlined and import as new copies', async () => {
+    const exported = await api('get', `/api/bank/quizzes/${quiz.id}/export`);
+    expect(exported.headers['content-disposition']).toBe(`attachment; filename="quiz-${quiz.id}.json"`);
+    expect(exported.body).toMatchObject({ format: 'live-poll-quiz', version: 1, title: 'Warm-up' });
+    expect(exported.body.questions.map((question) => [question.text, question.timeLimitSec])).toEqual([['First?', 60], ['Second?', 90]]);
+
+    const imported = await api('post', '/api/bank/quizzes/import', exported.body);
+    expect(imported.status).toBe(201);
+    expect(imported.body.id).not.toBe(quiz.id);
+    expect(imported.body.items.map((item) => item.questionId)).not.toContain(first.id);
+  });
+
+  test('a bad import leaves the bank alone', async () => {
+    const before = (await api('get', '/api/bank/questions')).body.questions.length;
+
+    const res = await api('post', '/api/bank/quizzes/import', {
+      format: 'live-poll-quiz',
+      title: 'Bad',
+      questions: [{ text: 'Fine?', options: ['A', 'B'] }, { text: 'Broken?', options: ['A'] }]
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.field).toBe('questions[1].options');
+    expect((await api('get', '/api/bank/questions')).body.questions).toHaveLength(before);
+  });
+
+  test('run in a session one question at a time', async () => {
+    const runner = await joinTeacher(app);
+    const run = (action, body) => request(app).post(`/api/teacher/quiz/${action}`).set(runner.auth).send(body);
+    await joinStudent(app, runner.sessionCode, 'Ann');
+
+    const started = await run('start', { quizId: quiz.id });
+    let state = await getState(app, runner.sessionCode);
+    expect(state.currentQuestion).toMatchObject({ id: started.body.questionId, text: 'First?' });
+    expect(state.quiz).toMatchObject({ quizId: quiz.id, title: 'Warm-up', position: 0, total: 2 });
+
+    await run('next');
+    state = await getState(app, runner.sessionCode);
+    expect(state.currentQuestion).toMatchObject({ text: 'Second?', timeLimitSec: 90 });
+    expect(state.history[0].text).toBe('First?');
+
+    expect((await run('next')).status).toBe(400);
+    await run('stop');
+    expect((await getState(app, runner.sessionCode)).quiz).toBeNull();
+  });
+
+  test('auto-advance launches the next question once the last answer is in', async () => {
+    const runner = await joinTeacher(app);
+    const student = await joinStudent(app, runner.sessionCode, 'Ann');
+    await request(app).post('/api/teacher/quiz/start').set(runner.auth).send({ quizId: quiz.id, autoAdvance: true, advanceDelaySec: 0 });
+
+    await answer(app, student, 0);
+
+    expect((await getState(app, runner.sessionCode)).currentQuestion.text).toBe('Second?');
+  });
+});
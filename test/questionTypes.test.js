@@ -0,0 +1,101 @@
+const { parseQuestion, parseAnswer, aggregateResults, addToTally } = require('../questionTypes');
+const { loadApp, joinTeacher, joinStudent, ask, answer, getState } = require('./helpers');
+
+const app = loadApp();
+
+// Tallies the given raw answers the way the poll state does
+function resultsOf(question, answers) {
+  const tally = {};
+  answers.forEach((raw) => addToTally(tally, parseAnswer(question, raw).buckets));
+  return aggregateResults(question, tally, answers.length);
+}
+
+describe('question definitions', () => {
+  test('default to single choice and check each type\'s settings', () => {
+    expect(parseQuestion({ text: ' Q ', options: ['A', ' ', 'B'] })).toEqual({ type: 'single', text: 'Q', options: ['A', 'B'] });
+    expect(parseQuestion({ type: 'rating', text: 'Q' })).toMatchObject({ scale: { min: 1, max: 5 }, options: ['1', '2', '3', '4', '5'] });
+    expect(parseQuestion({ type: 'numeric', text: 'Q', range: { min: 0 } }).range).toEqual({ min: 0, max: null });
+    expect(parseQuestion({ type: 'text', text: 'Q' }).maxLength).toBe(100);
+
+    expect(() => parseQuestion({ type: 'essay', text: 'Q' })).toThrow('Unknown question type');
+    expect(() => parseQuestion({ type: 'rating', text: 'Q', scale: { min: 0, max: 20 } })).toThrow('Rating scale');
+    expect(() => parseQuestion({ type: 'rating', text: 'Q', options: ['Bad', 'Good'] })).toThrow('one entry per scale step (5)');
+    expect(() => parseQuestion({ type: 'numeric', text: 'Q', range: { min: 5, max: 1 } })).toThrow('min <= max');
+    expect(() => parseQuestion({ type: 'text', text: 'Q', maxLength: 1000 })).toThrow('maxLength');
+  });
+});
+
+describe('answers and results per type', () => {
+  test('multiple select counts each chosen option once', () => {
+    const question = parseQuestion({ type: 'multiple', text: 'Q', options: ['A', 'B', 'C'] });
+
+    expect(parseAnswer(question, [2, 0, 2]).answer).toEqual([0, 2]);
+    expect(() => parseAnswer(question, [])).toThrow('Select one or more valid options');
+    expect(resultsOf(question, [[0, 1], [1]])).toEqual({ totals: [1, 2, 0], totalVotes: 2, stats: { totalSelections: 3 } });
+  });
+
+  test('rating averages the scale values', () => {
+    const question = parseQuestion({ type: 'rating', text: 'Q', scale: { min: 0, max: 2 }, options: ['Low', 'Mid', 'High'] });
+
+    expect(() => parseAnswer(question, 3)).toThrow('from 0 to 2');
+    const results = resultsOf(question, [0, 2, 2]);
+    expect(results.totals).toEqual([1, 0, 2]);
+    expect(results.stats.average).toBeCloseTo(4 / 3);
+    expect(results.stats.distribution[2]).toEqual({ value: 2, label: 'High', count: 2 });
+  });
+
+  test('numeric answers get summary statistics and a histogram', () => {
+    const question = parseQuestion({ type: 'numeric', text: 'Q', range: { min: -10, max: 10 } });
+
+    expect(() => parseAnswer(question, 11)).toThrow('between -10 and 10');
+    expect(() => parseAnswer(question, true)).toThrow('Answer must be a number');
+    const { stats } = resultsOf(question, [-5, '1', 1, 3]);
+    expect(stats).toMatchObject({ min: -5, max: 3, mean: 0, median: 1 });
+    expect(stats.histogram.reduce((total, bin) => total + bin.count, 0)).toBe(4);
+  });
+
+  test('free text is normalised and counted into a word cloud', () => {
+    const question = parseQuestion({ type: 'text', text: 'Q', maxLength: 20 });
+
+    expect(parseAnswer(question, '  Too   fast ').answer).toBe('Too fast');
+    expect(() => parseAnswer(question, 'x'.repeat(21))).toThrow('at most 20 characters');
+    const { stats } = resultsOf(question, ['too fast', 'Too fast', 'the pace is fine', '__proto__']);
+    expect(stats.words.slice(0, 2)).toEqual([{ word: 'fast', count: 2 }, { word: 'too', count: 2 }]);
+    expect(stats.words).toContainEqual({ word: 'proto', count: 1 });
+  });
+
+  test('answers named like object internals are counted as plain buckets', () => {
+    const tally = addToTally({}, ['__proto__', 'constructor', '__proto__']);
+
+    expect(Object.getPrototypeOf(tally)).toBe(Object.prototype);
+    expect(Object.entries(tally)).toEqual([['__proto__', 2], ['constructor', 1]]);
+  });
+});
+
+describe('question types over the API', () => {
+  test('students answer a rating question and the teacher sees the average', async () => {
+    const teacher = await joinTeacher(app);
+    const ann = await joinStudent(app, teacher.sessionCode, 'Ann');
+    const ben = await joinStudent(app, teacher.sessionCode, 'Ben');
+    await joinStudent(app, teacher.sessionCode, 'Cat');
+    await ask(app, teacher, { type: 'rating', text: 'How was it?', options: undefined, scale: { min: 1, max: 3 } });
+
+    expect((await answer(app, ann, 3)).status).toBe(200);
+    expect((await answer(app, ben, 2)).status).toBe(200);
+
+    const state = await getState(app, teacher.sessionCode, teacher);
+    expect(state.currentQuestion).toMatchObject({ type: 'rating', scale: { min: 1, max: 3 } });
+    expect(state.results.stats.average).toBe(2.5);
+  });
+
+  test('answers of the wrong shape are refused with the field', async () => {
+    const teacher = await joinTeacher(app);
+    const ann = await joinStudent(app, teacher.sessionCode, 'Ann');
+    await ask(app, teacher, { type: 'numeric', text: 'How many?', options: undefined });
+
+    const res = await answer(app, ann, 'lots');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ field: 'answer', message: 'Answer must be a number' });
+  });
+});
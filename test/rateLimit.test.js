@@ -0,0 +1,70 @@
+const request = require('supertest');
+const { loadApp, joinTeacher, joinStudent, ask, answer } = require('./helpers');
+const { createRateLimiter } = require('../rateLimit');
+
+// Small limits so a few requests reach them
+const app = loadApp({
+  RATE_LIMIT: 'on',
+  RATE_LIMIT_JOIN: '4/60',
+  RATE_LIMIT_ANSWER: '2/60',
+  RATE_LIMIT_STATE: '2/60'
+});
+
+describe('rate limits', () => {
+  let teacher;
+  let ann;
+  let ben;
+
+  // Uses two of the four student joins
+  beforeAll(async () => {
+    teacher = await joinTeacher(app);
+    ann = await joinStudent(app, teacher.sessionCode, 'Ann');
+    ben = await joinStudent(app, teacher.sessionCode, 'Ben');
+  });
+
+  test('joins from one address are limited, with a Retry-After', async () => {
+    const join = (name) => request(app).post('/api/student/join').send({ sessionCode: teacher.sessionCode, name });
+    const allowed = [(await join('Cat')).status, (await join('Dan')).status];
+    const limited = await join('Eve');
+
+    expect(allowed).toEqual([200, 200]);
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(limited.body.error).toMatchObject({ code: 'rate_limited', message: 'Too many requests, please slow down' });
+  });
+
+  test('answers are counted per student', async () => {
+    await ask(app, teacher, { type: 'multiple', options: ['A', 'B'] });
+
+    const annResponses = [];
+    for (let i = 0; i < 3; i++) annResponses.push((await answer(app, ann, 9)).status);
+    const ben1 = await answer(app, ben, 0);
+
+    // Rejected answers count too
+    expect(annResponses).toEqual([400, 400, 429]);
+    expect(ben1.status).toBe(200);
+  });
+
+  test('state reads are counted per participant, else per address', async () => {
+    const read = (headers = {}) => request(app).get('/api/poll/state').query({ sessionCode: teacher.sessionCode }).set(headers);
+
+    const anonymous = [];
+    for (let i = 0; i < 3; i++) anonymous.push((await read()).status);
+    const withToken = await read(ann.auth);
+
+    expect(anonymous).toEqual([200, 200, 429]);
+    expect(withToken.status).toBe(200);
+  });
+});
+
+describe('fixed window limiter', () => {
+  test('allows max requests per window per key, then resets', () => {
+    const limiter = createRateLimiter({ max: 2, windowMs: 1000 });
+
+    expect(limiter.consume('a', 0).allowed).toBe(true);
+    expect(limiter.consume('a', 10).allowed).toBe(true);
+    expect(limiter.consume('a', 20)).toEqual({ allowed: false, retryAfterMs: 980 });
+    expect(limiter.consume('b', 20).allowed).toBe(true);
+    expect(limiter.consume('a', 1000).allowed).toBe(true);
+  });
+});
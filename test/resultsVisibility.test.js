@@ -0,0 +1,153 @@
+const request = require('supertest');
+const { io: connect } = require('socket.io-client');
+const { loadApp, joinTeacher, joinStudent, ask, answer, endQuestion, getState } = require('./helpers');
+
+// Listening, so student sockets can check their own broadcasts
+let server;
+let url;
+const clients = [];
+
+beforeAll((done) => {
+  server = loadApp({ REALTIME: 'on' }).server.listen(0, '127.0.0.1', () => {
+    url = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterEach(() => {
+  clients.splice(0).forEach((client) => client.disconnect());
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+async function openStudentSocket(student) {
+  const client = connect(url, { transports: ['websocket'], forceNew: true, reconnection: false, auth: { token: student.token } });
+  clients.push(client);
+  await client.emitWithAck('student:join', {});
+  return client;
+}
+
+function nextEvent(client, event, matches = () => true) {
+  return new Promise((resolve) => {
+    const listener = (payload) => {
+      if (!matches(payload)) return;
+      client.off(event, listener);
+      resolve(payload);
+    };
+    client.on(event, listener);
+  });
+}
+
+function reveal(teacher, body = {}) {
+  return request(server).post('/api/teacher/reveal').set(teacher.auth).send(body);
+}
+
+describe('results visibility', () => {
+  let teacher;
+  let ann;
+  let ben;
+
+  // A third student keeps questions open after Ann and Ben answer
+  beforeEach(async () => {
+    teacher = await joinTeacher(server);
+    ann = await joinStudent(server, teacher.sessionCode, 'Ann');
+    ben = await joinStudent(server, teacher.sessionCode, 'Ben');
+    await joinStudent(server, teacher.sessionCode, 'Cat');
+  });
+
+  test('live results are seen by everyone by default', async () => {
+    await ask(server, teacher);
+    await answer(server, ann, 0);
+
+    const state = await getState(server, teacher.sessionCode);
+
+    expect(state.currentQuestion).toMatchObject({ resultsVisibility: 'live', resultsVisible: true });
+    expect(state.results.totals).toEqual([1, 0]);
+  });
+
+  test('"answered" shows results to a student only once they have answered', async () => {
+    await ask(server, teacher, { text: 'Q', options: ['A', 'B'], resultsVisibility: 'answered' });
+    await answer(server, ann, 1);
+
+    const annState = await getState(server, teacher.sessionCode, ann);
+    const benState = await getState(server, teacher.sessionCode, ben);
+    const anyone = await getState(server, teacher.sessionCode);
+    const teacherState = await getState(server, teacher.sessionCode, teacher);
+
+    expect(annState.results.totals).toEqual([0, 1]);
+    expect(benState).toMatchObject({ results: null, currentQuestion: { resultsVisible: false } });
+    expect(anyone.results).toBeNull();
+    expect(teacherState.results.totals).toEqual([0, 1]);
+  });
+
+  test('"ended" hides results until the question ends', async () => {
+    await ask(server, teacher, { text: 'Q', options: ['A', 'B'], resultsVisibility: 'ended' });
+    await answer(server, ann, 0);
+    expect((await getState(server, teacher.sessionCode, ann)).results).toBeNull();
+
+    await endQuestion(server, teacher);
+
+    const [entry] = (await getState(server, teacher.sessionCode, ben)).history;
+    expect(entry).toMatchObject({ resultsVisible: true, results: [1, 0], totalVotes: 1 });
+  });
+
+  test('"never" keeps results with the teacher until they reveal them', async () => {
+    const questionId = await ask(server, teacher, { text: 'Q', options: ['A', 'B'], resultsVisibility: 'never' });
+    await answer(server, ann, 0);
+    await endQuestion(server, teacher);
+
+    const hidden = (await getState(server, teacher.sessionCode, ann)).history[0];
+    expect(hidden).toMatchObject({ resultsVisible: false, results: null, totalVotes: null });
+    expect((await getState(server, teacher.sessionCode, teacher)).history[0].results).toEqual([1, 0]);
+
+    const revealed = await reveal(teacher, { questionId });
+    expect(revealed.body).toEqual({ success: true, questionId });
+    expect((await getState(server, teacher.sessionCode, ann)).history[0]).toMatchObject({ resultsVisible: true, results: [1, 0] });
+  });
+
+  test('revealing without a questionId shows the live results', async () => {
+    await ask(server, teacher, { text: 'Q', options: ['A', 'B'], resultsVisibility: 'never' });
+    await answer(server, ann, 1);
+
+    await reveal(teacher);
+
+    expect((await getState(server, teacher.sessionCode)).results.totals).toEqual([0, 1]);
+  });
+
+  test('the session setting is the default for new questions', async () => {
+    const settings = await request(server).post('/api/teacher/settings').set(teacher.auth).send({ resultsVisibility: 'ended' });
+    await ask(server, teacher);
+
+    expect(settings.body.settings.resultsVisibility).toBe('ended');
+    expect((await getState(server, teacher.sessionCode)).currentQuestion.resultsVisibility).toBe('ended');
+  });
+
+  test('unknown settings, reveals with nothing live, unknown questions and students are refused', async () => {
+    const badAsk = await request(server).post('/api/teacher/ask').set(teacher.auth)
+      .send({ text: 'Q', options: ['A', 'B'], resultsVisibility: 'sometimes' });
+    const nothingLive = await reveal(teacher);
+    const unknown = await reveal(teacher, { questionId: 'q_missing' });
+    const student = await request(server).post('/api/teacher/reveal').set(ann.auth).send({});
+
+    expect(badAsk.status).toBe(400);
+    expect(badAsk.body.error.field).toBe('resultsVisibility');
+    expect(nothingLive.body.error.code).toBe('no_active_question');
+    expect(unknown.status).toBe(404);
+    expect(student.status).toBe(403);
+  });
+
+  test('socket broadcasts follow the same rules per student', async () => {
+    const annSocket = await openStudentSocket(ann);
+    const benSocket = await openStudentSocket(ben);
+    await ask(server, teacher, { text: 'Q', options: ['A', 'B'], resultsVisibility: 'answered' });
+
+    const annSees = nextEvent(annSocket, 'poll:state', (state) => state.results !== null);
+    const benSees = nextEvent(benSocket, 'poll:state', (state) => state.hasQuestion);
+    await answer(server, ann, 0);
+
+    expect((await annSees).results.totals).toEqual([1, 0]);
+    expect((await benSees).results).toBeNull();
+  });
+});
@@ -0,0 +1,105 @@
+const request = require('supertest');
+const { createMemoryStore } = require('../stateStore');
+const { createPollService } = require('../pollService');
+const { bearer, loadApp, joinTeacher, joinStudent, ask, answer, getState } = require('./helpers');
+
+const app = loadApp();
+
+function rejoin(body, headers = {}) {
+  return request(app).post('/api/student/join').set(headers).send(body);
+}
+
+describe('student resume over REST', () => {
+  let teacher;
+  let student;
+
+  beforeEach(async () => {
+    teacher = await joinTeacher(app);
+    student = await joinStudent(app, teacher.sessionCode, 'Ann');
+    await joinStudent(app, teacher.sessionCode, 'Ben');
+    await ask(app, teacher);
+    await answer(app, student, 0);
+  });
+
+  test('the token from the first join brings back the same student and their answer', async () => {
+    const res = await rejoin({ resumeToken: student.token });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ studentId: student.studentId, studentName: 'Ann', resumed: true, hasAnswered: true });
+    expect((await answer(app, { auth: bearer(res.body.token) }, 1)).body.error.code).toBe('already_answered');
+    expect((await getState(app, teacher.sessionCode)).studentCount).toBe(2);
+  });
+
+  test('the token also works as the Authorization header', async () => {
+    const res = await rejoin({ sessionCode: teacher.sessionCode }, student.auth);
+
+    expect(res.body).toMatchObject({ studentId: student.studentId, resumed: true });
+  });
+
+  test('a token for another session is a fresh join there', async () => {
+    const other = await joinTeacher(app);
+
+    const withName = await rejoin({ sessionCode: other.sessionCode, name: 'Ann', resumeToken: student.token });
+    const withoutName = await rejoin({ sessionCode: other.sessionCode, resumeToken: student.token });
+
+    expect(withName.body.resumed).toBe(false);
+    expect(withName.body.studentId).not.toBe(student.studentId);
+    expect(withoutName.status).toBe(400);
+    expect(withoutName.body.error.field).toBe('name');
+  });
+
+  test('a token that isn\'t a student\'s is ignored', async () => {
+    const res = await rejoin({ sessionCode: teacher.sessionCode, resumeToken: teacher.token });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.field).toBe('name');
+  });
+});
+
+describe('resuming after the seat was given up', () => {
+  const GRACE_MS = 61 * 1000;
+  let service;
+  let sessionCode;
+
+  beforeEach(async () => {
+    service = createPollService(createMemoryStore());
+    sessionCode = await service.createSession();
+    await service.joinTeacher(sessionCode, 'teacher-1');
+    await service.joinStudent(sessionCode, 'ann', 'Ann');
+    await service.joinStudent(sessionCode, 'ben', 'Ben');
+  });
+
+  async function dropAnn() {
+    await service.markStudentDisconnected(sessionCode, 'ann');
+    expect(await service.dropStudent(sessionCode, 'ann', Date.now() + GRACE_MS)).toMatchObject({ name: 'Ann' });
+  }
+
+  test('the score comes back from the history', async () => {
+    await service.askQuestion(sessionCode, 'teacher-1', { text: 'Q', options: ['A', 'B'], correctOptions: [0] });
+    await service.submitAnswer(sessionCode, 'ann', 0);
+    await service.submitAnswer(sessionCode, 'ben', 1);
+    await dropAnn();
+
+    const resumed = await service.resumeStudent(sessionCode, 'ann', 'Ann');
+
+    expect(resumed).toMatchObject({ name: 'Ann', score: 100, correctCount: 1, connected: true });
+  });
+
+  test('an answer to the live question still counts as theirs', async () => {
+    await service.askQuestion(sessionCode, 'teacher-1', { text: 'Q', options: ['A', 'B'] });
+    await service.submitAnswer(sessionCode, 'ann', 0);
+    await dropAnn();
+
+    const resumed = await service.resumeStudent(sessionCode, 'ann', 'Ann');
+
+    expect(resumed.hasAnswered).toBe(true);
+    await expect(service.submitAnswer(sessionCode, 'ann', 1)).rejects.toMatchObject({ code: 'already_answered' });
+  });
+
+  test('a student who reconnects in time keeps the seat', async () => {
+    await service.markStudentDisconnected(sessionCode, 'ann');
+    await service.resumeStudent(sessionCode, 'ann', 'Ann');
+
+    expect(await service.dropStudent(sessionCode, 'ann', Date.now() + GRACE_MS)).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const { parseScoring, scoreSubmission, buildLeaderboard } = require('../scoring');
+const { loadApp, joinTeacher, joinStudent, ask, answer, endQuestion, getState } = require('./helpers');
+
+const app = loadApp();
+
+describe('quiz scoring over the API', () => {
+  test('correct answers score once the question ends and rank the leaderboard', async () => {
+    const teacher = await joinTeacher(app);
+    const ann = await joinStudent(app, teacher.sessionCode, 'Ann');
+    const ben = await joinStudent(app, teacher.sessionCode, 'Ben');
+    const cat = await joinStudent(app, teacher.sessionCode, 'Cat');
+
+    await ask(app, teacher, { text: '2 + 2?', options: ['3', '4'], correctOptions: [1], points: 50 });
+    await answer(app, ann, 1);
+    await answer(app, ben, 0);
+    // Scores don't move while the question is live
+    expect((await getState(app, teacher.sessionCode)).leaderboard.every((entry) => entry.score === 0)).toBe(true);
+    await answer(app, cat, 1);
+
+    await ask(app, teacher, { type: 'multiple', text: 'Primes?', options: ['2', '3', '4'], correctOptions: [0, 1] });
+    await answer(app, ann, [0, 1]);
+    await answer(app, ben, [0]);
+    await endQuestion(app, teacher);
+
+    const res = await request(app).get('/api/leaderboard').query({ sessionCode: teacher.sessionCode });
+    expect(res.body.leaderboard).toEqual([
+      { studentId: ann.studentId, name: 'Ann', score: 150, correctCount: 2, rank: 1 },
+      { studentId: cat.studentId, name: 'Cat', score: 50, correctCount: 1, rank: 2 },
+      { studentId: ben.studentId, name: 'Ben', score: 0, correctCount: 0, rank: 3 }
+    ]);
+    const detail = await request(app).get('/api/history').set(teacher.auth);
+    expect(detail.body.items[1]).toMatchObject({ isQuiz: true, correctOptions: [1] });
+  });
+
+  test('invalid quiz settings are refused', async () => {
+    const teacher = await joinTeacher(app);
+    const tryAsk = (body) => request(app).post('/api/teacher/ask').set(teacher.auth).send({ text: 'Q', options: ['A', 'B'], ...body });
+
+    const outOfRange = await tryAsk({ correctOptions: [2] });
+    const badPoints = await tryAsk({ correctOptions: [0], points: 5000 });
+    const onNumeric = await tryAsk({ type: 'numeric', options: [], correctOptions: [0] });
+
+    expect(outOfRange.body.error.field).toBe('correctOptions');
+    expect(badPoints.body.error.field).toBe('points');
+    expect(onNumeric.body.error.field).toBe('correctOptions');
+  });
+});
+
+describe('scoring rules', () => {
+  const question = { options: ['A', 'B'], correctOptions: [1], points: 100, speedBonus: true, timeLimitSec: 10, startedAtMs: 0 };
+
+  test('plain polls score nothing', () => {
+    expect(parseScoring({}, { options: ['A', 'B'] })).toEqual({ correctOptions: [], points: 0, speedBonus: false });
+    expect(scoreSubmission({ options: ['A', 'B'], correctOptions: [] }, { answer: 0 })).toEqual({ correct: null, points: 0 });
+  });
+
+  test('the speed bonus shrinks with the time taken', () => {
+    expect(scoreSubmission(question, { answer: 1, answeredAtMs: 0 })).toEqual({ correct: true, points: 150 });
+    expect(scoreSubmission(question, { answer: 1, answeredAtMs: 5000 })).toEqual({ correct: true, points: 125 });
+    expect(scoreSubmission(question, { answer: 1, answeredAtMs: 10000 })).toEqual({ correct: true, points: 100 });
+    expect(scoreSubmission(question, { answer: 0, answeredAtMs: 0 })).toEqual({ correct: false, points: 0 });
+  });
+
+  test('ties share a rank', () => {
+    const board = buildLeaderboard({
+      a: { name: 'Ann', score: 10, correctCount: 1 },
+      b: { name: 'Ben', score: 10, correctCount: 1 },
+      c: { name: 'Cat', score: 5, correctCount: 1 }
+    });
+
+    expect(board.map((entry) => [entry.name, entry.rank])).toEqual([['Ann', 1], ['Ben', 1], ['Cat', 3]]);
+  });
+});
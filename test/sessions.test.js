@@ -0,0 +1,80 @@
+const request = require('supertest');
+const { loadApp, joinTeacher, joinStudent, ask, answer, getState } = require('./helpers');
+
+const app = loadApp();
+
+describe('sessions with join codes', () => {
+  test('each teacher login without a code opens its own session', async () => {
+    const first = await joinTeacher(app);
+    const second = await joinTeacher(app);
+
+    expect(first.sessionCode).toMatch(/^[A-Z2-9]{6}$/);
+    expect(second.sessionCode).not.toBe(first.sessionCode);
+    expect(first.role).toBe('owner');
+    expect(second.role).toBe('owner');
+  });
+
+  test('questions, votes and students stay in their own session', async () => {
+    const teacherA = await joinTeacher(app);
+    const teacherB = await joinTeacher(app);
+    const student = await joinStudent(app, teacherA.sessionCode, 'Ann');
+    await joinStudent(app, teacherB.sessionCode, 'Ben');
+    await joinStudent(app, teacherB.sessionCode, 'Cat');
+
+    await ask(app, teacherA, { text: 'Session A question' });
+    expect((await answer(app, student, 1)).status).toBe(200);
+
+    const stateA = await getState(app, teacherA.sessionCode);
+    const stateB = await getState(app, teacherB.sessionCode);
+    expect(stateA.studentCount).toBe(1);
+    expect(stateB.studentCount).toBe(2);
+    expect(stateB.hasQuestion).toBe(false);
+    expect(stateA.history[0].text).toBe('Session A question');
+    expect(stateA.history[0].results).toEqual([0, 1]);
+  });
+
+  test('codes are accepted in any case', async () => {
+    const teacher = await joinTeacher(app);
+    const student = await joinStudent(app, teacher.sessionCode.toLowerCase(), 'Ann');
+
+    expect(student.sessionCode).toBe(teacher.sessionCode);
+  });
+
+  test('unknown and malformed codes are refused', async () => {
+    const unknown = await request(app).post('/api/student/join').send({ sessionCode: 'ZZZZZZ', name: 'Ann' });
+    const malformed = await request(app).post('/api/student/join').send({ sessionCode: 'nope', name: 'Ann' });
+    const state = await request(app).get('/api/poll/state').query({ sessionCode: 'ZZZZZZ' });
+
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error.code).toBe('session_not_found');
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error.field).toBe('sessionCode');
+    expect(state.status).toBe(404);
+  });
+
+  test('a reset only wipes the teacher\'s own session', async () => {
+    const teacherA = await joinTeacher(app);
+    const teacherB = await joinTeacher(app);
+    await joinStudent(app, teacherA.sessionCode, 'Ann');
+    await joinStudent(app, teacherB.sessionCode, 'Ben');
+
+    const reset = await request(app).post('/api/poll/reset').set(teacherA.auth);
+
+    expect(reset.status).toBe(200);
+    expect((await getState(app, teacherA.sessionCode)).studentCount).toBe(0);
+    expect((await getState(app, teacherB.sessionCode)).studentCount).toBe(1);
+  });
+
+  test('a teacher token only acts on the session it was issued for', async () => {
+    const teacherA = await joinTeacher(app);
+    const teacherB = await joinTeacher(app);
+
+    // The body can't point a token at another session
+    const asked = await request(app).post('/api/teacher/ask').set(teacherA.auth)
+      .send({ sessionCode: teacherB.sessionCode, text: 'Sneaky', options: ['A', 'B'] });
+
+    expect(asked.status).toBe(200);
+    expect((await getState(app, teacherA.sessionCode)).currentQuestion.text).toBe('Sneaky');
+    expect((await getState(app, teacherB.sessionCode)).hasQuestion).toBe(false);
+  });
+});
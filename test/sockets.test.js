@@ -0,0 +1,129 @@
+const request = require('supertest');
+const { io: connect } = require('socket.io-client');
+const { PASSCODE, loadApp, joinTeacher, joinStudent, ask, answer } = require('./helpers');
+
+// Listening, so socket clients can connect; supertest reuses it too
+let server;
+let url;
+const clients = [];
+
+beforeAll((done) => {
+  server = loadApp({ REALTIME: 'on' }).server.listen(0, '127.0.0.1', () => {
+    url = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterEach(() => {
+  clients.splice(0).forEach((client) => client.disconnect());
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+function openSocket(token) {
+  const client = connect(url, { transports: ['websocket'], forceNew: true, reconnection: false, auth: token ? { token } : {} });
+  clients.push(client);
+  return client;
+}
+
+// Resolves with the next event payload that matches
+function nextEvent(client, event, matches = () => true) {
+  return new Promise((resolve) => {
+    const listener = (payload) => {
+      if (!matches(payload)) return;
+      client.off(event, listener);
+      resolve(payload);
+    };
+    client.on(event, listener);
+  });
+}
+
+describe('Socket.IO server', () => {
+  test('a teacher logs in over the socket and gets the session state', async () => {
+    const client = openSocket();
+    const state = nextEvent(client, 'poll:state');
+
+    const joined = await client.emitWithAck('teacher:join', { passcode: PASSCODE });
+
+    expect(joined).toMatchObject({ ok: true, role: 'teacher', teacherRole: 'owner' });
+    expect(joined.sessionCode).toMatch(/^[A-Z2-9]{6}$/);
+    expect((await state).sessionCode).toBe(joined.sessionCode);
+  });
+
+  test('a wrong passcode is acknowledged with an error', async () => {
+    const client = openSocket();
+
+    const joined = await client.emitWithAck('teacher:join', { passcode: 'guess' });
+
+    expect(joined).toEqual({ ok: false, error: expect.objectContaining({ field: 'passcode' }) });
+  });
+
+  test('socket and REST clients see each other\'s changes', async () => {
+    const teacher = await joinTeacher(server);
+    const studentSocket = openSocket();
+    const joined = await studentSocket.emitWithAck('student:join', { sessionCode: teacher.sessionCode, name: 'Ann' });
+    expect(joined.ok).toBe(true);
+
+    // A question asked over REST reaches the socket
+    const asked = nextEvent(studentSocket, 'poll:state', (state) => state.hasQuestion);
+    const questionId = await ask(server, teacher, { text: 'Over REST' });
+    expect((await asked).currentQuestion).toMatchObject({ id: questionId, text: 'Over REST' });
+
+    // An answer sent over the socket shows up over REST
+    expect(await studentSocket.emitWithAck('student:answer', 1)).toEqual({ ok: true });
+    const detail = await request(server).get(`/api/history/${questionId}`).set(teacher.auth);
+    expect(detail.body.results).toEqual([0, 1]);
+  });
+
+  test('a handshake token identifies the client without logging in again', async () => {
+    const teacher = await joinTeacher(server);
+    const client = openSocket(teacher.token);
+
+    const joined = await client.emitWithAck('teacher:join', {});
+
+    expect(joined).toMatchObject({ ok: true, sessionCode: teacher.sessionCode, teacherId: teacher.teacherId, token: null });
+  });
+
+  test('an invalid handshake token is refused', async () => {
+    const client = openSocket('not-a-token');
+
+    const error = await nextEvent(client, 'connect_error');
+
+    expect(error.message).toBe('Invalid or expired token');
+  });
+
+  test('students can\'t run teacher actions', async () => {
+    const teacher = await joinTeacher(server);
+    const client = openSocket();
+    await client.emitWithAck('student:join', { sessionCode: teacher.sessionCode, name: 'Ann' });
+
+    const asked = await client.emitWithAck('teacher:ask', { text: 'Sneaky', options: ['A', 'B'] });
+
+    expect(asked.ok).toBe(false);
+    expect(asked.error.message).toMatch(/Only a teacher/);
+  });
+
+  test('events before joining a session are refused', async () => {
+    const client = openSocket();
+
+    const answered = await client.emitWithAck('student:answer', 0);
+
+    expect(answered).toEqual({ ok: false, error: expect.objectContaining({ message: 'Join a session first' }) });
+  });
+
+  test('removed students are told and can no longer answer', async () => {
+    const teacher = await joinTeacher(server);
+    const student = await joinStudent(server, teacher.sessionCode, 'Ann');
+    const client = openSocket(student.token);
+    await client.emitWithAck('student:join', {});
+    await ask(server, teacher);
+
+    const removed = nextEvent(client, 'session:removed');
+    await request(server).post('/api/teacher/remove').set(teacher.auth).send({ studentId: student.studentId });
+
+    expect(await removed).toEqual({ sessionCode: teacher.sessionCode, banned: false });
+    expect((await answer(server, student, 0)).status).toBe(403);
+  });
+});
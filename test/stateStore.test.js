@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStateStore, createMemoryStore, createFileStore, createDocumentStore } = require('../stateStore');
+
+let tmpDir;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'poll-store-'));
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const backends = {
+  memory: () => createMemoryStore(),
+  file: () => createFileStore(path.join(tmpDir, `${Date.now()}-${Math.random()}.json`))
+};
+
+describe.each(Object.keys(backends))('%s store', (name) => {
+  let store;
+
+  beforeEach(() => {
+    store = backends[name]();
+  });
+
+  test('get returns null for missing keys and a copy of stored values', async () => {
+    expect(await store.get('missing')).toBeNull();
+
+    const value = { votes: [1, 2] };
+    await store.set('poll', value);
+    value.votes.push(3);
+    const read = await store.get('poll');
+    read.votes.push(4);
+
+    expect(await store.get('poll')).toEqual({ votes: [1, 2] });
+  });
+
+  test('set with nx only writes absent keys', async () => {
+    expect(await store.set('lock', 'a', { nx: true })).toBe(true);
+    expect(await store.set('lock', 'b', { nx: true })).toBe(false);
+    expect(await store.get('lock')).toBe('a');
+
+    await store.del('lock');
+    expect(await store.get('lock')).toBeNull();
+  });
+
+  test('update passes the current value and stores what the updater returns', async () => {
+    const first = await store.update('count', (current) => (current || 0) + 1);
+    const second = await store.update('count', (current) => current + 1);
+
+    expect([first, second]).toEqual([1, 2]);
+    expect(await store.get('count')).toBe(2);
+  });
+
+  test('concurrent updates to one key are applied one after another', async () => {
+    await Promise.all(Array.from({ length: 50 }, () => store.update('count', async (current) => {
+      await new Promise((resolve) => setImmediate(resolve));
+      return (current || 0) + 1;
+    })));
+
+    expect(await store.get('count')).toBe(50);
+  });
+
+  test('a failing updater leaves the value alone and does not block the key', async () => {
+    await store.set('count', 1);
+
+    await expect(store.update('count', () => { throw new Error('nope'); })).rejects.toThrow('nope');
+    await store.update('count', (current) => current + 1);
+
+    expect(await store.get('count')).toBe(2);
+  });
+
+  test('lists append in order, trim the oldest items and read ranges', async () => {
+    await store.append('log', [1, 2, 3]);
+    await store.append('log', [4, 5], { maxLength: 4 });
+
+    expect(await store.range('log')).toEqual([2, 3, 4, 5]);
+    expect(await store.range('log', 1, 2)).toEqual([3, 4]);
+    expect(await store.range('log', -2)).toEqual([4, 5]);
+    expect(await store.range('empty')).toEqual([]);
+  });
+});
+
+describe('file store', () => {
+  test('keeps values across instances on the same file', async () => {
+    const filePath = path.join(tmpDir, 'nested', 'state.json');
+    await createFileStore(filePath).set('poll', { open: true });
+
+    expect(await createFileStore(filePath).get('poll')).toEqual({ open: true });
+    expect(fs.readdirSync(path.dirname(filePath))).toEqual(['state.json']);
+  });
+});
+
+describe('createStateStore', () => {
+  test('picks the backend named by STATE_STORE', () => {
+    expect(createStateStore('memory').type).toBe('memory');
+    expect(createStateStore('file').type).toBe('file');
+    expect(() => createStateStore('redis')).toThrow('Unknown STATE_STORE "redis"');
+  });
+});
+
+describe('createDocumentStore', () => {
+  test('starts from the empty document and resolves updates to what the mutator returns', async () => {
+    const store = createMemoryStore();
+    const notes = createDocumentStore(store, { key: (owner) => `notes:${owner}`, empty: () => ({ items: [] }) });
+
+    expect(await notes.load('ann')).toEqual({ items: [] });
+    expect(await notes.update('ann', (document) => document.items.push('first'))).toBe(1);
+    expect(await store.get('notes:ann')).toEqual({ items: ['first'] });
+    expect(await notes.load('ben')).toEqual({ items: [] });
+  });
+});
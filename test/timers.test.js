@@ -0,0 +1,113 @@
+const request = require('supertest');
+const { io: connect } = require('socket.io-client');
+const { loadApp, joinTeacher, joinStudent, ask, answer, getState } = require('./helpers');
+
+let server;
+let clients = [];
+
+beforeAll((done) => {
+  server = loadApp({ REALTIME: 'on' }).server.listen(0, '127.0.0.1', done);
+});
+
+beforeEach(() => {
+  // The clock and the question timers only; I/O callbacks still run for real
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  clients.forEach((client) => client.disconnect());
+  clients = [];
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+function timer(teacher, body) {
+  return request(server).post('/api/teacher/timer').set(teacher.auth).send(body);
+}
+
+describe('question timer', () => {
+  test('an answer after the time limit is refused and ends the question', async () => {
+    const teacher = await joinTeacher(server);
+    const student = await joinStudent(server, teacher.sessionCode, 'Ann');
+    await joinStudent(server, teacher.sessionCode, 'Ben');
+    const questionId = await ask(server, teacher, { timeLimitSec: 10 });
+
+    jest.setSystemTime(Date.now() + 10000);
+    const late = await answer(server, student, 0);
+
+    expect(late.status).toBe(400);
+    expect(late.body.error.code).toBe('time_up');
+    const state = await getState(server, teacher.sessionCode);
+    expect(state.hasQuestion).toBe(false);
+    expect(state.history[0]).toMatchObject({ id: questionId, totalVotes: 0 });
+  });
+
+  test('the question ends on time without any request, and clients are told', async () => {
+    const teacher = await joinTeacher(server);
+    const client = connect(`http://127.0.0.1:${server.address().port}`, { transports: ['websocket'], forceNew: true, reconnection: false });
+    clients.push(client);
+    await client.emitWithAck('student:join', { sessionCode: teacher.sessionCode, name: 'Ann' });
+    const ticks = [];
+    client.on('timer:tick', (tick) => ticks.push(tick));
+    const ended = new Promise((resolve) => {
+      client.on('poll:state', (state) => {
+        if (!state.hasQuestion && state.history.length) resolve(state);
+      });
+    });
+    const questionId = await ask(server, teacher, { timeLimitSec: 5 });
+
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect((await ended).history[0].id).toBe(questionId);
+    expect(ticks.map((tick) => tick.timeLeft)).toEqual(expect.arrayContaining([5, 3, 1]));
+  });
+
+  test('pausing stops the clock until the teacher resumes', async () => {
+    const teacher = await joinTeacher(server);
+    const student = await joinStudent(server, teacher.sessionCode, 'Ann');
+    await joinStudent(server, teacher.sessionCode, 'Ben');
+    await ask(server, teacher, { timeLimitSec: 10 });
+
+    jest.setSystemTime(Date.now() + 4000);
+    const paused = await timer(teacher, { action: 'pause' });
+    expect(paused.status).toBe(200);
+    expect(paused.body.pausedTimeLeftMs).toBe(6000);
+    jest.setSystemTime(Date.now() + 60000);
+    expect((await getState(server, teacher.sessionCode)).currentQuestion.isPaused).toBe(true);
+
+    const resumed = await timer(teacher, { action: 'resume' });
+    expect(resumed.body.endsAtMs).toBe(Date.now() + 6000);
+    expect((await answer(server, student, 0)).status).toBe(200);
+  });
+
+  test('extending moves the deadline', async () => {
+    const teacher = await joinTeacher(server);
+    const student = await joinStudent(server, teacher.sessionCode, 'Ann');
+    await joinStudent(server, teacher.sessionCode, 'Ben');
+    await ask(server, teacher, { timeLimitSec: 10 });
+    const { endsAtMs } = (await getState(server, teacher.sessionCode)).currentQuestion;
+
+    const extended = await timer(teacher, { action: 'extend', seconds: 20 });
+    jest.setSystemTime(Date.now() + 15000);
+
+    expect(extended.body.endsAtMs).toBe(endsAtMs + 20000);
+    expect((await answer(server, student, 0)).status).toBe(200);
+  });
+
+  test('timer actions are validated', async () => {
+    const teacher = await joinTeacher(server);
+
+    const noQuestion = await timer(teacher, { action: 'pause' });
+    await ask(server, teacher);
+    const unknown = await timer(teacher, { action: 'rewind' });
+    const resumeRunning = await timer(teacher, { action: 'resume' });
+
+    expect(noQuestion.body.error.code).toBe('no_active_question');
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error.field).toBe('action');
+    expect(resumeRunning.status).toBe(400);
+  });
+});
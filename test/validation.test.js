@@ -0,0 +1,131 @@
+const request = require('supertest');
+const { createMemoryStore } = require('../stateStore');
+const { createPollService } = require('../pollService');
+const { stateKey } = require('../pollState');
+const { loadApp, joinTeacher, joinStudent, answer, getState } = require('./helpers');
+const { schemas, validate } = require('../validation');
+const { ERROR_CODES, appError, errorBody } = require('../errors');
+
+const app = loadApp();
+
+function tryAsk(teacher, body) {
+  return request(app).post('/api/teacher/ask').set(teacher.auth).send(body);
+}
+
+describe('validate', () => {
+  test('coerces string forms and drops unknown fields', () => {
+    const checked = validate(schemas.historyQuery, { page: '2', pageSize: '10', search: 'plants', extra: 'x' });
+
+    expect(checked).toEqual({ page: 2, pageSize: 10, search: 'plants' });
+  });
+
+  test('names the field at fault, including nested ones', () => {
+    const cases = [
+      [schemas.ask, {}, 'text', 'text is required'],
+      [schemas.ask, { text: 'Q', type: 'essay' }, 'type', expect.stringContaining('must be one of')],
+      [schemas.ask, { text: 'Q', options: ['A', {}] }, 'options[1]', 'options[1] must be one of: string, number (got object)'],
+      [schemas.ask, { text: 'Q', scale: { min: 1.5 } }, 'scale.min', 'scale.min must be a whole number (got number)'],
+      [schemas.timer, { action: 'extend', seconds: 'soon' }, 'seconds', 'seconds must be a number (got string)'],
+      [schemas.quizStart, { quizId: 'q1', advanceDelaySec: 90 }, 'advanceDelaySec', 'advanceDelaySec must be from 0 to 60']
+    ];
+
+    cases.forEach(([schema, input, field, message]) => {
+      let thrown;
+      try {
+        validate(schema, input);
+      } catch (error) {
+        thrown = error;
+      }
+      expect(errorBody(thrown)).toEqual({ code: 'validation_failed', field, message });
+    });
+  });
+
+  test('refuses input that isn\'t an object', () => {
+    expect(() => validate(schemas.answer, [0])).toThrow('Expected an object (got array)');
+  });
+});
+
+describe('error bodies', () => {
+  test('unexpected errors hide their message', () => {
+    expect(errorBody(new Error('ECONNREFUSED 10.0.0.1'))).toEqual({ code: 'internal_error', message: 'Internal server error', field: null });
+  });
+
+  test('errors without a code get the one for their status', () => {
+    expect(errorBody(appError(404, 'Quiz not found'))).toEqual({ code: 'not_found', message: 'Quiz not found', field: null });
+    expect(Object.keys(ERROR_CODES)).toContain('validation_failed');
+  });
+});
+
+describe('REST validation', () => {
+  let teacher;
+
+  beforeEach(async () => {
+    teacher = await joinTeacher(app);
+  });
+
+  test('bad bodies are a 400 with { code, message, field }', async () => {
+    const longOption = await tryAsk(teacher, { text: 'Q', options: ['A', 'x'.repeat(101)] });
+    const duplicate = await tryAsk(teacher, { text: 'Q', options: ['Yes', ' yes '] });
+
+    expect(longOption.status).toBe(400);
+    expect(longOption.body.error).toMatchObject({ code: 'validation_failed', field: 'options[1]' });
+    expect(duplicate.body.error).toMatchObject({ code: 'validation_failed', field: 'options[1]' });
+  });
+
+  test('a body that isn\'t JSON is invalid_json', async () => {
+    const res = await request(app).post('/api/teacher/ask').set(teacher.auth)
+      .set('Content-Type', 'application/json').send('{"text":');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('invalid_json');
+  });
+
+  test('a time limit sent as a string is a number, and out of range ones are clamped', async () => {
+    await joinStudent(app, teacher.sessionCode, 'Ann');
+    await tryAsk(teacher, { text: 'Q', options: ['A', 'B'], timeLimitSec: '30' });
+    const first = await getState(app, teacher.sessionCode);
+    await request(app).post('/api/teacher/end').set(teacher.auth);
+    await tryAsk(teacher, { text: 'Q', options: ['A', 'B'], timeLimitSec: 9999 });
+
+    expect(first.currentQuestion.timeLimitSec).toBe(30);
+    expect((await getState(app, teacher.sessionCode)).currentQuestion.timeLimitSec).toBe(300);
+  });
+
+  test('answers of the wrong shape name the answer field', async () => {
+    const student = await joinStudent(app, teacher.sessionCode, 'Ann');
+    await tryAsk(teacher, { text: 'Q', options: ['A', 'B'] });
+
+    const res = await answer(app, student, { pick: 0 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.field).toBe('answer');
+  });
+
+  test('unknown routes are a structured 404', async () => {
+    const res = await request(app).get('/api/nothing-here');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('not_found');
+  });
+});
+
+describe('answers to a live question stored without its submissions', () => {
+  test('are recorded instead of failing', async () => {
+    const store = createMemoryStore();
+    const service = createPollService(store);
+    const sessionCode = await service.createSession();
+    await service.joinTeacher(sessionCode, 'teacher-1');
+    await service.joinStudent(sessionCode, 'ann', 'Ann');
+    await service.joinStudent(sessionCode, 'ben', 'Ben');
+    const question = await service.askQuestion(sessionCode, 'teacher-1', { text: 'Q', options: ['A', 'B'] });
+    const stored = await store.get(stateKey(sessionCode));
+    delete stored.submissions[question.id];
+    delete stored.answers[question.id];
+    await store.set(stateKey(sessionCode), stored);
+
+    await service.submitAnswer(sessionCode, 'ann', 1);
+
+    const state = await service.loadState(sessionCode);
+    expect(Object.keys(state.submissions[question.id])).toEqual(['ann']);
+  });
+});
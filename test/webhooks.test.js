@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const request = require('supertest');
+const { loadApp, joinTeacher, joinStudent, ask } = require('./helpers');
+
+// Read when webhooks.js loads: quick retries for the service built below
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+const { createMemoryStore } = require('../stateStore');
+const { createPollService } = require('../pollService');
+const { createWebhookService } = require('../webhooks');
+
+// The app's own webhooks may reach the stand-in on the loopback address, also as receiver.test
+const app = loadApp({ WEBHOOK_ALLOWED_HOSTS: '127.0.0.1,receiver.test' });
+
+// Local stand-in for a subscriber: records every request and answers with the next queued
+// { status, headers }, or 200 once the queue is empty
+let receiver;
+let receiverUrl;
+const received = [];
+const replies = [];
+let onRequest = () => {};
+
+beforeAll((done) => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ method: req.method, path: req.url, headers: req.headers, body });
+      const { status = 200, headers = {} } = replies.shift() || {};
+      res.writeHead(status, headers).end();
+      onRequest();
+    });
+  });
+  receiver.listen(0, '127.0.0.1', () => {
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+    done();
+  });
+});
+
+afterEach(() => {
+  received.splice(0);
+  replies.splice(0);
+  onRequest = () => {};
+  jest.restoreAllMocks();
+});
+
+// Answers lookups of the names in records with the addresses given, each lookup taking the next
+// one while there are more; other names resolve as usual
+function fakeDns(records) {
+  const lookup = dns.promises.lookup;
+  return jest.spyOn(dns.promises, 'lookup').mockImplementation((host, options) => {
+    const addresses = records[host];
+    if (!addresses) return lookup(host, options);
+    const address = addresses.length > 1 ? addresses.shift() : addresses[0];
+    return Promise.resolve([{ address, family: address.includes(':') ? 6 : 4 }]);
+  });
+}
+
+afterAll((done) => {
+  receiver.close(done);
+});
+
+// Resolves once the stand-in has received count requests in total
+function receivedCount(count) {
+  return new Promise((resolve) => {
+    if (received.length >= count) return resolve();
+    onRequest = () => {
+      if (received.length >= count) resolve();
+    };
+  });
+}
+
+function expectSigned({ headers, body }, secret) {
+  const expected = crypto.createHmac('sha256', secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+  expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+}
+
+describe('webhook service', () => {
+  // Hooks point at a public address; sendImpl sends the requests to the stand-in instead, and
+  // notes the address each one was meant for
+  const PUBLIC_URL = 'http://93.184.216.34/hooks/poll';
+  let service;
+  let webhooks;
+  let sessionCode;
+  let sentTo;
+
+  beforeEach(async () => {
+    const store = createMemoryStore();
+    service = createPollService(store);
+    sentTo = [];
+    webhooks = createWebhookService(store, {
+      sendImpl: async (url, { headers, body, address }) => {
+        sentTo.push(address);
+        const res = await fetch(`${receiverUrl}${new URL(url).pathname}`, { method: 'POST', headers, body, redirect: 'manual' });
+        return { status: res.status };
+      },
+      loadState: service.loadState
+    });
+    sessionCode = await service.createSession();
+    await service.joinTeacher(sessionCode, 'owner');
+    await service.joinTeacher(sessionCode, 'helper');
+  });
+
+  test('delivers signed events to the hooks subscribed to them', async () => {
+    const hook = await webhooks.registerHook(sessionCode, 'owner', { url: PUBLIC_URL, events: ['question.asked'] });
+    await webhooks.registerHook(sessionCode, 'owner', { url: PUBLIC_URL, events: ['session.closed'] });
+
+    await webhooks.dispatch(sessionCode, [{ event: 'question.asked', data: { questionId: 'q1' } }]);
+
+    expect(received).toHaveLength(1);
+    const [delivery] = received;
+    expect(delivery).toMatchObject({ method: 'POST', path: '/hooks/poll' });
+    expect(delivery.headers).toMatchObject({ 'content-type': 'application/json', 'x-webhook-event': 'question.asked' });
+    expectSigned(delivery, hook.secret);
+    expect(JSON.parse(delivery.body)).toMatchObject({ id: delivery.headers['x-webhook-delivery'], event: 'question.asked', sessionCode, data: { questionId: 'q1' } });
+    expect((await webhooks.listDeliveries(sessionCode, 'helper'))[0]).toMatchObject({ status: 'delivered', attempts: 1, lastStatusCode: 200 });
+  });
+
+  test('retries server errors with the same delivery id', async () => {
+    await webhooks.registerHook(sessionCode, 'owner', { url: PUBLIC_URL });
+    replies.push({ status: 503 }, { status: 429 });
+
+    await webhooks.dispatch(sessionCode, [{ event: 'session.reset', data: { archiveId: null } }]);
+
+    expect(new Set(received.map((item) => item.headers['x-webhook-delivery'])).size).toBe(1);
+    expect((await webhooks.listDeliveries(sessionCode, 'owner'))[0]).toMatchObject({ status: 'delivered', attempts: 3 });
+  });
+
+  test('gives up after the last attempt, and at once on other client errors', async () => {
+    const flaky = await webhooks.registerHook(sessionCode, 'owner', { url: PUBLIC_URL, events: ['question.ended'] });
+    const gone = await webhooks.registerHook(sessionCode, 'owner', { url: PUBLIC_URL, events: ['session.closed'] });
+    replies.push({ status: 500 }, { status: 500 }, { status: 500 });
+
+    await webhooks.dispatch(sessionCode, [{ event: 'question.ended', data: {} }]);
+    replies.push({ status: 410 });
+    await webhooks.dispatch(sessionCode, [{ event: 'session.closed', data: {} }]);
+
+    const [failed] = await webhooks.listDeliveries(sessionCode, 'owner', { hookId: flaky.id });
+    const [refused] = await webhooks.listDeliveries(sessionCode, 'owner', { hookId: gone.id });
+    expect(failed).toMatchObject({ status: 'failed', attempts: 3, lastError: 'HTTP 500' });
+    expect(refused).toMatchObject({ status: 'failed', attempts: 1, lastStatusCode: 410 });
+  });
+
+  test('redirects are not followed', async () => {
+    await webhooks.registerHook(sessionCode, 'owner', { url: PUBLIC_URL });
+    replies.push({ status: 302, headers: { Location: 'http://169.254.169.254/latest/meta-data' } });
+
+    await webhooks.dispatch(sessionCode, [{ event: 'student.joined', data: {} }]);
+
+    expect(received).toHaveLength(1);
+    expect((await webhooks.listDeliveries(sessionCode, 'owner'))[0]).toMatchObject({
+      status: 'failed',
+      attempts: 1,
+      lastError: 'HTTP 302 (redirects are not followed)'
+    });
+  });
+
+  test('loopback, private and link-local destinations are refused', async () => {
+    const urls = [
+      `${receiverUrl}/hook`,
+      'http://10.1.2.3/hook',
+      'http://192.168.0.10/hook',
+      'http://169.254.169.254/latest/meta-data',
+      'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://[::127.0.0.1]/hook',
+      'http://[64:ff9b::169.254.169.254]/latest/meta-data',
+      'http://[2002:7f00:1::]/hook',
+      'http://localhost/hook'
+    ];
+
+    for (const url of urls) {
+      await expect(webhooks.registerHook(sessionCode, 'owner', { url })).rejects.toMatchObject({ status: 400, field: 'url' });
+    }
+    await expect(webhooks.registerHook(sessionCode, 'owner', { url: 'ftp://93.184.216.34/' })).rejects.toMatchObject({ field: 'url' });
+  });
+
+  test('each attempt goes to the address that was checked, and a host that turns private is refused', async () => {
+    fakeDns({ 'rebind.test': ['93.184.216.34', '93.184.216.35', '127.0.0.1'] });
+    await webhooks.registerHook(sessionCode, 'owner', { url: 'http://rebind.test/hooks/poll' });
+
+    await webhooks.dispatch(sessionCode, [{ event: 'student.joined', data: {} }]);
+    await webhooks.dispatch(sessionCode, [{ event: 'student.joined', data: {} }]);
+
+    expect(sentTo).toEqual(['93.184.216.35']);
+    const [refused, delivered] = await webhooks.listDeliveries(sessionCode, 'owner');
+    expect(delivered.status).toBe('delivered');
+    expect(refused).toMatchObject({ status: 'failed', attempts: 1, lastError: 'url must point to a public address' });
+  });
+
+  test('poll events are sent once the service announces them', async () => {
+    await webhooks.registerHook(sessionCode, 'owner', { url: PUBLIC_URL, events: ['student.joined'] });
+    webhooks.listen(service);
+
+    const delivered = receivedCount(1);
+    await service.joinStudent(sessionCode, 'ann', 'Ann');
+    await delivered;
+
+    expect(JSON.parse(received[0].body).data).toEqual({ studentId: 'ann', name: 'Ann', studentCount: 1 });
+  });
+
+  test('only the owner adds or removes hooks; secrets are not listed', async () => {
+    const hook = await webhooks.registerHook(sessionCode, 'owner', { url: PUBLIC_URL, secret: 'shh' });
+
+    await expect(webhooks.registerHook(sessionCode, 'helper', { url: PUBLIC_URL })).rejects.toMatchObject({ status: 403 });
+    await expect(webhooks.removeHook(sessionCode, 'helper', hook.id)).rejects.toMatchObject({ status: 403 });
+    expect(await webhooks.listHooks(sessionCode, 'helper')).toEqual([
+      { id: hook.id, url: PUBLIC_URL, events: hook.events, createdAtMs: hook.createdAtMs }
+    ]);
+    await webhooks.removeHook(sessionCode, 'owner', hook.id);
+    expect(await webhooks.listHooks(sessionCode, 'owner')).toEqual([]);
+  });
+});
+
+describe('webhooks over REST', () => {
+  let teacher;
+
+  beforeEach(async () => {
+    teacher = await joinTeacher(app);
+  });
+
+  function register(participant, body) {
+    return request(app).post('/api/webhooks').set(participant.auth).send(body);
+  }
+
+  test('a question asked in the session reaches an allowed local receiver', async () => {
+    const created = await register(teacher, { url: `${receiverUrl}/poll-events`, events: ['question.asked'], secret: 'hook-secret' });
+    expect(created.status).toBe(201);
+
+    const delivered = receivedCount(1);
+    const questionId = await ask(app, teacher, { text: 'Ready?', options: ['Yes', 'No'], correctOptions: [0] });
+    await delivered;
+
+    expectSigned(received[0], 'hook-secret');
+    const { data } = JSON.parse(received[0].body);
+    expect(data).toMatchObject({ questionId, text: 'Ready?', isQuiz: true });
+    expect(data).not.toHaveProperty('correctOptions');
+  });
+
+  test('requests connect to the address the host was resolved to', async () => {
+    // Only the fake resolves receiver.test, so the request can't have looked it up again
+    fakeDns({ 'receiver.test': ['127.0.0.1'] });
+    const port = receiver.address().port;
+    await register(teacher, { url: `http://receiver.test:${port}/pinned`, events: ['student.joined'] });
+
+    const delivered = receivedCount(1);
+    await joinStudent(app, teacher.sessionCode, 'Ann');
+    await delivered;
+
+    expect(received[0]).toMatchObject({ path: '/pinned', headers: { host: `receiver.test:${port}` } });
+  });
+
+  test('hosts outside WEBHOOK_ALLOWED_HOSTS are still checked', async () => {
+    const res = await register(teacher, { url: 'http://10.0.0.5/hook' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'validation_failed', field: 'url', message: 'url must point to a public address' });
+  });
+
+  test('co-teachers and students can\'t register hooks', async () => {
+    const coTeacher = await joinTeacher(app, { sessionCode: teacher.sessionCode });
+    const student = await joinStudent(app, teacher.sessionCode, 'Ann');
+
+    expect((await register(coTeacher, { url: `${receiverUrl}/hook` })).status).toBe(403);
+    expect((await register(student, { url: `${receiverUrl}/hook` })).status).toBe(403);
+  });
+
+  test('deliveries and removal', async () => {
+    const created = await register(teacher, { url: `${receiverUrl}/poll-events`, events: ['student.joined'] });
+    const delivered = receivedCount(1);
+    await joinStudent(app, teacher.sessionCode, 'Ann');
+    await delivered;
+
+    const removed = await request(app).delete(`/api/webhooks/${created.body.id}`).set(teacher.auth);
+    const deliveries = await request(app).get('/api/webhooks/deliveries').set(teacher.auth)
+      .query({ hookId: created.body.id });
+
+    expect(removed.status).toBe(200);
+    expect(deliveries.body.deliveries[0]).toMatchObject({ event: 'student.joined', hookId: created.body.id });
+    expect((await request(app).get('/api/webhooks').set(teacher.auth)).body.webhooks).toEqual([]);
+  });
+});
@@ -0,0 +1,315 @@
+// Shape checks for every REST body (and the export/history queries) and socket payload, shared by
+// index.js and sockets.js. A schema maps field names to specs:
+//   type      'string', 'number', 'integer', 'boolean', 'array' or 'object', or a list of them
+//   required  the field must be present (null counts as absent)
+//   enum      allowed values
+//   maxLength longest string; min/max bound numbers; maxItems caps arrays
+//   items     spec of array elements; fields: schema of an object's fields
+// Numbers and booleans also accept their string forms (query strings, form posts). Unknown fields
+// are dropped. What the values mean (e.g. correctOptions pointing at real options) is still checked
+// by the model, which reports the same { code, message, field } errors
+const { validationError, appError, sendError } = require('./errors');
+const {
+  QUESTION_TYPES,
+  MAX_QUESTION_LENGTH,
+  MAX_OPTIONS,
+  MAX_OPTION_LENGTH,
+  MAX_TEXT_LENGTH
+} = require('./questionTypes');
+const { RESULTS_VISIBILITY, TEACHER_PERMISSIONS } = require('./pollState');
+const { MAX_MESSAGE_LENGTH } = require('./chat');
+const { MAX_QUIZ_ITEMS } = require('./questionBank');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+
+const MAX_NAME_LENGTH = 40;
+const MAX_ID_LENGTH = 100;
+
+const id = { type: 'string', maxLength: MAX_ID_LENGTH };
+const flag = { type: 'boolean' };
+
+// Fields of a question, as asked live or saved in the bank
+const questionFields = {
+  type: { type: 'string', enum: QUESTION_TYPES },
+  text: { type: 'string', required: true, maxLength: MAX_QUESTION_LENGTH },
+  options: {
+    type: 'array',
+    maxItems: MAX_OPTIONS,
+    items: { type: ['string', 'number'], maxLength: MAX_OPTION_LENGTH }
+  },
+  scale: { type: 'object', fields: { min: { type: 'integer' }, max: { type: 'integer' } } },
+  range: { type: 'object', fields: { min: { type: 'number' }, max: { type: 'number' } } },
+  maxLength: { type: 'integer', min: 1, max: MAX_TEXT_LENGTH },
+  timeLimitSec: { type: 'number' },
+  correctOptions: { type: ['integer', 'array'], maxItems: MAX_OPTIONS, items: { type: 'integer', min: 0 } },
+  points: { type: 'integer', min: 0 },
+  speedBonus: flag,
+  anonymous: flag,
+  resultsVisibility: { type: 'string', enum: RESULTS_VISIBILITY }
+};
+
+const quizItems = {
+  type: 'array',
+  maxItems: MAX_QUIZ_ITEMS,
+  // Question ids or { questionId, timeLimitSec }
+  items: {
+    type: ['string', 'object'],
+    maxLength: MAX_ID_LENGTH,
+    fields: { questionId: { ...id, required: true }, timeLimitSec: { type: 'number' } }
+  }
+};
+
+const studentTarget = {
+  studentId: id,
+  name: { type: 'string', maxLength: MAX_NAME_LENGTH }
+};
+
+const schemas = {
+  teacherJoin: {
+    passcode: { type: 'string', maxLength: 200 },
+    sessionCode: { type: 'string', maxLength: 20 },
+    // Shown to the other teachers and as the sender of chat messages
+    name: { type: 'string', maxLength: MAX_NAME_LENGTH }
+  },
+  coTeacher: {
+    teacherId: { ...id, required: true },
+    permissions: {
+      type: 'array',
+      required: true,
+      maxItems: TEACHER_PERMISSIONS.length,
+      items: { type: 'string', enum: TEACHER_PERMISSIONS }
+    }
+  },
+  // Removing a co-teacher and transferring ownership
+  teacherTarget: { teacherId: { ...id, required: true } },
+  studentJoin: {
+    sessionCode: { type: 'string', maxLength: 20 },
+    name: { type: 'string', maxLength: MAX_NAME_LENGTH },
+    resumeToken: { type: 'string', maxLength: 2000 }
+  },
+  ask: questionFields,
+  answer: {
+    // Option index, list of indices, rating, number or text, depending on the question type
+    // (strings are tried first so text answers such as "42" stay text)
+    answer: {
+      type: ['string', 'number', 'array'],
+      maxLength: 1000,
+      maxItems: MAX_OPTIONS,
+      items: { type: ['integer', 'string'], maxLength: 20 }
+    },
+    // Single choice answers from before `answer` existed
+    optionIndex: { type: 'integer' }
+  },
+  timer: {
+    action: { type: 'string', required: true, enum: ['extend', 'pause', 'resume', 'restart'] },
+    seconds: { type: 'number' }
+  },
+  remove: {
+    studentId: { ...id, required: true },
+    discardVotes: flag
+  },
+  ban: { ...studentTarget, discardVotes: flag },
+  unban: studentTarget,
+  settings: {
+    anonymous: flag,
+    resultsVisibility: { type: 'string', enum: RESULTS_VISIBILITY }
+  },
+  reveal: { questionId: id },
+  quizStart: {
+    quizId: { ...id, required: true },
+    autoAdvance: flag,
+    advanceDelaySec: { type: 'number', min: 0, max: 60 }
+  },
+  quizControl: {
+    action: { type: 'string', required: true, enum: ['start', 'next', 'previous', 'stop'] },
+    quizId: id,
+    autoAdvance: flag,
+    advanceDelaySec: { type: 'number', min: 0, max: 60 }
+  },
+  bankQuestion: questionFields,
+  quiz: {
+    title: { type: 'string', required: true, maxLength: 100 },
+    items: { ...quizItems, required: true }
+  },
+  quizUpdate: {
+    title: { type: 'string', maxLength: 100 },
+    items: quizItems
+  },
+  quizImport: {
+    format: { type: 'string', required: true, maxLength: 50 },
+    version: { type: 'integer' },
+    title: { type: 'string', required: true, maxLength: 100 },
+    questions: {
+      type: 'array',
+      required: true,
+      maxItems: MAX_QUIZ_ITEMS,
+      items: { type: 'object', fields: questionFields }
+    }
+  },
+  chatMessage: {
+    message: { type: 'string', required: true, maxLength: MAX_MESSAGE_LENGTH },
+    to: id
+  },
+  chatDelete: { messageId: { ...id, required: true } },
+  chatMute: {
+    studentId: { ...id, required: true },
+    muted: flag
+  },
+  chatSettings: {
+    enabled: flag,
+    disableDuringQuestion: flag
+  },
+  historyQuery: {
+    page: { type: 'integer', min: 1 },
+    pageSize: { type: 'integer', min: 1 },
+    search: { type: 'string', maxLength: 200 },
+    from: { type: 'string', maxLength: 40 },
+    to: { type: 'string', maxLength: 40 }
+  },
+  webhook: {
+    url: { type: 'string', required: true, maxLength: 2000 },
+    events: {
+      type: 'array',
+      maxItems: WEBHOOK_EVENTS.length,
+      items: { type: 'string', enum: WEBHOOK_EVENTS }
+    },
+    secret: { type: 'string', maxLength: 200 }
+  },
+  webhookDeliveryQuery: { hookId: id },
+  exportQuery: {
+    format: { type: 'string', enum: ['csv', 'json'] },
+    report: { type: 'string', enum: ['all', 'summary', 'responses', 'audit'] }
+  },
+  auditQuery: {
+    type: { type: 'string', maxLength: 200 },
+    actor: { type: 'string', enum: ['teacher', 'student', 'system'] },
+    participantId: id,
+    questionId: id,
+    page: { type: 'integer', min: 1 },
+    pageSize: { type: 'integer', min: 1 },
+    from: { type: 'string', maxLength: 40 },
+    to: { type: 'string', maxLength: 40 }
+  }
+};
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Converts value to `type` if it is that type (or its string form); undefined otherwise
+function coerce(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? value : undefined;
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return undefined;
+      return type === 'integer' && !Number.isInteger(number) ? undefined : number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return undefined;
+    case 'array':
+      return Array.isArray(value) ? value : undefined;
+    case 'object':
+      return isPlainObject(value) ? value : undefined;
+    default:
+      return undefined;
+  }
+}
+
+function describeTypes(types) {
+  const names = types.map((type) => (type === 'integer' ? 'whole number' : type));
+  if (names.length > 1) return `one of: ${names.join(', ')}`;
+  return `${/^[aeiou]/.test(names[0]) ? 'an' : 'a'} ${names[0]}`;
+}
+
+function checkValue(value, spec, path) {
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+  let parsed;
+  const matched = types.find((type) => (parsed = coerce(value, type)) !== undefined);
+  if (!matched) throw validationError(path, `${path} must be ${describeTypes(types)} (got ${typeOf(value)})`);
+
+  if (spec.enum && !spec.enum.includes(parsed)) {
+    throw validationError(path, `${path} must be one of ${spec.enum.join(', ')}`);
+  }
+  if (matched === 'string' && spec.maxLength !== undefined && parsed.length > spec.maxLength) {
+    throw validationError(path, `${path} must be at most ${spec.maxLength} characters`);
+  }
+  if ((matched === 'number' || matched === 'integer')
+    && ((spec.min !== undefined && parsed < spec.min) || (spec.max !== undefined && parsed > spec.max))) {
+    throw validationError(path, `${path} must be from ${spec.min ?? '-∞'} to ${spec.max ?? '∞'}`);
+  }
+  if (matched === 'array') {
+    if (spec.maxItems !== undefined && parsed.length > spec.maxItems) {
+      throw validationError(path, `${path} must have at most ${spec.maxItems} items`);
+    }
+    if (spec.items) return parsed.map((item, idx) => checkValue(item, spec.items, `${path}[${idx}]`));
+  }
+  if (matched === 'object' && spec.fields) return checkFields(parsed, spec.fields, `${path}.`);
+  return parsed;
+}
+
+function checkFields(input, schema, prefix = '') {
+  const output = {};
+  Object.entries(schema).forEach(([name, spec]) => {
+    const value = Object.hasOwn(input, name) ? input[name] : undefined;
+    const path = `${prefix}${name}`;
+    if (value === undefined || value === null) {
+      if (spec.required) throw validationError(path, `${path} is required`);
+      return;
+    }
+    output[name] = checkValue(value, spec, path);
+  });
+  return output;
+}
+
+// Returns the checked (and coerced) fields of input, or throws a validation_failed error
+function validate(schema, input) {
+  if (input === undefined || input === null) input = {};
+  if (!isPlainObject(input)) throw validationError(null, `Expected an object (got ${typeOf(input)})`);
+  return checkFields(input, schema);
+}
+
+// Express middleware replacing req.body (or req.query) with its validated form
+function validateBody(schema) {
+  return (req, res, next) => {
+    try {
+      req.body = validate(schema, req.body);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+function validateQuery(schema) {
+  return (req, res, next) => {
+    try {
+      req.query = validate(schema, req.query);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+// Express error handler for bodies that aren't valid JSON (or are too large)
+function handleBodyErrors(error, _req, res, next) {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, appError(400, 'Request body is not valid JSON', { code: 'invalid_json' }));
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, appError(413, 'Request body is too large', { code: 'payload_too_large' }));
+  }
+  next(error);
+}
+
+module.exports = { schemas, validate, validateBody, validateQuery, handleBodyErrors };
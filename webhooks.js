@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { checkTeacher } = require('./pollState');
+const { summarizeHistoryEntry } = require('./pollHistory');
+const { questionType } = require('./questionTypes');
+const { appError, validationError } = require('./errors');
+const { createDocumentStore } = require('./stateStore');
+
+// Outbound webhooks: a session's owner registers URLs that get a POST for the events they pick.
+// Each request carries
+//   X-Webhook-Event       the event name
+//   X-Webhook-Delivery    delivery id, the same on every retry (use it to drop duplicates)
+//   X-Webhook-Timestamp   unix seconds when this attempt was sent
+//   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the hook's secret>
+// and a JSON body { id, event, sessionCode, occurredAt, data }. Failed attempts (network errors,
+// timeouts, 408, 429 and 5xx) are retried with exponential backoff; other 4xx answers are final.
+// Retries are timers of this process, so on serverless hosts a pending retry can be lost.
+// Hooks may only reach public addresses: a host that is (or resolves to) a loopback, private,
+// link-local or otherwise reserved address is refused when the hook is registered and again
+// before every attempt. The attempt then connects to the address that was checked rather than
+// resolving the host a second time, and redirects are not followed. WEBHOOK_ALLOWED_HOSTS
+// (comma-separated host names or addresses) lifts the check for the hosts it lists, e.g. a
+// receiver on the same network
+const WEBHOOK_EVENTS = ['question.asked', 'question.ended', 'student.joined', 'session.reset', 'session.closed'];
+const MAX_WEBHOOKS_PER_SESSION = 10;
+const MAX_DELIVERIES = 100;
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Loopback, private, carrier-grade NAT, link-local (cloud metadata), benchmarking, documentation,
+// multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+// IPv6 counterparts, plus every range that embeds an IPv4 address (IPv4-compatible ::a.b.c.d,
+// NAT64, Teredo and 6to4), since the embedded address could be any of the above
+[
+  ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 32], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+// IPv4-mapped IPv6 addresses are refused outright. They get a list of their own because a BlockList
+// also checks every IPv4 address against its IPv6 rules in this mapped form
+const MAPPED_ADDRESSES = new net.BlockList();
+MAPPED_ADDRESSES.addSubnet('::ffff:0:0', 96, 'ipv6');
+
+function webhooksKey(sessionCode) {
+  return `webhooks:${sessionCode}`;
+}
+
+function createEmptyConfig() {
+  return {
+    // hooks: hookId -> { url, events, secret, createdAtMs }
+    hooks: {},
+    // deliveries: the last MAX_DELIVERIES, oldest first; see dispatch
+    deliveries: []
+  };
+}
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function parseUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    throw validationError('url', 'url must be an absolute http(s) URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw validationError('url', 'url must be an absolute http(s) URL');
+  }
+  return url.toString();
+}
+
+function isBlockedAddress(address) {
+  if (net.isIPv6(address)) return MAPPED_ADDRESSES.check(address, 'ipv6') || BLOCKED_ADDRESSES.check(address, 'ipv6');
+  return BLOCKED_ADDRESSES.check(address, 'ipv4');
+}
+
+// Resolves url's host and resolves to the address to connect to. Throws a validation error if
+// any address is blocked and the host isn't in WEBHOOK_ALLOWED_HOSTS. DNS failures are passed on
+// as they are
+async function checkDestination(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+  if (!ALLOWED_HOSTS.includes(host) && addresses.some(isBlockedAddress)) {
+    throw validationError('url', 'url must point to a public address');
+  }
+  return addresses[0];
+}
+
+// POSTs to url over a connection to address; resolves to { status }. The host name still goes
+// in the Host header and, for https, the certificate check
+function post(url, { headers, body, address, timeoutMs }) {
+  const target = new URL(url);
+  const family = net.isIPv6(address) ? 6 : 4;
+  return new Promise((resolve, reject) => {
+    const req = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: (_hostname, options, callback) => {
+        if (options.all) callback(null, [{ address, family }]);
+        else callback(null, address, family);
+      }
+    }, (res) => {
+      clearTimeout(timer);
+      res.resume();
+      resolve({ status: res.statusCode });
+    });
+    const timer = setTimeout(() => req.destroy(new Error(`Timed out after ${timeoutMs} ms`)), timeoutMs);
+    req.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    req.end(body);
+  });
+}
+
+// Hooks as listed to teachers; the secret is only shown when the hook is created
+function publicHook(hookId, { secret, ...hook }) {
+  return { id: hookId, ...hook };
+}
+
+// What subscribers learn about a question that just started; the correct options stay hidden
+function describeQuestion(question) {
+  return {
+    questionId: question.id,
+    type: questionType(question),
+    text: question.text,
+    options: question.options,
+    scale: question.scale,
+    range: question.range,
+    maxLength: question.maxLength,
+    timeLimitSec: question.timeLimitSec,
+    startedAtMs: question.startedAtMs,
+    endsAtMs: question.endsAtMs,
+    isQuiz: !!question.correctOptions?.length,
+    anonymous: !!question.anonymous
+  };
+}
+
+// sendImpl(url, { headers, body, address, timeoutMs }) makes one attempt (see post), so tests can
+// stand in for the network
+function createWebhookService(store, { sendImpl = post, loadState }) {
+  const { load, update } = createDocumentStore(store, { key: webhooksKey, empty: createEmptyConfig });
+
+  // Any teacher of the session may look; only the owner may change hooks
+  async function requireTeacher(sessionCode, teacherId, permission = null) {
+    const state = await loadState(sessionCode);
+    if (!state) throw appError(404, 'Session not found', { code: 'session_not_found' });
+    checkTeacher(state, teacherId, permission);
+  }
+
+  async function listHooks(sessionCode, teacherId) {
+    await requireTeacher(sessionCode, teacherId);
+    const { hooks } = await load(sessionCode);
+    return Object.entries(hooks).map(([hookId, hook]) => publicHook(hookId, hook));
+  }
+
+  // { url, events (default: all), secret (default: generated) }; resolves to the hook with its secret
+  async function registerHook(sessionCode, teacherId, { url, events, secret } = {}) {
+    await requireTeacher(sessionCode, teacherId, 'owner');
+    const parsedUrl = parseUrl(url);
+    try {
+      await checkDestination(parsedUrl);
+    } catch (error) {
+      if (error.status) throw error;
+      throw validationError('url', `url host could not be resolved (${error.code || error.message})`);
+    }
+    const hook = {
+      url: parsedUrl,
+      events: events?.length ? WEBHOOK_EVENTS.filter((event) => events.includes(event)) : [...WEBHOOK_EVENTS],
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      createdAtMs: Date.now()
+    };
+    const hookId = crypto.randomUUID();
+    await update(sessionCode, (config) => {
+      if (Object.keys(config.hooks).length >= MAX_WEBHOOKS_PER_SESSION) {
+        throw appError(409, `A session can have at most ${MAX_WEBHOOKS_PER_SESSION} webhooks`);
+      }
+      config.hooks[hookId] = hook;
+    });
+    console.log(`Webhook registered: ${hook.url} for ${hook.events.join(', ')} (session: ${sessionCode})`);
+    return { id: hookId, ...hook };
+  }
+
+  async function removeHook(sessionCode, teacherId, hookId) {
+    await requireTeacher(sessionCode, teacherId, 'owner');
+    await update(sessionCode, (config) => {
+      if (!config.hooks[hookId]) throw appError(404, 'Webhook not found');
+      delete config.hooks[hookId];
+    });
+    console.log(`Webhook removed: ${hookId} (session: ${sessionCode})`);
+  }
+
+  // Most recent first; hookId narrows it to one hook
+  async function listDeliveries(sessionCode, teacherId, { hookId } = {}) {
+    await requireTeacher(sessionCode, teacherId);
+    const { deliveries } = await load(sessionCode);
+    return deliveries.filter((delivery) => !hookId || delivery.hookId === hookId).reverse();
+  }
+
+  async function recordDelivery(sessionCode, deliveryId, changes) {
+    await update(sessionCode, (config) => {
+      const delivery = config.deliveries.find((item) => item.id === deliveryId);
+      if (delivery) Object.assign(delivery, changes);
+    });
+  }
+
+  // One POST; resolves to { ok, statusCode, error, retryable }. The destination is checked again
+  // each time, as the host's DNS records may have changed since the hook was registered
+  async function attempt(hook, event, deliveryId, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const address = await checkDestination(hook.url);
+      const response = await sendImpl(hook.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'live-polling-webhooks',
+          'X-Webhook-Event': event,
+          'X-Webhook-Delivery': deliveryId,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': sign(hook.secret, timestamp, body)
+        },
+        body,
+        address,
+        timeoutMs: TIMEOUT_MS
+      });
+      const statusCode = response.status;
+      if (statusCode >= 200 && statusCode < 300) return { ok: true, statusCode, error: null, retryable: false };
+      if (statusCode >= 300 && statusCode < 400) {
+        return { ok: false, statusCode, error: `HTTP ${statusCode} (redirects are not followed)`, retryable: false };
+      }
+      return {
+        ok: false,
+        statusCode,
+        error: `HTTP ${statusCode}`,
+        retryable: statusCode >= 500 || statusCode === 408 || statusCode === 429
+      };
+    } catch (error) {
+      // A blocked destination won't unblock itself; network and DNS errors may pass
+      return { ok: false, statusCode: null, error: error.message, retryable: !error.status };
+    }
+  }
+
+  async function deliver(sessionCode, hook, delivery, body) {
+    for (let attemptNumber = 1; attemptNumber <= MAX_ATTEMPTS; attemptNumber++) {
+      const outcome = await attempt(hook, delivery.event, delivery.id, body);
+      const final = outcome.ok || !outcome.retryable || attemptNumber === MAX_ATTEMPTS;
+      await recordDelivery(sessionCode, delivery.id, {
+        status: outcome.ok ? 'delivered' : (final ? 'failed' : 'retrying'),
+        attempts: attemptNumber,
+        lastStatusCode: outcome.statusCode,
+        lastError: outcome.error,
+        lastAttemptAtMs: Date.now()
+      });
+      if (final) {
+        if (!outcome.ok) console.error(`Webhook delivery failed: ${delivery.event} to ${hook.url} (${outcome.error})`);
+        return;
+      }
+      await sleep(RETRY_BASE_MS * 2 ** (attemptNumber - 1));
+    }
+  }
+
+  // Sends each { event, data } to the hooks subscribed to it. Resolves once every delivery has
+  // finished (including retries); callers normally don't wait for it
+  async function dispatch(sessionCode, events) {
+    if (!events.length) return;
+    const { hooks } = await load(sessionCode);
+    const deliveries = [];
+    events.forEach(({ event, data }) => {
+      Object.entries(hooks).forEach(([hookId, hook]) => {
+        if (!hook.events.includes(event)) return;
+        const delivery = {
+          id: crypto.randomUUID(),
+          hookId,
+          event,
+          url: hook.url,
+          status: 'pending',
+          attempts: 0,
+          lastStatusCode: null,
+          lastError: null,
+          createdAtMs: Date.now(),
+          lastAttemptAtMs: null
+        };
+        const body = JSON.stringify({
+          id: delivery.id,
+          event,
+          sessionCode,
+          occurredAt: new Date(delivery.createdAtMs).toISOString(),
+          data
+        });
+        deliveries.push({ hook, delivery, body });
+      });
+    });
+    if (!deliveries.length) return;
+    await update(sessionCode, (config) => {
+      config.deliveries.push(...deliveries.map(({ delivery }) => delivery));
+      if (config.deliveries.length > MAX_DELIVERIES) config.deliveries.splice(0, config.deliveries.length - MAX_DELIVERIES);
+    });
+    await Promise.all(deliveries.map(({ hook, delivery, body }) => deliver(sessionCode, hook, delivery, body)));
+  }
+
+  // Fire-and-forget form of dispatch, so a slow receiver never holds up the poll
+  function notify(sessionCode, events) {
+    dispatch(sessionCode, events).catch((error) => console.error('Webhook dispatch error:', error));
+  }
+
+  // Subscribes to the poll service's events. Ended questions are sent as their history entry,
+  // minus the per-student submissions
+  function listen(pollService) {
+    pollService.on('question:asked', ({ sessionCode, question }) => {
+      notify(sessionCode, [{ event: 'question.asked', data: describeQuestion(question) }]);
+    });
+    pollService.on('question:ended', ({ sessionCode, entry }) => {
+      notify(sessionCode, [{ event: 'question.ended', data: summarizeHistoryEntry(entry) }]);
+    });
+    pollService.on('student:joined', ({ sessionCode, studentId, name, studentCount }) => {
+      notify(sessionCode, [{ event: 'student.joined', data: { studentId, name, studentCount } }]);
+    });
+    pollService.on('session:reset', ({ sessionCode, archiveId }) => {
+      notify(sessionCode, [{ event: 'session.reset', data: { archiveId } }]);
+    });
+    pollService.on('session:closed', ({ sessionCode, archive }) => {
+      notify(sessionCode, [{ event: 'session.closed', data: { archiveId: archive.archiveId } }]);
+    });
+  }
+
+  return { listHooks, registerHook, removeHook, listDeliveries, dispatch, listen };
+}
+
+module.exports = { WEBHOOK_EVENTS, createWebhookService, webhooksKey };